@@ -0,0 +1,49 @@
+-- Artwork Assets Migration for Artify
+-- Records the Cloudinary public ID behind each artwork so the server can delete the asset with it
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS public_id text;
+
+CREATE INDEX IF NOT EXISTS idx_artworks_public_id ON public.artworks(public_id);
+
+-- Public ID from a delivery URL such as
+-- https://res.cloudinary.com/<cloud>/image/upload/<transformations>/v1712345678/artify/artworks/abc.jpg
+-- Returns NULL for images stored anywhere else
+CREATE OR REPLACE FUNCTION public.cloudinary_public_id(url text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(
+    regexp_replace(
+      regexp_replace(
+        regexp_replace(url, '^https://res\.cloudinary\.com/[^/]+/image/upload/', ''),
+        '^(.*/)?v[0-9]+/', ''),
+      '\.[A-Za-z0-9]+$', ''),
+    '')
+  WHERE url ~ '^https://res\.cloudinary\.com/[^/]+/image/upload/';
+$$;
+
+-- Set at upload time whichever page or route wrote the row, and kept in step when the image is replaced
+CREATE OR REPLACE FUNCTION public.set_artwork_public_id()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.image_url IS DISTINCT FROM OLD.image_url THEN
+    NEW.public_id := public.cloudinary_public_id(NEW.image_url);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_artwork_public_id ON public.artworks;
+CREATE TRIGGER set_artwork_public_id
+  BEFORE INSERT OR UPDATE OF image_url ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.set_artwork_public_id();
+
+-- Backfill artworks uploaded before this migration
+UPDATE public.artworks
+SET public_id = public.cloudinary_public_id(image_url)
+WHERE public_id IS NULL;
+
+COMMENT ON COLUMN public.artworks.public_id IS 'Cloudinary public ID of the image; NULL when the image is not on Cloudinary';
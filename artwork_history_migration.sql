@@ -0,0 +1,23 @@
+-- Artwork History Migration for Artify
+-- Keeps every price change an artist makes, and when an artwork was last edited
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.artwork_price_history (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  old_price numeric,
+  new_price numeric NOT NULL,
+  changed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  changed_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_artwork_price_history_artwork_id ON public.artwork_price_history(artwork_id);
+
+ALTER TABLE public.artwork_price_history ENABLE ROW LEVEL SECURITY;
+
+-- Price history is public, like the prices themselves; it is written by the server
+CREATE POLICY "Price history is viewable by everyone." ON public.artwork_price_history
+  FOR SELECT USING (true);
+
+COMMENT ON COLUMN public.artwork_price_history.old_price IS 'Price before the change, in rupees';
@@ -0,0 +1,115 @@
+// Artist-side artwork management
+// Validates the edits an artist may make to their own artworks
+
+const { normalizeImageStorage, artworkStorageKey } = require('./storage-server');
+const { normalizeTags } = require('./taxonomy-server');
+
+// Statuses an artist can move between themselves; everything else goes through moderation
+const ARTIST_STATUS_TRANSITIONS = {
+  active: ['inactive'],
+  inactive: ['active']
+};
+
+const EDITABLE_FIELDS = ['title', 'description', 'price', 'category', 'medium', 'style'];
+
+/**
+ * Validate an artist's edit and work out what changes
+ * A new image has not been reviewed, so replacing the image of a live artwork sends it back to moderation
+ * Facet values are not checked against the taxonomy here; the caller does that, and also sets image_url for a new
+ * image from its upload record
+ * @param {Object} artwork - Current artworks row
+ * @param {Object} body - Request body: any of title, description, price, category, medium, style,
+ *   tags, status, plus storage_provider and storage_key for a new image
+ * @param {string} [defaultProvider='cloudinary'] - Where a new image is stored when the body does not say
+ * @returns {Object} - { changes, tags, priceChanged, backToModeration, imageReplaced } or { status, error };
+ *   tags is null unless the artwork's tags change
+ */
+function planArtworkUpdate(artwork, body = {}, defaultProvider = 'cloudinary') {
+  const changes = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    changes[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+  }
+
+  // An empty medium or style clears it
+  for (const facet of ['medium', 'style']) {
+    if (changes[facet] === '') changes[facet] = null;
+  }
+
+  let tags = null;
+  if (body.tags !== undefined) {
+    const normalized = normalizeTags(body.tags);
+    if (normalized.error) return { status: 400, error: normalized.error };
+    const slugs = normalized.tags.map(tag => tag.slug).sort();
+    if (slugs.join(',') !== [...(artwork.tag_slugs || [])].sort().join(',')) tags = normalized.tags;
+  }
+
+  if ('title' in changes && !changes.title) {
+    return { status: 400, error: 'Title cannot be empty' };
+  }
+  let image = null;
+  if (body.storage_key !== undefined) {
+    image = normalizeImageStorage(body, defaultProvider);
+    if (image.error) return { status: 400, error: image.error };
+    if (!image.storage_key) return { status: 400, error: 'storage_key cannot be empty' };
+    const unchanged = image.storage_provider === artwork.storage_provider && image.storage_key === artworkStorageKey(artwork);
+    if (unchanged) image = null;
+  }
+  if ('price' in changes) {
+    const price = Number(changes.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      return { status: 400, error: 'Price must be a positive number' };
+    }
+    changes.price = price;
+  }
+
+  if (body.status !== undefined && body.status !== artwork.status) {
+    const allowed = ARTIST_STATUS_TRANSITIONS[artwork.status] || [];
+    if (!allowed.includes(body.status)) {
+      return { status: 409, error: `Cannot change an artwork from ${artwork.status} to ${body.status}` };
+    }
+    changes.status = body.status;
+  }
+
+  const backToModeration = Boolean(image) && ['active', 'inactive'].includes(artwork.status);
+  if (backToModeration) changes.status = 'pending';
+
+  // Drop fields that did not actually change
+  for (const field of Object.keys(changes)) {
+    if (field === 'price' ? Number(artwork.price) === changes.price : artwork[field] === changes[field]) {
+      delete changes[field];
+    }
+  }
+
+  const imageReplaced = Boolean(image);
+  if (imageReplaced) Object.assign(changes, image);
+
+  if (Object.keys(changes).length === 0 && !tags) {
+    return { status: 400, error: 'Nothing to update' };
+  }
+
+  return { changes, tags, priceChanged: 'price' in changes, backToModeration, imageReplaced };
+}
+
+/**
+ * Whether the artist may delete an artwork outright
+ * Sold or reserved work must be unpublished instead, so buyers keep what they paid for
+ * @param {Object} artwork - artworks row with sold_count and reserved_count
+ * @returns {string|null} - Reason it cannot be deleted, or null if it can
+ */
+function artistDeleteBlocker(artwork) {
+  if (Number(artwork.sold_count || 0) > 0) {
+    return 'This artwork has been sold; unpublish it instead';
+  }
+  if (Number(artwork.reserved_count || 0) > 0) {
+    return 'This artwork is in a buyer\'s checkout right now; try again later';
+  }
+  return null;
+}
+
+module.exports = {
+  ARTIST_STATUS_TRANSITIONS,
+  planArtworkUpdate,
+  artistDeleteBlocker
+};
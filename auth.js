@@ -29,7 +29,7 @@ async function initSupabase() {
     
     updateGlobalUI(user);
     // Notify listeners
-    authStateListeners.forEach(callback => callback(user, session));
+    authStateListeners.forEach(callback => callback(user, session, event));
   });
   return sb;
 }
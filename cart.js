@@ -0,0 +1,258 @@
+// Shared Shopping Cart
+// Guests keep their cart in localStorage; once signed in it lives on the server (/api/cart)
+// so it follows the collector across browsers. Requires auth.js and images.js.
+var cart = JSON.parse(localStorage.getItem('cart')) || [];
+
+function saveLocalCart() {
+  localStorage.setItem('cart', JSON.stringify(cart));
+}
+
+function updateCartCount() {
+  const cartCountElement = document.getElementById('cartCount');
+  if (!cartCountElement) return;
+  cartCountElement.textContent = cart.length;
+  if (cart.length > 0) {
+    cartCountElement.classList.remove('hidden');
+  } else {
+    cartCountElement.classList.add('hidden');
+  }
+}
+
+async function getCartSession() {
+  const supabase = await initSupabase();
+  if (!supabase) return null;
+  const { data: { session } } = await supabase.auth.getSession();
+  return session;
+}
+
+async function cartRequest(session, method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Cart request failed');
+  }
+  return data;
+}
+
+// Replace the local cart with the server's, keeping demo items (no id) that only exist locally
+function applyServerCart(data, userId) {
+  const demoItems = cart.filter(item => !item.id);
+  cart = data.items.map(item => ({
+    id: item.artwork_id,
+    title: item.title,
+    image: item.image_url,
+    price: String(item.price)
+  })).concat(demoItems);
+  saveLocalCart();
+  localStorage.setItem('cartOwner', userId);
+  updateCartCount();
+}
+
+// On sign-in, push anything added as a guest to the server cart, then load the merged cart
+async function syncCartWithServer(session) {
+  try {
+    const guestItems = localStorage.getItem('cartOwner') ? [] : cart.filter(item => item.id);
+    if (guestItems.length > 0) {
+      await cartRequest(session, 'POST', '/api/cart', { artwork_ids: guestItems.map(item => item.id) });
+    }
+    applyServerCart(await cartRequest(session, 'GET', '/api/cart'), session.user.id);
+  } catch (e) {
+    console.error('Cart sync failed:', e.message);
+  }
+}
+
+async function addToCart(artwork) {
+  const exists = cart.some(item => artwork.id ? item.id === artwork.id : item.title === artwork.title);
+  if (exists) {
+    showNotification('Already in your cart', 'info');
+    return;
+  }
+
+  const session = artwork.id ? await getCartSession() : null;
+  if (session) {
+    try {
+      applyServerCart(await cartRequest(session, 'POST', '/api/cart', { artwork_id: artwork.id }), session.user.id);
+    } catch (e) {
+      showNotification(e.message, 'error');
+      return;
+    }
+  } else {
+    cart.push(artwork);
+    saveLocalCart();
+    updateCartCount();
+  }
+  showNotification('Added to cart!', 'success');
+}
+
+async function removeFromCart(artwork) {
+  const index = cart.findIndex(item => artwork.id ? item.id === artwork.id : item.title === artwork.title);
+  if (index === -1) return;
+
+  const session = artwork.id ? await getCartSession() : null;
+  if (session) {
+    try {
+      applyServerCart(await cartRequest(session, 'DELETE', `/api/cart/${artwork.id}`), session.user.id);
+      return;
+    } catch (e) {
+      console.error('Cart remove failed:', e.message);
+    }
+  }
+  cart.splice(index, 1);
+  saveLocalCart();
+  updateCartCount();
+}
+
+async function clearCart() {
+  const session = await getCartSession();
+  if (session) {
+    try {
+      await cartRequest(session, 'DELETE', '/api/cart');
+    } catch (e) {
+      console.error('Cart clear failed:', e.message);
+    }
+  }
+  cart.length = 0;
+  saveLocalCart();
+  updateCartCount();
+}
+
+// Read the data-* attributes an add-to-cart / buy-now button carries
+function artworkFromButton(btn) {
+  return {
+    id: btn.getAttribute('data-id') || undefined,
+    title: btn.getAttribute('data-title'),
+    image: btn.getAttribute('data-image'),
+    price: btn.getAttribute('data-price')
+  };
+}
+
+// Create an order on the server and continue to the payment page with its id
+async function startCheckout(body) {
+  const session = await getCartSession();
+  if (!session) {
+    alert('Please sign in to complete purchase');
+    window.location.href = 'login.html';
+    return;
+  }
+
+  try {
+    const { order } = await cartRequest(session, 'POST', '/api/orders', body);
+    window.location.href = `payment.html?order=${encodeURIComponent(order.id)}`;
+  } catch (e) {
+    showNotification(e.message, 'error');
+  }
+}
+
+// Check out everything in the server cart as a single order
+function checkoutCart() {
+  if (cart.some(item => !item.id)) {
+    showNotification('Demo artworks are for display only and were left out of checkout', 'info');
+  }
+  return startCheckout({ from_cart: true });
+}
+
+// "Buy Now" on a single artwork
+function purchaseArtwork(artwork) {
+  if (!artwork.id) {
+    showNotification('Demo artworks are for display only', 'info');
+    return;
+  }
+  return startCheckout({ artwork_id: artwork.id });
+}
+
+function showCartModal() {
+  if (cart.length === 0) {
+    showNotification('Your cart is empty. Add some artworks first!', 'info');
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+  modal.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-96 overflow-y-auto">
+      <div class="p-6 border-b border-gray-200 flex justify-between items-center">
+        <h2 class="text-2xl font-bold text-gray-900">Shopping Cart (${cart.length})</h2>
+        <button class="close-modal text-gray-400 hover:text-gray-600 text-2xl">&times;</button>
+      </div>
+      <div class="p-6">
+        ${cart.map((item, index) => `
+          <div class="flex items-center space-x-4 mb-4 pb-4 border-b border-gray-100">
+            <img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.title)}" class="w-16 h-16 object-cover rounded-lg">
+            <div class="flex-1">
+              <h3 class="font-semibold text-gray-900">${escapeHtml(item.title)}</h3>
+              <p class="text-indigo-600 font-bold">₹${parseFloat(item.price).toLocaleString()}</p>
+            </div>
+            <button class="remove-item text-red-500 hover:text-red-700" data-index="${index}">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        `).join('')}
+        <div class="mt-6 pt-4 border-t border-gray-200">
+          <div class="flex justify-between items-center mb-4">
+            <span class="text-lg font-bold">Total: ₹${cart.reduce((sum, item) => sum + parseFloat(item.price), 0).toLocaleString()}</span>
+          </div>
+          <div class="flex space-x-3">
+            <button class="flex-1 bg-gray-200 text-gray-800 py-3 rounded-lg font-semibold hover:bg-gray-300 transition clear-cart">
+              Clear Cart
+            </button>
+            <button class="flex-1 bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition checkout-btn">
+              Checkout
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  modal.querySelector('.close-modal').addEventListener('click', () => {
+    document.body.removeChild(modal);
+  });
+
+  modal.querySelector('.clear-cart').addEventListener('click', async () => {
+    document.body.removeChild(modal);
+    await clearCart();
+    showNotification('Cart cleared!', 'info');
+  });
+
+  modal.querySelector('.checkout-btn').addEventListener('click', () => {
+    document.body.removeChild(modal);
+    checkoutCart();
+  });
+
+  modal.querySelectorAll('.remove-item').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const index = parseInt(e.currentTarget.getAttribute('data-index'));
+      document.body.removeChild(modal);
+      await removeFromCart(cart[index]);
+      showNotification('Item removed from cart', 'info');
+    });
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      document.body.removeChild(modal);
+    }
+  });
+}
+
+onAuthStateChange((user, session, event) => {
+  if (event === 'SIGNED_OUT') {
+    cart = [];
+    saveLocalCart();
+    localStorage.removeItem('cartOwner');
+    updateCartCount();
+    return;
+  }
+  if (session) syncCartWithServer(session);
+});
+
+document.addEventListener('DOMContentLoaded', updateCartCount);
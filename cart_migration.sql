@@ -0,0 +1,58 @@
+-- Cart Migration for Artify
+-- Server-side carts that follow a buyer across devices, and multi-item orders
+
+CREATE TABLE IF NOT EXISTS public.carts (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.cart_items (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  cart_id uuid REFERENCES public.carts(id) ON DELETE CASCADE NOT NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  added_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (cart_id, artwork_id)
+);
+
+ALTER TABLE public.carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cart_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own cart." ON public.carts
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own cart items." ON public.cart_items
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.carts WHERE carts.id = cart_items.cart_id AND carts.user_id = auth.uid())
+  );
+
+-- One row per artwork in an order; title, image and price are copied so history survives edits
+CREATE TABLE IF NOT EXISTS public.order_items (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id uuid REFERENCES public.orders(id) ON DELETE CASCADE NOT NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE SET NULL,
+  artist_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  title text NOT NULL,
+  image_url text,
+  price numeric NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON public.order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_artwork_id ON public.order_items(artwork_id);
+
+ALTER TABLE public.order_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view items of their own orders." ON public.order_items
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.orders WHERE orders.id = order_items.order_id AND orders.buyer_id = auth.uid())
+  );
+
+-- Move single-artwork orders over to order_items
+INSERT INTO public.order_items (order_id, artwork_id, artist_id, title, image_url, price)
+SELECT o.id, a.id, a.artist_id, a.title, a.image_url, o.subtotal
+FROM public.orders o
+JOIN public.artworks a ON a.id = o.artwork_id
+WHERE NOT EXISTS (SELECT 1 FROM public.order_items i WHERE i.order_id = o.id);
+
+COMMENT ON COLUMN public.orders.artwork_id IS 'Deprecated: single-artwork orders before order_items existed';
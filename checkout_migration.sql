@@ -0,0 +1,28 @@
+-- Checkout Migration for Artify
+-- Stores the server's per-line breakdown so checkout and confirmation show the same figures
+
+ALTER TABLE public.order_items
+ADD COLUMN IF NOT EXISTS discount numeric DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.order_items
+ADD COLUMN IF NOT EXISTS platform_fee numeric DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.order_items
+ADD COLUMN IF NOT EXISTS gst numeric DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.order_items
+ADD COLUMN IF NOT EXISTS total numeric;
+
+-- Single-line orders: the line carries the whole order's breakdown
+UPDATE public.order_items i
+SET discount = o.discount,
+    platform_fee = o.platform_fee,
+    gst = o.gst,
+    total = o.total
+FROM public.orders o
+WHERE o.id = i.order_id
+  AND i.total IS NULL
+  AND (SELECT count(*) FROM public.order_items x WHERE x.order_id = o.id) = 1;
+
+COMMENT ON COLUMN public.order_items.platform_fee IS 'Share of the order platform fee, split by discounted price';
+COMMENT ON COLUMN public.order_items.gst IS 'Share of the order GST, split by taxable value';
@@ -1,53 +1,240 @@
 // Server-side Cloudinary configuration
-// This file contains server-side Cloudinary functionality for secure uploads
+// All Cloudinary calls go through the client returned here, so a local fake can stand in during tests
 
-const cloudinary = require('cloudinary').v2;
+const crypto = require('crypto');
+const cloudinarySdk = require('cloudinary').v2;
 
-// Configure Cloudinary with your credentials
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME || 'dd6ons4ie',
-  api_key: process.env.CLOUDINARY_API_KEY || '527252724278318',
-  api_secret: process.env.CLOUDINARY_API_SECRET || '3vKM9vojeU7gB5pyn-VQqdV79DU'
-});
+const UPLOAD_FOLDER = 'artify/artworks';
+const UPLOAD_TAGS = ['artify', 'artwork'];
+const ALLOWED_FORMATS = ['jpg', 'png', 'gif', 'webp'];
+const MAX_UPLOAD_BYTES = 10485760; // 10MB
+// Cloudinary rejects signed requests whose timestamp is more than an hour old. Direct upload signatures are
+// dated back so that they stop working this long after they are handed out
+const CLOUDINARY_SIGNATURE_WINDOW_SECONDS = 3600;
+const SIGNATURE_TTL_SECONDS = 600;
+// Originals are 'authenticated' assets: only signed URLs work, so the unwatermarked file is never public
+const ORIGINAL_TYPE = 'authenticated';
+
+// Large semi-transparent watermark across the middle of every public image
+const WATERMARK_LAYER = {
+  overlay: { font_family: 'Arial', font_size: 120, font_weight: 'bold', text: 'ARTIFY' },
+  color: '#ffffff',
+  opacity: 45,
+  angle: -30,
+  width: 0.8,
+  flags: 'relative',
+  gravity: 'center'
+};
+// f_auto serves AVIF or WebP to browsers that accept them
+const PREVIEW_DELIVERY = { quality: 'auto', fetch_format: 'auto' };
+
+// Public preview: downscaled and watermarked
+const PREVIEW_TRANSFORMATION = [{ width: 1024, height: 1024, crop: 'limit' }, WATERMARK_LAYER, PREVIEW_DELIVERY];
+// Blurred thumbnail shown while a card's image loads; too small to need the watermark
+const PLACEHOLDER_TRANSFORMATION = [
+  { width: 24, crop: 'scale' },
+  { effect: 'blur:200', quality: 'auto:low', fetch_format: 'auto' }
+];
 
 /**
- * Generate a secure upload signature for client-side uploads
- * @param {Object} params - Upload parameters
- * @returns {Object} - Signature and timestamp
+ * Create a Cloudinary client backed by the official SDK
+ * @param {Object} options - Client options
+ * @param {string} options.cloudName - Cloudinary cloud name
+ * @param {string} options.apiKey - Cloudinary API key
+ * @param {string} options.apiSecret - Cloudinary API secret
+ * @param {Object} [options.sdk] - cloudinary.v2, injectable for tests
+ * @returns {Object} - Cloudinary client
  */
-function generateUploadSignature(params = {}) {
-  const timestamp = Math.floor(Date.now() / 1000);
-  
-  const signatureParams = {
-    ...params,
-    timestamp: timestamp
+function createCloudinaryClient({ cloudName, apiKey, apiSecret, sdk = cloudinarySdk }) {
+  sdk.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+
+  return {
+    cloudName,
+    apiKey,
+    signParams(params) {
+      return sdk.utils.api_sign_request(params, apiSecret);
+    },
+    upload(source, options) {
+      return sdk.uploader.upload(source, options);
+    },
+    destroy(publicId, options) {
+      return sdk.uploader.destroy(publicId, options);
+    },
+    rename(fromPublicId, toPublicId, options) {
+      return sdk.uploader.rename(fromPublicId, toPublicId, options);
+    },
+    resourcesByTag(tag, options) {
+      return sdk.api.resources_by_tag(tag, options);
+    },
+    deleteResources(publicIds, options) {
+      return sdk.api.delete_resources(publicIds, options);
+    },
+    url(publicId, options) {
+      return sdk.url(publicId, options);
+    },
+    signedUrl(publicId, options) {
+      return sdk.url(publicId, { ...options, sign_url: true, secure: true });
+    },
+    privateDownloadUrl(publicId, options) {
+      return sdk.utils.private_download_url(publicId, undefined, options);
+    }
   };
-  
-  const signature = cloudinary.utils.api_sign_request(signatureParams, cloudinary.config().api_secret);
-  
+}
+
+/**
+ * Create an in-memory Cloudinary client for local development and tests
+ * @param {Object} options - Client options
+ * @returns {Object} - Cloudinary client with the same surface as the real one
+ */
+function createFakeCloudinaryClient({ cloudName = 'fake-cloud', apiKey = 'fake_key', apiSecret = 'fake_secret' } = {}) {
+  const assets = new Map();
+
   return {
-    signature,
+    cloudName,
+    apiKey,
+    assets,
+    // Same scheme as Cloudinary: SHA-1 of the sorted key=value pairs followed by the secret
+    signParams(params) {
+      const toSign = Object.keys(params).sort()
+        .filter(key => params[key] !== undefined && params[key] !== '')
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+      return crypto.createHash('sha1').update(toSign + apiSecret).digest('hex');
+    },
+    async upload(source, options = {}) {
+      const format = (String(source).match(/^data:image\/(\w+);/) || [])[1] || 'jpg';
+      const publicId = `${options.folder ? options.folder + '/' : ''}fake_${crypto.randomBytes(7).toString('hex')}`;
+      const type = options.type || 'upload';
+      const asset = {
+        public_id: publicId,
+        type,
+        format,
+        bytes: Buffer.byteLength(String(source)),
+        width: null,
+        height: null,
+        tags: options.tags || [],
+        created_at: new Date().toISOString(),
+        secure_url: `https://res.cloudinary.com/${cloudName}/image/${type}/v1/${publicId}.${format}`
+      };
+      assets.set(publicId, asset);
+      return asset;
+    },
+    async destroy(publicId, { type = 'upload' } = {}) {
+      const found = assets.get(publicId)?.type === type;
+      if (found) assets.delete(publicId);
+      return { result: found ? 'ok' : 'not found' };
+    },
+    async rename(fromPublicId, toPublicId, { type = 'upload', to_type: toType = type } = {}) {
+      const asset = assets.get(fromPublicId);
+      if (asset?.type !== type) throw new Error(`Resource not found - ${fromPublicId}`);
+      assets.delete(fromPublicId);
+      const renamed = {
+        ...asset,
+        public_id: toPublicId,
+        type: toType,
+        secure_url: `https://res.cloudinary.com/${cloudName}/image/${toType}/v1/${toPublicId}.${asset.format}`
+      };
+      assets.set(toPublicId, renamed);
+      return renamed;
+    },
+    async resourcesByTag(tag) {
+      return { resources: [...assets.values()].filter(asset => asset.tags.includes(tag)) };
+    },
+    async deleteResources(publicIds, { type = 'upload' } = {}) {
+      const deleted = {};
+      publicIds.forEach(publicId => {
+        const found = assets.get(publicId)?.type === type;
+        if (found) assets.delete(publicId);
+        deleted[publicId] = found ? 'deleted' : 'not_found';
+      });
+      return { deleted };
+    },
+    url(publicId, { type = 'upload' } = {}) {
+      return `https://res.cloudinary.com/${cloudName}/image/${type}/${publicId}`;
+    },
+    signedUrl(publicId, { type = 'upload', transformation } = {}) {
+      const signature = this.signParams({ public_id: publicId, type, transformation: JSON.stringify(transformation) }).slice(0, 8);
+      return `https://res.cloudinary.com/${cloudName}/image/${type}/s--${signature}--/${publicId}`;
+    },
+    privateDownloadUrl(publicId, { type = 'upload', expires_at: expiresAt } = {}) {
+      const params = { expires_at: expiresAt, public_id: publicId, type };
+      return `https://api.cloudinary.com/v1_1/${cloudName}/image/download?${new URLSearchParams({ ...params, signature: this.signParams(params) })}`;
+    }
+  };
+}
+
+/**
+ * Build the client configured by environment variables
+ * Set CLOUDINARY_MODE=fake to use the in-memory client
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Cloudinary client, or null when Cloudinary is not configured
+ */
+function createCloudinaryClientFromEnv(env = process.env) {
+  const cloudName = (env.CLOUDINARY_CLOUD_NAME || '').trim();
+  const apiKey = (env.CLOUDINARY_API_KEY || '').trim();
+  const apiSecret = (env.CLOUDINARY_API_SECRET || '').trim();
+
+  if ((env.CLOUDINARY_MODE || '').trim() === 'fake') {
+    return createFakeCloudinaryClient({
+      cloudName: cloudName || undefined,
+      apiKey: apiKey || undefined,
+      apiSecret: apiSecret || undefined
+    });
+  }
+
+  if (!cloudName || !apiKey || !apiSecret) return null;
+  return createCloudinaryClient({ cloudName, apiKey, apiSecret });
+}
+
+/**
+ * Generate a signature for a browser upload straight to Cloudinary
+ * The folder, tags, allowed formats and private delivery type are part of what is signed, so the browser cannot
+ * change them. Cloudinary has no per-request size limit, so the browser checks max_file_size before sending and
+ * the account's own upload limit is what Cloudinary enforces
+ * @param {Object} client - Cloudinary client
+ * @returns {Object} - Upload parameters, signature and where to send them
+ */
+function generateUploadSignature(client) {
+  const now = Math.floor(Date.now() / 1000);
+  const timestamp = now - (CLOUDINARY_SIGNATURE_WINDOW_SECONDS - SIGNATURE_TTL_SECONDS);
+
+  const params = {
+    allowed_formats: ALLOWED_FORMATS.join(','),
+    folder: UPLOAD_FOLDER,
+    tags: UPLOAD_TAGS.join(','),
     timestamp,
-    api_key: cloudinary.config().api_key,
-    cloud_name: cloudinary.config().cloud_name
+    type: ORIGINAL_TYPE
+  };
+
+  return {
+    params,
+    signature: client.signParams(params),
+    api_key: client.apiKey,
+    cloud_name: client.cloudName,
+    upload_url: `https://api.cloudinary.com/v1_1/${client.cloudName}/image/upload`,
+    max_file_size: MAX_UPLOAD_BYTES,
+    expires_at: new Date((now + SIGNATURE_TTL_SECONDS) * 1000).toISOString()
   };
 }
 
 /**
  * Upload file to Cloudinary with server-side authentication
- * @param {string} filePath - Path to the file
+ * @param {Object} client - Cloudinary client
+ * @param {string} source - File path or data URI
  * @param {Object} options - Upload options
  * @returns {Promise<Object>} - Upload result
  */
-async function uploadToCloudinarySecure(filePath, options = {}) {
+async function uploadToCloudinarySecure(client, source, options = {}) {
   try {
-    const result = await cloudinary.uploader.upload(filePath, {
-      folder: 'artify/artworks',
-      resource_type: 'auto',
-      tags: ['artify', 'artwork'],
+    const result = await client.upload(source, {
+      folder: UPLOAD_FOLDER,
+      resource_type: 'image',
+      allowed_formats: ALLOWED_FORMATS,
+      tags: UPLOAD_TAGS,
+      type: ORIGINAL_TYPE,
       ...options
     });
-    
+
     return {
       success: true,
       url: result.secure_url,
@@ -68,12 +255,14 @@ async function uploadToCloudinarySecure(filePath, options = {}) {
 
 /**
  * Delete image from Cloudinary
+ * @param {Object} client - Cloudinary client
  * @param {string} publicId - Cloudinary public ID
+ * @param {string} [type='upload'] - Delivery type the asset was uploaded with
  * @returns {Promise<Object>} - Deletion result
  */
-async function deleteFromCloudinary(publicId) {
+async function deleteFromCloudinary(client, publicId, type = 'upload') {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await client.destroy(publicId, { type });
     return {
       success: true,
       result: result
@@ -87,50 +276,172 @@ async function deleteFromCloudinary(publicId) {
   }
 }
 
+/**
+ * Make an original uploaded before originals were private an 'authenticated' asset
+ * Its old /image/upload/ URL stops working, so only signed URLs reach it afterwards
+ * @param {Object} client - Cloudinary client
+ * @param {string} publicId - Cloudinary public ID
+ * @returns {Promise<Object>} - { success, url } with the asset's new URL, or { success: false, error }
+ */
+async function makeOriginalPrivate(client, publicId) {
+  try {
+    const result = await client.rename(publicId, publicId, { type: 'upload', to_type: ORIGINAL_TYPE, invalidate: true });
+    return {
+      success: true,
+      url: result.secure_url
+    };
+  } catch (error) {
+    console.error('Cloudinary rename error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List every image asset carrying a tag, following Cloudinary's pagination
+ * @param {Object} client - Cloudinary client
+ * @param {string} tag - Tag to list
+ * @returns {Promise<Array>} - Resources with public_id and created_at
+ */
+async function listTaggedAssets(client, tag) {
+  const assets = [];
+  let nextCursor;
+  do {
+    const page = await client.resourcesByTag(tag, {
+      resource_type: 'image',
+      max_results: 500,
+      next_cursor: nextCursor
+    });
+    assets.push(...page.resources);
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+  return assets;
+}
+
+/**
+ * Find assets that no artwork points at
+ * Recent uploads are skipped because the artwork row is written after the upload finishes
+ * @param {Array} assets - Cloudinary resources with public_id and created_at
+ * @param {Array} artworks - artworks rows with public_id
+ * @param {Object} [options] - Sweep options
+ * @param {number} [options.graceHours=24] - Ignore assets younger than this
+ * @param {Date} [options.now] - Current time
+ * @returns {Array} - Orphaned resources
+ */
+function findOrphanedAssets(assets, artworks, { graceHours = 24, now = new Date() } = {}) {
+  const inUse = new Set(artworks.map(artwork => artwork.public_id).filter(Boolean));
+  const cutoff = now.getTime() - graceHours * 60 * 60 * 1000;
+  return assets.filter(asset =>
+    !inUse.has(asset.public_id) && new Date(asset.created_at).getTime() < cutoff
+  );
+}
+
+/**
+ * Delete many assets at once; Cloudinary accepts up to 100 public IDs of one delivery type per call
+ * @param {Object} client - Cloudinary client
+ * @param {Array} assets - Resources with public_id and type
+ * @returns {Promise<Object>} - Map of public ID to deletion result
+ */
+async function deleteAssets(client, assets) {
+  const byType = {};
+  assets.forEach(asset => {
+    const type = asset.type || 'upload';
+    (byType[type] = byType[type] || []).push(asset.public_id);
+  });
+
+  const deleted = {};
+  for (const [type, publicIds] of Object.entries(byType)) {
+    for (let i = 0; i < publicIds.length; i += 100) {
+      const result = await client.deleteResources(publicIds.slice(i, i + 100), { type });
+      Object.assign(deleted, result.deleted);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Watermarked, downscaled preview of an original; the signature stops the watermark being edited out of the URL
+ * @param {Object} client - Cloudinary client
+ * @param {string} publicId - Public ID of the original
+ * @param {string} [type] - Delivery type of the original
+ * @returns {string} - Public preview URL
+ */
+function getPreviewUrl(client, publicId, type = ORIGINAL_TYPE) {
+  return client.signedUrl(publicId, { type, transformation: PREVIEW_TRANSFORMATION });
+}
+
+/**
+ * Watermarked preview of an original at one of the widths listing pages pick from with srcset
+ * @param {Object} client - Cloudinary client
+ * @param {string} publicId - Public ID of the original
+ * @param {number} width - Width in pixels; originals are never enlarged
+ * @param {string} [type] - Delivery type of the original
+ * @returns {string} - Public preview URL
+ */
+function getPreviewVariantUrl(client, publicId, width, type = ORIGINAL_TYPE) {
+  return client.signedUrl(publicId, { type, transformation: [{ width, crop: 'limit' }, WATERMARK_LAYER, PREVIEW_DELIVERY] });
+}
+
+/**
+ * Tiny blurred placeholder for an original
+ * @param {Object} client - Cloudinary client
+ * @param {string} publicId - Public ID of the original
+ * @param {string} [type] - Delivery type of the original
+ * @returns {string} - Public placeholder URL
+ */
+function getPlaceholderUrl(client, publicId, type = ORIGINAL_TYPE) {
+  return client.signedUrl(publicId, { type, transformation: PLACEHOLDER_TRANSFORMATION });
+}
+
+/**
+ * Time-limited link that downloads the original
+ * @param {Object} client - Cloudinary client
+ * @param {string} publicId - Public ID of the original
+ * @param {number} expiresAt - Unix time the link stops working
+ * @param {string} [type] - Delivery type of the original
+ * @returns {string} - Download URL
+ */
+function getOriginalDownloadUrl(client, publicId, expiresAt, type = ORIGINAL_TYPE) {
+  return client.privateDownloadUrl(publicId, { type, expires_at: expiresAt, attachment: true });
+}
+
 /**
  * Get image transformation URL
+ * @param {Object} client - Cloudinary client
  * @param {string} publicId - Cloudinary public ID
  * @param {Object} transformations - Transformation options
  * @returns {string} - Transformed image URL
  */
-function getTransformedImageUrl(publicId, transformations = {}) {
+function getTransformedImageUrl(client, publicId, transformations = {}) {
   const defaultTransformations = {
     quality: 'auto',
     fetch_format: 'auto',
     ...transformations
   };
-  
-  return cloudinary.url(publicId, defaultTransformations);
-}
 
-/**
- * Generate upload preset configuration
- * @param {Object} options - Preset options
- * @returns {Object} - Preset configuration
- */
-function generateUploadPresetConfig(options = {}) {
-  return {
-    name: options.name || 'artify_secure',
-    unsigned: false, // This will be a signed preset for security
-    folder: options.folder || 'artify/artworks',
-    resource_type: 'image',
-    allowed_formats: ['jpg', 'png', 'gif', 'webp'],
-    max_file_size: options.maxFileSize || 10485760, // 10MB
-    transformation: [
-      {
-        quality: 'auto',
-        fetch_format: 'auto'
-      }
-    ],
-    ...options
-  };
+  return client.url(publicId, defaultTransformations);
 }
 
 module.exports = {
-  cloudinary,
+  ALLOWED_FORMATS,
+  ORIGINAL_TYPE,
+  MAX_UPLOAD_BYTES,
+  SIGNATURE_TTL_SECONDS,
+  createCloudinaryClient,
+  createFakeCloudinaryClient,
+  createCloudinaryClientFromEnv,
   generateUploadSignature,
   uploadToCloudinarySecure,
   deleteFromCloudinary,
-  getTransformedImageUrl,
-  generateUploadPresetConfig
-};
\ No newline at end of file
+  makeOriginalPrivate,
+  listTaggedAssets,
+  findOrphanedAssets,
+  deleteAssets,
+  getPreviewUrl,
+  getPreviewVariantUrl,
+  getPlaceholderUrl,
+  getOriginalDownloadUrl,
+  getTransformedImageUrl
+};
@@ -0,0 +1,80 @@
+-- Discount Codes Migration for Artify
+-- Moves discount codes out of payment.html and into the database
+
+CREATE TABLE IF NOT EXISTS public.discount_codes (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  code text UNIQUE NOT NULL CHECK (code = upper(code)),
+  kind text NOT NULL CHECK (kind IN ('percentage', 'flat')),
+  value numeric NOT NULL CHECK (value > 0),
+  starts_at timestamp with time zone,
+  expires_at timestamp with time zone,
+  max_uses integer,                -- across all buyers, null for unlimited
+  max_uses_per_user integer,       -- null for unlimited
+  min_order_value numeric,
+  artist_id uuid REFERENCES auth.users(id) ON DELETE CASCADE, -- only this artist's works
+  category text,                   -- only artworks in this category
+  active boolean DEFAULT true NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  CHECK (kind <> 'percentage' OR value <= 100)
+);
+
+-- Codes are only ever read by the server's service role
+ALTER TABLE public.discount_codes ENABLE ROW LEVEL SECURITY;
+
+-- Record which code an order used and what it took off
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS discount_code_id uuid REFERENCES public.discount_codes(id) ON DELETE SET NULL;
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS discount numeric DEFAULT 0 NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_discount_code_id ON public.orders(discount_code_id);
+
+-- Attach a code to an unpaid order if the code has a use left. Unpaid orders hold a use until they fail or their
+-- reservation expires, and the code's row is locked so concurrent checkouts cannot both take the last use.
+-- Returns NULL once the order holds the code, or the limit that was hit: 'max_uses' or 'max_uses_per_user'
+CREATE OR REPLACE FUNCTION public.claim_discount_code(p_order_id uuid, p_discount_code_id uuid)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_code public.discount_codes%ROWTYPE;
+  v_buyer_id uuid;
+BEGIN
+  SELECT * INTO v_code FROM public.discount_codes WHERE id = p_discount_code_id FOR UPDATE;
+  SELECT buyer_id INTO v_buyer_id FROM public.orders WHERE id = p_order_id;
+
+  IF v_code.max_uses IS NOT NULL AND (
+    SELECT count(*) FROM public.orders
+    WHERE discount_code_id = p_discount_code_id AND status IN ('created', 'paid') AND id <> p_order_id
+  ) >= v_code.max_uses THEN
+    RETURN 'max_uses';
+  END IF;
+
+  IF v_code.max_uses_per_user IS NOT NULL AND (
+    SELECT count(*) FROM public.orders
+    WHERE discount_code_id = p_discount_code_id AND status IN ('created', 'paid') AND id <> p_order_id
+      AND buyer_id = v_buyer_id
+  ) >= v_code.max_uses_per_user THEN
+    RETURN 'max_uses_per_user';
+  END IF;
+
+  UPDATE public.orders SET discount_code_id = p_discount_code_id WHERE id = p_order_id;
+  RETURN NULL;
+END;
+$$;
+
+-- Only the server's checkout claims codes
+REVOKE EXECUTE ON FUNCTION public.claim_discount_code(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+-- Carry over the codes that used to be hard-coded in payment.html
+INSERT INTO public.discount_codes (code, kind, value, max_uses_per_user)
+VALUES
+  ('FIRST10', 'percentage', 10, 1),
+  ('ART20', 'percentage', 20, NULL),
+  ('WELCOME', 'percentage', 15, 1)
+ON CONFLICT (code) DO NOTHING;
+
+COMMENT ON COLUMN public.discount_codes.kind IS 'percentage: value is a percent off; flat: value is rupees off';
+COMMENT ON COLUMN public.orders.discount IS 'Rupees taken off the subtotal before fee and GST';
@@ -0,0 +1,87 @@
+// Server-side discount code engine
+// Codes are validated and applied here; the browser never decides what a code is worth
+
+const { roundCurrency, splitProportionally } = require('./pricing-server');
+
+// What to tell the buyer when a code has no uses left, keyed by the limit claim_discount_code reports
+const DISCOUNT_LIMIT_ERRORS = {
+  max_uses: 'This discount code has been fully redeemed',
+  max_uses_per_user: 'You have already used this discount code'
+};
+
+/**
+ * Normalise a code as typed by a buyer
+ * @param {string} code - Raw discount code
+ * @returns {string} - Trimmed, upper-cased code
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Whether a line item falls inside a code's artist / category scope
+ * @param {Object} discount - discount_codes row
+ * @param {Object} item - Line item with artist_id and category
+ * @returns {boolean} - Whether the code applies to the item
+ */
+function isItemEligible(discount, item) {
+  if (discount.artist_id && item.artist_id !== discount.artist_id) return false;
+  if (discount.category && (item.category || 'digital') !== discount.category) return false;
+  return true;
+}
+
+/**
+ * Check a discount code against an order and work out what it is worth
+ * @param {Object} discount - discount_codes row
+ * @param {Object} context - Order context
+ * @param {Array<Object>} context.items - Line items: { price, artist_id, category }
+ * @param {number} context.totalRedemptions - Orders holding a use of the code: paid ones, and other buyers' unpaid ones
+ * @param {number} context.userRedemptions - Paid orders by this buyer that already used the code
+ * @param {Date} [context.now] - Current time
+ * @returns {Object} - { valid: true, amount, lineDiscounts } or { valid: false, error }
+ */
+function evaluateDiscount(discount, { items, totalRedemptions = 0, userRedemptions = 0, now = new Date() }) {
+  if (!discount || !discount.active) {
+    return { valid: false, error: 'Invalid discount code' };
+  }
+  if (discount.starts_at && new Date(discount.starts_at) > now) {
+    return { valid: false, error: 'This discount code is not active yet' };
+  }
+  if (discount.expires_at && new Date(discount.expires_at) <= now) {
+    return { valid: false, error: 'This discount code has expired' };
+  }
+  if (discount.max_uses != null && totalRedemptions >= discount.max_uses) {
+    return { valid: false, error: DISCOUNT_LIMIT_ERRORS.max_uses };
+  }
+  if (discount.max_uses_per_user != null && userRedemptions >= discount.max_uses_per_user) {
+    return { valid: false, error: DISCOUNT_LIMIT_ERRORS.max_uses_per_user };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + Number(item.price || 0), 0);
+  if (discount.min_order_value != null && subtotal < Number(discount.min_order_value)) {
+    return {
+      valid: false,
+      error: `This code needs a minimum order of ₹${Number(discount.min_order_value).toLocaleString('en-IN')}`
+    };
+  }
+
+  const eligibleItems = items.map(item => isItemEligible(discount, item) ? Number(item.price || 0) : 0);
+  const eligible = eligibleItems.reduce((sum, price) => sum + price, 0);
+  if (eligible <= 0) {
+    return { valid: false, error: 'This discount code does not apply to these artworks' };
+  }
+
+  const value = Number(discount.value);
+  const amount = roundCurrency(discount.kind === 'percentage'
+    ? eligible * value / 100
+    : Math.min(value, eligible));
+
+  return { valid: true, amount, lineDiscounts: splitProportionally(amount, eligibleItems) };
+}
+
+module.exports = {
+  DISCOUNT_LIMIT_ERRORS,
+  normalizeCode,
+  isItemEligible,
+  evaluateDiscount
+};
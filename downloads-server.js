@@ -0,0 +1,103 @@
+// Download delivery for purchased artworks
+// Buyers get short-lived links bound to one order line and one user; each use counts against a per-line limit
+
+const crypto = require('crypto');
+
+const DEFAULT_DOWNLOAD_LIMIT = 5;
+
+/**
+ * Read the secret that download links are signed with
+ * Without one a random secret is used, so links stop working when the server restarts
+ * @param {Object} env - Environment variables
+ * @returns {string} - Signing secret
+ */
+function downloadSigningSecretFromEnv(env = process.env) {
+  const secret = (env.DOWNLOAD_SIGNING_SECRET || '').trim();
+  if (secret) return secret;
+  console.warn('DOWNLOAD_SIGNING_SECRET missing in .env; download links stop working when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Read how many times each purchased artwork can be downloaded
+ * @param {Object} env - Environment variables
+ * @returns {number} - Downloads allowed per order line
+ */
+function downloadLimitFromEnv(env = process.env) {
+  const limit = Number((env.DOWNLOAD_LIMIT || '').trim());
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_DOWNLOAD_LIMIT;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Sign a download token for one order line
+ * @param {Object} grant - What the token allows
+ * @param {string} grant.orderItemId - order_items id
+ * @param {string} grant.buyerId - User the link was issued to
+ * @param {number} grant.expiresAt - Unix time the token stops working
+ * @param {string} secret - Signing secret
+ * @returns {string} - URL-safe token
+ */
+function signDownloadToken({ orderItemId, buyerId, expiresAt }, secret) {
+  const payload = Buffer.from(JSON.stringify({ i: orderItemId, u: buyerId, e: expiresAt })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a download token
+ * @param {string} token - Token from signDownloadToken
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current unix time
+ * @returns {Object|null} - { orderItemId, buyerId, expiresAt }, or null if the token is forged or expired
+ */
+function verifyDownloadToken(token, secret, now = Math.floor(Date.now() / 1000)) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  let grant;
+  try {
+    grant = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!grant || typeof grant.i !== 'string' || typeof grant.u !== 'string' || !Number.isFinite(grant.e)) return null;
+  if (grant.e < now) return null;
+  return { orderItemId: grant.i, buyerId: grant.u, expiresAt: grant.e };
+}
+
+/**
+ * Describe the downloads left on each line of a paid order
+ * @param {Object[]} items - order_items rows with download_count
+ * @param {number} limit - Downloads allowed per line
+ * @returns {Object[]} - { order_item_id, artwork_id, title, download_count, download_limit, remaining } per line
+ */
+function summarizeDownloads(items, limit) {
+  return items.map(item => {
+    const count = Number(item.download_count || 0);
+    return {
+      order_item_id: item.id,
+      artwork_id: item.artwork_id,
+      title: item.title,
+      download_count: count,
+      download_limit: limit,
+      remaining: Math.max(limit - count, 0)
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_DOWNLOAD_LIMIT,
+  downloadSigningSecretFromEnv,
+  downloadLimitFromEnv,
+  signDownloadToken,
+  verifyDownloadToken,
+  summarizeDownloads
+};
@@ -0,0 +1,35 @@
+-- Downloads Migration for Artify
+-- Counts how often each purchased artwork has been downloaded, so every order line has a download limit
+
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS download_count integer DEFAULT 0 NOT NULL;
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS last_downloaded_at timestamp with time zone;
+
+-- Use up one download of an order line. Only the buyer of a paid order can, and only while the line is
+-- under its limit; the artwork id is returned, or null if the download is not allowed
+CREATE OR REPLACE FUNCTION public.record_artwork_download(p_order_item_id uuid, p_buyer_id uuid, p_limit integer)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_artwork_id uuid;
+BEGIN
+  UPDATE public.order_items i
+  SET download_count = i.download_count + 1,
+      last_downloaded_at = now()
+  FROM public.orders o
+  WHERE i.id = p_order_item_id
+    AND o.id = i.order_id
+    AND o.buyer_id = p_buyer_id
+    AND o.status = 'paid'
+    AND i.download_count < p_limit
+  RETURNING i.artwork_id INTO v_artwork_id;
+
+  RETURN v_artwork_id;
+END;
+$$;
+
+-- Only the server hands out downloads
+REVOKE EXECUTE ON FUNCTION public.record_artwork_download(uuid, uuid, integer) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN public.order_items.download_count IS 'Times the buyer has downloaded the original of this line';
@@ -0,0 +1,48 @@
+-- Duplicates Migration for Artify
+-- Every upload gets a perceptual hash; new artworks that look like another artist's work are flagged for moderators
+
+ALTER TABLE public.image_uploads ADD COLUMN IF NOT EXISTS perceptual_hash text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS perceptual_hash text;
+
+-- Pairs of (new artwork, existing artwork by someone else) whose images are nearly identical
+CREATE TABLE IF NOT EXISTS public.artwork_duplicate_matches (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  matched_artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  distance integer NOT NULL CHECK (distance BETWEEN 0 AND 64),
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (artwork_id, matched_artwork_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artwork_duplicate_matches_artwork_id ON public.artwork_duplicate_matches(artwork_id);
+
+-- Written and read by the server only
+ALTER TABLE public.artwork_duplicate_matches ENABLE ROW LEVEL SECURITY;
+
+-- Artworks by other artists whose hash is within p_max_distance bits of p_hash, closest first.
+-- Hashes with fewer than 8 set or unset bits (flat, minimalist images) are never matched, as in isDistinctiveHash.
+-- This compares against every hashed artwork, which is fine for a catalogue of this size
+CREATE OR REPLACE FUNCTION public.find_similar_artworks(p_hash text, p_exclude_artist_id uuid, p_max_distance integer, p_limit integer DEFAULT 5)
+RETURNS TABLE (artwork_id uuid, distance integer)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT id, d.distance
+  FROM public.artworks a
+  CROSS JOIN LATERAL (
+    SELECT bit_count(('x' || a.perceptual_hash)::bit(64) # ('x' || p_hash)::bit(64))::integer AS distance
+  ) d
+  WHERE a.perceptual_hash IS NOT NULL
+    AND bit_count(('x' || a.perceptual_hash)::bit(64)) BETWEEN 8 AND 56
+    AND a.artist_id IS DISTINCT FROM p_exclude_artist_id
+    AND d.distance <= p_max_distance
+  ORDER BY d.distance, a.created_at
+  LIMIT p_limit;
+$$;
+
+-- Lists artworks whatever their status, so only the server may call it
+REVOKE EXECUTE ON FUNCTION public.find_similar_artworks(text, uuid, integer, integer) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN public.artworks.perceptual_hash IS '64-bit difference hash of the image as 16 hex digits; null when the image is too flat to hash';
+COMMENT ON COLUMN public.artwork_duplicate_matches.distance IS 'Bits that differ between the two hashes; 0 means identical';
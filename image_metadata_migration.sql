@@ -0,0 +1,41 @@
+-- Image Metadata Migration for Artify
+-- The server checks every upload and records what it found; artworks copy it from their upload when saved
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS image_width integer;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS image_height integer;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS aspect_ratio numeric;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS color_space text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS color_profile text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS color_palette text[];
+
+-- One row per image that passed validation in POST /api/uploads
+CREATE TABLE IF NOT EXISTS public.image_uploads (
+  storage_provider text NOT NULL,
+  storage_key text NOT NULL,
+  uploader_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  image_width integer NOT NULL,
+  image_height integer NOT NULL,
+  aspect_ratio numeric NOT NULL,
+  color_space text,
+  color_profile text,
+  color_palette text[] DEFAULT '{}' NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (storage_provider, storage_key)
+);
+
+-- Where the server stored the file; artworks take their image_url from here rather than from the browser
+ALTER TABLE public.image_uploads ADD COLUMN IF NOT EXISTS image_url text;
+
+CREATE INDEX IF NOT EXISTS idx_image_uploads_uploader_id ON public.image_uploads(uploader_id);
+
+-- Written and read by the server only
+ALTER TABLE public.image_uploads ENABLE ROW LEVEL SECURITY;
+
+-- Artworks are created through POST /api/upload-artwork, which takes the image from a checked upload.
+-- Without this an artist could insert an artwork pointing at any file with the anon key
+DROP POLICY IF EXISTS "Users can insert their own artworks." ON public.artworks;
+
+COMMENT ON COLUMN public.artworks.aspect_ratio IS 'Width divided by height, after EXIF orientation is applied';
+COMMENT ON COLUMN public.artworks.color_space IS 'Colour space reported by the decoder, e.g. srgb or cmyk';
+COMMENT ON COLUMN public.artworks.color_profile IS 'Name of the embedded ICC profile, if any';
+COMMENT ON COLUMN public.artworks.color_palette IS 'Most common colours as hex, most common first';
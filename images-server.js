@@ -0,0 +1,331 @@
+// Image processing for uploads
+// Checks every upload before it is stored, and builds the watermarked preview that is shown publicly in place
+// of the original, the smaller copies of it that listing pages pick from with srcset, and a tiny blurred
+// placeholder shown while they load
+
+const sharp = require('sharp');
+
+const PREVIEW_MAX_DIMENSION = 1024;
+const PREVIEW_QUALITY = 80;
+const WATERMARK_TEXT = 'ARTIFY';
+// Widths listing pages choose between with srcset
+const PREVIEW_WIDTHS = [320, 640, PREVIEW_MAX_DIMENSION];
+const PLACEHOLDER_WIDTH = 24;
+
+// Limits every uploaded artwork must meet
+const MIN_IMAGE_DIMENSION = 600;
+const MAX_IMAGE_DIMENSION = 12000;
+const PALETTE_SIZE = 5;
+
+// Thumbnails with less than this spread of grey levels are too flat to hash: every bit would be noise
+const MIN_HASH_CONTRAST = 12;
+// A hash with fewer set (or unset) bits than this says little about the image, so it is not matched
+const MIN_HASH_BITS = 8;
+
+// Leading bytes of each accepted format; the MIME type the browser reports is not trusted
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IMAGE_SIGNATURES = [
+  { mimetype: 'image/jpeg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mimetype: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(PNG_SIGNATURE) },
+  { mimetype: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+  {
+    mimetype: 'image/webp',
+    matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+/**
+ * SVG with the watermark text laid diagonally across an image of the given size
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} - SVG overlay
+ */
+function watermarkSvg(width, height) {
+  const fontSize = Math.round(Math.min(width, height) / 6);
+  return Buffer.from(`
+    <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle"
+        transform="rotate(-30 ${width / 2} ${height / 2})"
+        font-family="Arial, Helvetica, sans-serif" font-size="${fontSize}" font-weight="bold"
+        fill="#ffffff" fill-opacity="0.45" stroke="#000000" stroke-opacity="0.2" stroke-width="2">${WATERMARK_TEXT}</text>
+    </svg>`);
+}
+
+// Resize an original (honouring its EXIF orientation) and stamp the watermark on it
+async function watermarked(buffer, resize) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ ...resize, withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const image = sharp(data)
+    .composite([{ input: watermarkSvg(info.width, info.height) }])
+    .flatten({ background: '#ffffff' });
+  return { image, width: info.width, height: info.height };
+}
+
+/**
+ * Downscale an original and stamp the watermark on it
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} - { buffer, mimetype, width, height } of the JPEG preview
+ */
+async function createWatermarkedPreview(buffer) {
+  const { image, width, height } = await watermarked(buffer, {
+    width: PREVIEW_MAX_DIMENSION,
+    height: PREVIEW_MAX_DIMENSION,
+    fit: 'inside'
+  });
+  return { buffer: await image.jpeg({ quality: PREVIEW_QUALITY }).toBuffer(), mimetype: 'image/jpeg', width, height };
+}
+
+/**
+ * Watermarked WebP copies of an original at each of PREVIEW_WIDTHS
+ * Originals narrower than a width are not enlarged, so small uploads repeat their own size
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object[]>} - { width, buffer, mimetype } per entry of PREVIEW_WIDTHS
+ */
+async function createPreviewVariants(buffer) {
+  const variants = [];
+  // One at a time: each resize holds a decoded copy of the original in memory
+  for (const width of PREVIEW_WIDTHS) {
+    const { image } = await watermarked(buffer, { width });
+    variants.push({ width, buffer: await image.webp({ quality: PREVIEW_QUALITY }).toBuffer(), mimetype: 'image/webp' });
+  }
+  return variants;
+}
+
+/**
+ * Tiny blurred copy of an original, stretched behind a card while its real image loads
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} - { buffer, mimetype } of the placeholder
+ */
+async function createPlaceholder(buffer) {
+  const placeholder = await sharp(buffer)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+  return { buffer: placeholder, mimetype: 'image/webp' };
+}
+
+/**
+ * Work out an image's real type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - MIME type, or null if it is not a JPEG, PNG, GIF or WebP
+ */
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(entry => buffer.length >= 12 && entry.matches(buffer));
+  return signature ? signature.mimetype : null;
+}
+
+// Name of an ICC profile from its 'desc' tag (ICC v2 'desc' or v4 'mluc' encoding)
+function iccProfileName(icc) {
+  if (!icc || icc.length < 132) return null;
+  const tagCount = icc.readUInt32BE(128);
+  for (let i = 0; i < tagCount && 132 + (i + 1) * 12 <= icc.length; i++) {
+    const entry = 132 + i * 12;
+    if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue;
+    const offset = icc.readUInt32BE(entry + 4);
+    const tag = icc.subarray(offset, offset + icc.readUInt32BE(entry + 8));
+    const type = tag.toString('latin1', 0, 4);
+
+    if (type === 'desc' && tag.length >= 12) {
+      return tag.toString('latin1', 12, 12 + tag.readUInt32BE(8)).replace(/\0+$/, '').trim() || null;
+    }
+    if (type === 'mluc' && tag.length >= 28) {
+      const length = tag.readUInt32BE(20);
+      const start = tag.readUInt32BE(24);
+      const text = Buffer.from(tag.subarray(start, start + length)).swap16().toString('utf16le');
+      return text.replace(/\0+$/, '').trim() || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Most common colours of an image, most common first
+ * Pixels of a small copy are grouped into coarse colour buckets, and each bucket's average colour is reported
+ * @param {Buffer} buffer - Image
+ * @param {number} [count=PALETTE_SIZE] - How many colours to return
+ * @returns {Promise<string[]>} - Hex colours such as '#1f2e3d'
+ */
+async function extractPalette(buffer, count = PALETTE_SIZE) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .resize({ width: 64, height: 64, fit: 'inside' })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer();
+
+  const buckets = new Map();
+  for (let i = 0; i + 2 < pixels.length; i += 3) {
+    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+    const id = (r >> 4) << 8 | (g >> 4) << 4 | (b >> 4);
+    const bucket = buckets.get(id) || { r: 0, g: 0, b: 0, n: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.n += 1;
+    buckets.set(id, bucket);
+  }
+
+  const hex = value => Math.round(value).toString(16).padStart(2, '0');
+  return [...buckets.values()]
+    .sort((a, b) => b.n - a.n)
+    .slice(0, count)
+    .map(bucket => `#${hex(bucket.r / bucket.n)}${hex(bucket.g / bucket.n)}${hex(bucket.b / bucket.n)}`);
+}
+
+/**
+ * 64-bit difference hash of an image, for spotting the same picture re-uploaded at another size or quality
+ * Each bit says whether a pixel of a 9x8 greyscale thumbnail is darker than its right-hand neighbour
+ * @param {Buffer} buffer - Image
+ * @returns {Promise<string|null>} - 16 hex digits, or null for a flat or very low-contrast image
+ */
+async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  if (Math.max(...pixels) - Math.min(...pixels) < MIN_HASH_CONTRAST) return null;
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Whether a hash carries enough detail to compare with others. Near-uniform hashes come from minimalist
+ * or gradient works, which would otherwise all match each other
+ * @param {string|null} hash - Hash from perceptualHash
+ * @returns {boolean} - Whether to look for duplicates with it
+ */
+function isDistinctiveHash(hash) {
+  if (!hash) return false;
+  const bits = hammingDistance(hash, '0000000000000000');
+  return bits >= MIN_HASH_BITS && bits <= 64 - MIN_HASH_BITS;
+}
+
+/**
+ * Number of bits that differ between two perceptual hashes
+ * @param {string} a - Hash from perceptualHash
+ * @param {string} b - Hash from perceptualHash
+ * @returns {number} - 0 (identical) to 64
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Check an uploaded artwork image, describe it, and strip its EXIF/GPS metadata
+ * Each broken rule is reported separately so the creator form can show all of them at once
+ * @param {Object} file - Upload with buffer
+ * @param {Object} [rules] - Limits to check against
+ * @param {number} [rules.maxBytes] - Largest file allowed
+ * @returns {Promise<Object>} - { file, metadata } where file is the cleaned { buffer, mimetype, size } and
+ *   metadata holds the artworks image columns, or { errors: [{ rule, message }] }
+ */
+async function prepareArtworkImage(file, { maxBytes = Infinity } = {}) {
+  const errors = [];
+  if (file.buffer.length > maxBytes) {
+    errors.push({ rule: 'file_size', message: `Images must be ${Math.round(maxBytes / 1048576)}MB or smaller` });
+  }
+
+  const mimetype = detectImageType(file.buffer);
+  if (!mimetype) {
+    errors.push({ rule: 'format', message: 'This file is not a JPG, PNG, GIF or WebP image' });
+    return { errors };
+  }
+
+  let info;
+  try {
+    info = await sharp(file.buffer).metadata();
+  } catch (e) {
+    return { errors: [...errors, { rule: 'corrupt', message: 'This image is damaged and could not be read' }] };
+  }
+
+  // EXIF orientations 5-8 are rotated a quarter turn, so the stored width and height swap when displayed
+  const rotated = (info.orientation || 1) >= 5;
+  const width = rotated ? info.height : info.width;
+  const height = rotated ? info.width : info.height;
+  if (width < MIN_IMAGE_DIMENSION || height < MIN_IMAGE_DIMENSION) {
+    errors.push({
+      rule: 'min_dimensions',
+      message: `Images must be at least ${MIN_IMAGE_DIMENSION}×${MIN_IMAGE_DIMENSION} pixels; this one is ${width}×${height}`
+    });
+  }
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    errors.push({
+      rule: 'max_dimensions',
+      message: `Images can be at most ${MAX_IMAGE_DIMENSION} pixels on each side; this one is ${width}×${height}`
+    });
+  }
+  if (errors.length) return { errors };
+
+  let palette;
+  let hash;
+  let buffer = file.buffer;
+  try {
+    // Decoding every pixel is what catches truncated or corrupt files
+    palette = await extractPalette(file.buffer);
+    hash = await perceptualHash(file.buffer);
+
+    // GIFs carry no EXIF; the other formats are re-encoded without metadata, keeping only the colour profile
+    const hasMetadata = info.exif || info.xmp || info.iptc || (info.orientation || 1) > 1;
+    if (hasMetadata && mimetype !== 'image/gif') {
+      const image = sharp(file.buffer).rotate().keepIccProfile();
+      if (mimetype === 'image/jpeg') buffer = await image.jpeg({ quality: 95, chromaSubsampling: '4:4:4' }).toBuffer();
+      if (mimetype === 'image/png') buffer = await image.png().toBuffer();
+      if (mimetype === 'image/webp') buffer = await image.webp({ quality: 95 }).toBuffer();
+    }
+  } catch (e) {
+    return { errors: [{ rule: 'corrupt', message: 'This image is damaged or incomplete and could not be read' }] };
+  }
+
+  return {
+    file: { ...file, buffer, mimetype, size: buffer.length },
+    metadata: {
+      image_width: width,
+      image_height: height,
+      aspect_ratio: Math.round((width / height) * 10000) / 10000,
+      color_space: info.space || null,
+      color_profile: iccProfileName(info.icc),
+      color_palette: palette,
+      perceptual_hash: hash
+    }
+  };
+}
+
+module.exports = {
+  PREVIEW_MAX_DIMENSION,
+  PREVIEW_WIDTHS,
+  MIN_IMAGE_DIMENSION,
+  MAX_IMAGE_DIMENSION,
+  detectImageType,
+  extractPalette,
+  perceptualHash,
+  hammingDistance,
+  isDistinctiveHash,
+  prepareArtworkImage,
+  createWatermarkedPreview,
+  createPreviewVariants,
+  createPlaceholder
+};
@@ -0,0 +1,32 @@
+// Shared Artwork Images
+// Renders listing thumbnails from the preview variants stored with each artwork (preview_srcset), so the
+// browser downloads the size that fits the card. The blurred placeholder shows until the image arrives,
+// and cards below the fold are only fetched when they scroll into view.
+
+// Make artist-supplied text safe to put into HTML markup or a quoted attribute
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function artworkImageTag(artwork, options = {}) {
+  const {
+    className = '',
+    sizes = '100vw',
+    alt = artwork.title || 'Artwork',
+    fallback = '',
+    eager = false
+  } = options;
+  const src = artwork.display_url || artwork.image_url || fallback;
+  const srcset = artwork.preview_srcset ? `srcset="${escapeHtml(artwork.preview_srcset)}" sizes="${sizes}"` : '';
+  const placeholder = artwork.placeholder_url
+    ? `style="background: url('${escapeHtml(artwork.placeholder_url)}') center / cover no-repeat" onload="this.style.background = ''"`
+    : '';
+
+  return `<img class="${className}" src="${escapeHtml(src)}" ${srcset} ${placeholder}
+    loading="${eager ? 'eager' : 'lazy'}" decoding="async" alt="${escapeHtml(alt)}">`;
+}
@@ -0,0 +1,100 @@
+// Editions and inventory
+// An artwork is an original (one sale), a limited edition of N, or an open edition (unlimited).
+// Stock is reserved atomically in Postgres when an order is created; these helpers describe it for the API
+
+const EDITION_TYPES = ['original', 'limited', 'open'];
+const DEFAULT_RESERVATION_MINUTES = 15;
+
+/**
+ * How many copies of an artwork can ever be sold
+ * @param {Object} artwork - artworks row
+ * @returns {number|null} - Edition size, or null for an open edition
+ */
+function editionCapacity(artwork) {
+  switch (artwork.edition_type || 'original') {
+    case 'open':
+      return null;
+    case 'limited':
+      return Number(artwork.edition_size) || 0;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Whether every copy of an artwork has been sold (reservations not counted)
+ * @param {Object} artwork - artworks row
+ * @returns {boolean} - Whether the artwork is sold out
+ */
+function isSoldOut(artwork) {
+  const capacity = editionCapacity(artwork);
+  return capacity != null && Number(artwork.sold_count || 0) >= capacity;
+}
+
+/**
+ * Describe what is left of an artwork's edition, for listing cards
+ * Copies held by unpaid orders count as taken until their reservation lapses
+ * @param {Object} artwork - artworks row
+ * @returns {Object} - { remaining, sold_out, availability_label }
+ */
+function editionAvailability(artwork) {
+  const capacity = editionCapacity(artwork);
+  if (capacity == null) {
+    return { remaining: null, sold_out: false, availability_label: 'Open edition' };
+  }
+
+  const taken = Number(artwork.sold_count || 0) + Number(artwork.reserved_count || 0);
+  const remaining = Math.max(capacity - taken, 0);
+
+  let label;
+  if (remaining === 0) {
+    label = 'Sold out';
+  } else if ((artwork.edition_type || 'original') === 'original') {
+    label = 'Original';
+  } else {
+    label = `${remaining} of ${capacity} left`;
+  }
+
+  return { remaining, sold_out: remaining === 0, availability_label: label };
+}
+
+/**
+ * Validate edition fields sent by an artist
+ * @param {Object} input - Request body fields
+ * @param {string} [input.edition_type] - original, limited or open (defaults to original)
+ * @param {number} [input.edition_size] - Number of copies, required for a limited edition
+ * @returns {Object} - { edition_type, edition_size } or { error }
+ */
+function normalizeEdition({ edition_type, edition_size } = {}) {
+  const type = edition_type || 'original';
+  if (!EDITION_TYPES.includes(type)) {
+    return { error: `edition_type must be one of ${EDITION_TYPES.join(', ')}` };
+  }
+  if (type !== 'limited') return { edition_type: type, edition_size: null };
+
+  const size = Number(edition_size);
+  if (!Number.isInteger(size) || size < 1) {
+    return { error: 'edition_size must be a whole number of at least 1 for a limited edition' };
+  }
+  return { edition_type: type, edition_size: size };
+}
+
+/**
+ * Read how long an unpaid order may hold its artworks
+ * @param {Object} env - Environment variables
+ * @returns {number} - Reservation lifetime in minutes
+ */
+function reservationMinutesFromEnv(env = process.env) {
+  const minutes = Number((env.ORDER_RESERVATION_MINUTES || '').trim());
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_RESERVATION_MINUTES;
+}
+
+module.exports = {
+  EDITION_TYPES,
+  DEFAULT_RESERVATION_MINUTES,
+  editionCapacity,
+  isSoldOut,
+  editionAvailability,
+  normalizeEdition,
+  reservationMinutesFromEnv
+};
@@ -0,0 +1,249 @@
+-- Inventory Migration for Artify
+-- Edition sizes, sold counts and checkout reservations so an original can only be sold once
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS edition_type text DEFAULT 'original' NOT NULL;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS edition_size integer;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS sold_count integer DEFAULT 0 NOT NULL;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS reserved_count integer DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.artworks DROP CONSTRAINT IF EXISTS artworks_edition_check;
+ALTER TABLE public.artworks ADD CONSTRAINT artworks_edition_check CHECK (
+  edition_type IN ('original', 'limited', 'open')
+  AND (edition_type <> 'limited' OR edition_size >= 1)
+  AND sold_count >= 0
+  AND reserved_count >= 0
+);
+
+-- Artworks are edited through the server, which keeps price history and stock consistent.
+-- Without this an artist could rewrite their own sold_count, reserved_count or price with the anon key
+DROP POLICY IF EXISTS "Users can update own artworks." ON public.artworks;
+
+-- Artworks inserted from the browser start with nothing sold or held
+CREATE OR REPLACE FUNCTION public.protect_artwork_inventory()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    NEW.sold_count := 0;
+    NEW.reserved_count := 0;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_artwork_inventory ON public.artworks;
+CREATE TRIGGER protect_artwork_inventory
+  BEFORE INSERT ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.protect_artwork_inventory();
+
+-- Count sales made before inventory tracking existed
+UPDATE public.artworks a
+SET sold_count = sales.count
+FROM (
+  SELECT oi.artwork_id, count(*) AS count
+  FROM public.order_items oi
+  JOIN public.orders o ON o.id = oi.order_id
+  WHERE o.status = 'paid' AND oi.artwork_id IS NOT NULL
+  GROUP BY oi.artwork_id
+) sales
+WHERE a.id = sales.artwork_id;
+
+CREATE TABLE IF NOT EXISTS public.artwork_reservations (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id uuid REFERENCES public.orders(id) ON DELETE CASCADE NOT NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  status text DEFAULT 'active' NOT NULL
+    CHECK (status IN ('active', 'converted', 'released')),
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (order_id, artwork_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artwork_reservations_active
+  ON public.artwork_reservations(expires_at) WHERE status = 'active';
+
+-- Reservations are only touched by the server's service role
+ALTER TABLE public.artwork_reservations ENABLE ROW LEVEL SECURITY;
+
+-- Release reservations whose payment window has passed and fail their unpaid orders;
+-- returns how many orders were failed
+CREATE OR REPLACE FUNCTION public.release_expired_reservations()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_failed integer;
+BEGIN
+  WITH expired AS (
+    UPDATE public.artwork_reservations
+    SET status = 'released'
+    WHERE status = 'active' AND expires_at <= now()
+    RETURNING order_id, artwork_id
+  ), restocked AS (
+    UPDATE public.artworks a
+    SET reserved_count = greatest(a.reserved_count - e.count, 0)
+    FROM (SELECT artwork_id, count(*) AS count FROM expired GROUP BY artwork_id) e
+    WHERE a.id = e.artwork_id
+    RETURNING a.id
+  )
+  UPDATE public.orders
+  SET status = 'failed'
+  WHERE status = 'created' AND id IN (SELECT order_id FROM expired);
+
+  GET DIAGNOSTICS v_failed = ROW_COUNT;
+  RETURN v_failed;
+END;
+$$;
+
+-- Hold one copy of each artwork for an order. Either every artwork is reserved or none is;
+-- the ids that could not be reserved are returned
+CREATE OR REPLACE FUNCTION public.reserve_artworks(p_order_id uuid, p_artwork_ids uuid[], p_expires_at timestamp with time zone)
+RETURNS uuid[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_artwork record;
+  v_unavailable uuid[] := '{}';
+BEGIN
+  PERFORM public.release_expired_reservations();
+
+  -- Lock rows in a fixed order so overlapping checkouts cannot deadlock
+  FOR v_artwork IN
+    SELECT id, edition_type, edition_size, sold_count, reserved_count
+    FROM public.artworks
+    WHERE id = ANY(p_artwork_ids)
+    ORDER BY id
+    FOR UPDATE
+  LOOP
+    IF v_artwork.edition_type <> 'open'
+      AND v_artwork.sold_count + v_artwork.reserved_count >=
+        (CASE WHEN v_artwork.edition_type = 'limited' THEN v_artwork.edition_size ELSE 1 END)
+    THEN
+      v_unavailable := array_append(v_unavailable, v_artwork.id);
+    END IF;
+  END LOOP;
+
+  IF cardinality(v_unavailable) > 0 THEN
+    RETURN v_unavailable;
+  END IF;
+
+  UPDATE public.artworks SET reserved_count = reserved_count + 1 WHERE id = ANY(p_artwork_ids);
+  INSERT INTO public.artwork_reservations (order_id, artwork_id, expires_at)
+  SELECT p_order_id, artwork_id, p_expires_at FROM unnest(p_artwork_ids) AS artwork_id;
+
+  RETURN v_unavailable;
+END;
+$$;
+
+-- Give back an order's held copies (checkout abandoned or the gateway failed)
+CREATE OR REPLACE FUNCTION public.release_order_reservations(p_order_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  WITH released AS (
+    UPDATE public.artwork_reservations
+    SET status = 'released'
+    WHERE order_id = p_order_id AND status = 'active'
+    RETURNING artwork_id
+  )
+  UPDATE public.artworks a
+  SET reserved_count = greatest(a.reserved_count - 1, 0)
+  FROM released r
+  WHERE a.id = r.artwork_id;
+END;
+$$;
+
+-- Turn a paid order's reservations into sales. A buyer who paid after the reservation lapsed only gets
+-- the artworks if copies are still free, so lapsed or missing reservations take a copy under a row lock.
+-- Either every artwork is sold or none is; the ids with no copy left are returned for the payment to be refunded
+DROP FUNCTION IF EXISTS public.convert_order_reservations(uuid);
+CREATE OR REPLACE FUNCTION public.convert_order_reservations(p_order_id uuid)
+RETURNS uuid[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_artwork record;
+  v_refused uuid[] := '{}';
+BEGIN
+  -- Copies still held for the order are already counted; the rest need one free now
+  FOR v_artwork IN
+    SELECT id, edition_type, edition_size, sold_count, reserved_count
+    FROM public.artworks
+    WHERE id IN (
+      SELECT oi.artwork_id
+      FROM public.order_items oi
+      WHERE oi.order_id = p_order_id AND oi.artwork_id IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM public.artwork_reservations r
+          WHERE r.order_id = p_order_id AND r.artwork_id = oi.artwork_id AND r.status IN ('active', 'converted')
+        )
+    )
+    ORDER BY id
+    FOR UPDATE
+  LOOP
+    IF v_artwork.edition_type <> 'open'
+      AND v_artwork.sold_count + v_artwork.reserved_count >=
+        (CASE WHEN v_artwork.edition_type = 'limited' THEN v_artwork.edition_size ELSE 1 END)
+    THEN
+      v_refused := array_append(v_refused, v_artwork.id);
+    END IF;
+  END LOOP;
+
+  IF cardinality(v_refused) > 0 THEN
+    RETURN v_refused;
+  END IF;
+
+  WITH converted AS (
+    UPDATE public.artwork_reservations
+    SET status = 'converted'
+    WHERE order_id = p_order_id AND status = 'active'
+    RETURNING artwork_id
+  )
+  UPDATE public.artworks a
+  SET reserved_count = greatest(a.reserved_count - 1, 0), sold_count = a.sold_count + 1
+  FROM converted c
+  WHERE a.id = c.artwork_id;
+
+  WITH lapsed AS (
+    UPDATE public.artwork_reservations
+    SET status = 'converted'
+    WHERE order_id = p_order_id AND status = 'released'
+    RETURNING artwork_id
+  )
+  UPDATE public.artworks a
+  SET sold_count = a.sold_count + 1
+  FROM lapsed l
+  WHERE a.id = l.artwork_id;
+
+  WITH unreserved AS (
+    INSERT INTO public.artwork_reservations (order_id, artwork_id, status, expires_at)
+    SELECT p_order_id, oi.artwork_id, 'converted', now()
+    FROM public.order_items oi
+    WHERE oi.order_id = p_order_id AND oi.artwork_id IS NOT NULL
+    ON CONFLICT (order_id, artwork_id) DO NOTHING
+    RETURNING artwork_id
+  )
+  UPDATE public.artworks a
+  SET sold_count = a.sold_count + 1
+  FROM unreserved u
+  WHERE a.id = u.artwork_id;
+
+  RETURN v_refused;
+END;
+$$;
+
+-- Stock only moves through the server's checkout, payment and expiry paths
+REVOKE EXECUTE ON FUNCTION public.release_expired_reservations() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.reserve_artworks(uuid, uuid[], timestamp with time zone) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.release_order_reservations(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.convert_order_reservations(uuid) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN public.artworks.edition_type IS 'original (one copy), limited (edition_size copies) or open (unlimited)';
+COMMENT ON COLUMN public.artworks.sold_count IS 'Copies sold through paid orders';
+COMMENT ON COLUMN public.artworks.reserved_count IS 'Copies held by unpaid orders until their reservation expires';
@@ -0,0 +1,452 @@
+// GST tax invoices
+// Builds the invoice for a paid order and renders it as HTML or as a PDF written here, with no external service
+
+const { GST_RATE, roundCurrency, splitProportionally } = require('./pricing-server');
+
+const ARTWORK_SAC = '998439'; // Online content: digital artwork downloads
+const PLATFORM_FEE_SAC = '998599'; // Other support services: marketplace fee
+
+// GST state codes, used for the place of supply
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+/**
+ * Normalise a GST state code, e.g. 7 -> '07'
+ * @param {string|number} code - State code as entered
+ * @returns {string|null} - Two-digit code, or null if it is not a known state
+ */
+function normalizeStateCode(code) {
+  if (code == null || code === '') return null;
+  const padded = String(code).trim().padStart(2, '0');
+  return GST_STATES[padded] ? padded : null;
+}
+
+/**
+ * Read the seller details printed on every invoice
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Seller details, or null when invoicing is not configured
+ */
+function invoiceSellerFromEnv(env = process.env) {
+  const gstin = (env.INVOICE_SELLER_GSTIN || '').trim().toUpperCase();
+  const stateCode = normalizeStateCode(env.INVOICE_SELLER_STATE);
+  if (!gstin || !stateCode) return null;
+
+  return {
+    name: (env.INVOICE_SELLER_NAME || 'Artify').trim(),
+    gstin,
+    address: (env.INVOICE_SELLER_ADDRESS || '').trim(),
+    state: stateCode
+  };
+}
+
+/**
+ * Split a line's GST into CGST + SGST (same state) or IGST (different states)
+ * @param {number} tax - GST on the line in rupees
+ * @param {boolean} interstate - Whether the place of supply is outside the seller's state
+ * @returns {Object} - { cgst, sgst, igst }
+ */
+function splitTax(tax, interstate) {
+  if (interstate) return { cgst: 0, sgst: 0, igst: tax };
+  const cgst = roundCurrency(tax / 2);
+  return { cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+}
+
+/**
+ * Build the invoice for an order
+ * Each artwork is a line at its discounted price and the platform fee is its own line;
+ * the order's GST is shared across them by taxable value so the lines add up to the amount charged
+ * @param {Object} order - Order with its items (as returned by the orders API)
+ * @param {Object} invoice - invoices row: number plus the seller and buyer details captured when issued
+ * @returns {Object} - Invoice ready to render
+ */
+function buildInvoice(order, invoice) {
+  const placeOfSupply = invoice.buyer_state || invoice.seller_state;
+  const interstate = placeOfSupply !== invoice.seller_state;
+
+  const rows = order.items.map(item => ({
+    description: item.title,
+    sac: ARTWORK_SAC,
+    taxable: roundCurrency(Number(item.price) - Number(item.discount || 0))
+  }));
+  rows.push({ description: 'Platform fee', sac: PLATFORM_FEE_SAC, taxable: Number(order.platform_fee) });
+
+  const taxes = splitProportionally(Number(order.gst), rows.map(row => row.taxable));
+  const lines = rows.map((row, i) => ({
+    ...row,
+    ...splitTax(taxes[i], interstate),
+    total: roundCurrency(row.taxable + taxes[i])
+  }));
+
+  const sum = field => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    title: 'Tax Invoice',
+    number: invoice.invoice_number,
+    issued_at: invoice.issued_at,
+    order_id: order.id,
+    payment_id: order.razorpay_payment_id,
+    currency: order.currency,
+    seller: {
+      name: invoice.seller_name,
+      gstin: invoice.seller_gstin,
+      address: invoice.seller_address,
+      state: invoice.seller_state,
+      state_name: GST_STATES[invoice.seller_state]
+    },
+    buyer: {
+      name: invoice.buyer_name,
+      email: invoice.buyer_email,
+      state: invoice.buyer_state,
+      state_name: GST_STATES[invoice.buyer_state] || null
+    },
+    place_of_supply: `${GST_STATES[placeOfSupply]} (${placeOfSupply})`,
+    interstate,
+    rate: GST_RATE * 100,
+    lines,
+    totals: {
+      taxable: sum('taxable'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      total: sum('total')
+    }
+  };
+}
+
+/**
+ * Build the credit note for a refund against an order's invoice
+ * The refund is spread over the invoice's lines by their totals, and each line's share is split back into
+ * taxable value and GST at the invoice's ratio, so a full refund reverses the invoice line for line
+ * @param {Object} order - Order with its items (as returned by the orders API)
+ * @param {Object} invoice - invoices row the credit note cancels
+ * @param {Object} creditNote - credit_notes row: number and amount refunded
+ * @returns {Object} - Credit note ready to render, in the same shape as an invoice
+ */
+function buildCreditNote(order, invoice, creditNote) {
+  const original = buildInvoice(order, invoice);
+  const credited = splitProportionally(Number(creditNote.amount), original.lines.map(line => line.total));
+
+  const lines = original.lines.map((line, i) => {
+    const taxable = line.total > 0 ? roundCurrency(credited[i] * line.taxable / line.total) : 0;
+    return {
+      description: line.description,
+      sac: line.sac,
+      taxable,
+      ...splitTax(roundCurrency(credited[i] - taxable), original.interstate),
+      total: credited[i]
+    };
+  });
+
+  const sum = field => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    ...original,
+    title: 'Credit Note',
+    number: creditNote.credit_note_number,
+    issued_at: creditNote.issued_at,
+    reference: `Against invoice ${invoice.invoice_number}`,
+    lines,
+    totals: {
+      taxable: sum('taxable'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      total: sum('total')
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatRupees(value) {
+  return `₹${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice from buildInvoice or credit note from buildCreditNote
+ * @returns {string} - HTML document
+ */
+function renderInvoiceHtml(invoice) {
+  const taxHeaders = invoice.interstate
+    ? `<th>IGST (${invoice.rate}%)</th>`
+    : `<th>CGST (${invoice.rate / 2}%)</th><th>SGST (${invoice.rate / 2}%)</th>`;
+  const taxCells = line => invoice.interstate
+    ? `<td>${formatRupees(line.igst)}</td>`
+    : `<td>${formatRupees(line.cgst)}</td><td>${formatRupees(line.sgst)}</td>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1f2937; max-width: 820px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 24px; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; font-size: 14px; }
+    th, td { border: 1px solid #d1d5db; padding: 8px; text-align: right; }
+    th:nth-child(2), td:nth-child(2) { text-align: left; }
+    .parties { display: flex; justify-content: space-between; gap: 24px; margin-top: 24px; font-size: 14px; }
+    .muted { color: #6b7280; }
+    tfoot td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(invoice.title)}</h1>
+  <div class="muted">No. ${escapeHtml(invoice.number)} &middot; ${escapeHtml(formatDate(invoice.issued_at))}</div>
+  ${invoice.reference ? `<div class="muted">${escapeHtml(invoice.reference)}</div>` : ''}
+  <div class="muted">Order ${escapeHtml(invoice.order_id)}${invoice.payment_id ? ` &middot; Payment ${escapeHtml(invoice.payment_id)}` : ''}</div>
+
+  <div class="parties">
+    <div>
+      <strong>Sold by</strong><br>
+      ${escapeHtml(invoice.seller.name)}<br>
+      ${invoice.seller.address ? `${escapeHtml(invoice.seller.address)}<br>` : ''}
+      ${escapeHtml(invoice.seller.state_name)} (${escapeHtml(invoice.seller.state)})<br>
+      GSTIN: ${escapeHtml(invoice.seller.gstin)}
+    </div>
+    <div>
+      <strong>Billed to</strong><br>
+      ${escapeHtml(invoice.buyer.name)}<br>
+      ${escapeHtml(invoice.buyer.email)}<br>
+      ${invoice.buyer.state_name ? `${escapeHtml(invoice.buyer.state_name)} (${escapeHtml(invoice.buyer.state)})<br>` : ''}
+      Place of supply: ${escapeHtml(invoice.place_of_supply)}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>#</th><th>Description</th><th>HSN/SAC</th><th>Taxable value</th>${taxHeaders}<th>Total</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.lines.map((line, i) => `<tr><td>${i + 1}</td><td>${escapeHtml(line.description)}</td><td>${line.sac}</td><td>${formatRupees(line.taxable)}</td>${taxCells(line)}<td>${formatRupees(line.total)}</td></tr>`).join('\n      ')}
+    </tbody>
+    <tfoot>
+      <tr><td></td><td>Total</td><td></td><td>${formatRupees(invoice.totals.taxable)}</td>${taxCells(invoice.totals)}<td>${formatRupees(invoice.totals.total)}</td></tr>
+    </tfoot>
+  </table>
+
+  <p class="muted">This is a computer-generated ${escapeHtml(invoice.title.toLowerCase())} and does not require a signature.</p>
+</body>
+</html>`;
+}
+
+// ---- Minimal PDF writer: Helvetica text and rules on A4 pages ----
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// The standard fonts only cover WinAnsi, so swap out anything they cannot draw
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/₹/g, 'Rs. ')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function pdfAmount(value) {
+  return Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Rough Helvetica width so numbers can be right-aligned
+function textWidth(value, size) {
+  return String(value).length * size * 0.5;
+}
+
+function createPdfDocument() {
+  const pages = [];
+  let ops;
+  let y;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+
+  addPage();
+
+  return {
+    get y() { return y; },
+    moveDown(amount) {
+      y -= amount;
+      if (y < MARGIN) addPage();
+    },
+    text(x, value, { size = 10, bold = false, align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(value, size) : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${pdfText(value)}) Tj ET`);
+    },
+    rule() {
+      ops.push(`${MARGIN} ${(y - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - 4).toFixed(2)} l 0.5 w S`);
+    },
+    toBuffer() {
+      const objects = [];
+      const add = body => objects.push(body) + 1; // object 1 is the catalog
+
+      const pagesId = 2;
+      objects.push(null); // placeholder for the page tree
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map(pageOps => {
+        const stream = pageOps.join('\n');
+        const contents = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`);
+      });
+      objects[0] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      const all = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, ...objects];
+      let out = '%PDF-1.4\n';
+      const offsets = all.map((body, i) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${all.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice from buildInvoice or credit note from buildCreditNote
+ * @returns {Buffer} - PDF file contents
+ */
+function renderInvoicePdf(invoice) {
+  const doc = createPdfDocument();
+  const right = PAGE_WIDTH - MARGIN;
+
+  doc.text(MARGIN, invoice.title, { size: 20, bold: true });
+  doc.moveDown(20);
+  doc.text(MARGIN, `No. ${invoice.number}   Date: ${formatDate(invoice.issued_at)}`);
+  doc.moveDown(14);
+  if (invoice.reference) {
+    doc.text(MARGIN, invoice.reference);
+    doc.moveDown(14);
+  }
+  doc.text(MARGIN, `Order ${invoice.order_id}${invoice.payment_id ? `   Payment ${invoice.payment_id}` : ''}`);
+  doc.moveDown(28);
+
+  const half = PAGE_WIDTH / 2;
+  const seller = [
+    invoice.seller.name,
+    invoice.seller.address,
+    `${invoice.seller.state_name} (${invoice.seller.state})`,
+    `GSTIN: ${invoice.seller.gstin}`
+  ].filter(Boolean);
+  const buyer = [
+    invoice.buyer.name,
+    invoice.buyer.email,
+    invoice.buyer.state_name ? `${invoice.buyer.state_name} (${invoice.buyer.state})` : null,
+    `Place of supply: ${invoice.place_of_supply}`
+  ].filter(Boolean);
+
+  doc.text(MARGIN, 'Sold by', { bold: true });
+  doc.text(half, 'Billed to', { bold: true });
+  for (let i = 0; i < Math.max(seller.length, buyer.length); i++) {
+    doc.moveDown(14);
+    if (seller[i]) doc.text(MARGIN, seller[i]);
+    if (buyer[i]) doc.text(half, buyer[i]);
+  }
+  doc.moveDown(30);
+
+  const taxColumns = invoice.interstate
+    ? [['igst', `IGST ${invoice.rate}%`]]
+    : [['cgst', `CGST ${invoice.rate / 2}%`], ['sgst', `SGST ${invoice.rate / 2}%`]];
+  const amountColumns = [['taxable', 'Taxable'], ...taxColumns, ['total', 'Total']];
+  const columnRight = amountColumns.map((_, i) => right - (amountColumns.length - 1 - i) * 70);
+
+  function row(cells, options) {
+    doc.text(MARGIN, cells.index, options);
+    doc.text(MARGIN + 20, cells.description.length > 30 ? `${cells.description.slice(0, 29)}...` : cells.description, options);
+    doc.text(MARGIN + 190, cells.sac, options);
+    amountColumns.forEach(([field], i) => doc.text(columnRight[i], cells[field], { ...options, align: 'right' }));
+    doc.rule();
+    doc.moveDown(18);
+  }
+
+  const header = { index: '#', description: 'Description', sac: 'HSN/SAC' };
+  amountColumns.forEach(([field, label]) => { header[field] = label; });
+  row(header, { bold: true });
+
+  invoice.lines.forEach((line, i) => {
+    const cells = { index: String(i + 1), description: line.description, sac: line.sac };
+    amountColumns.forEach(([field]) => { cells[field] = pdfAmount(line[field]); });
+    row(cells);
+  });
+
+  const totals = { index: '', description: 'Total (Rs.)', sac: '' };
+  amountColumns.forEach(([field]) => { totals[field] = pdfAmount(invoice.totals[field]); });
+  row(totals, { bold: true });
+
+  doc.moveDown(12);
+  doc.text(MARGIN, `This is a computer-generated ${invoice.title.toLowerCase()} and does not require a signature.`, { size: 8 });
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  ARTWORK_SAC,
+  PLATFORM_FEE_SAC,
+  GST_STATES,
+  normalizeStateCode,
+  invoiceSellerFromEnv,
+  splitTax,
+  buildInvoice,
+  buildCreditNote,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,162 @@
+-- Invoices Migration for Artify
+-- GST tax invoices with sequential numbers, plus the billing details buyers give at checkout
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS billing_name text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS billing_email text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS billing_state text;
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id uuid REFERENCES public.orders(id) ON DELETE RESTRICT NOT NULL UNIQUE,
+  buyer_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  invoice_number text NOT NULL UNIQUE,
+  seller_name text NOT NULL,
+  seller_gstin text NOT NULL,
+  seller_address text,
+  seller_state text NOT NULL,
+  buyer_name text,
+  buyer_email text,
+  buyer_state text,
+  issued_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_buyer_id ON public.invoices(buyer_id);
+
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+
+-- Buyers can read their own invoices; invoices are issued by the server's service role
+DROP POLICY IF EXISTS "Users can view their own invoices." ON public.invoices;
+CREATE POLICY "Users can view their own invoices." ON public.invoices
+  FOR SELECT USING (auth.uid() = buyer_id);
+
+-- Credit notes cancel all or part of an invoice when its order is refunded, one per refund
+CREATE TABLE IF NOT EXISTS public.credit_notes (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  invoice_id uuid REFERENCES public.invoices(id) ON DELETE RESTRICT NOT NULL,
+  order_id uuid REFERENCES public.orders(id) ON DELETE RESTRICT NOT NULL,
+  buyer_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  refund_id text REFERENCES public.order_refunds(id) ON DELETE RESTRICT NOT NULL UNIQUE,
+  credit_note_number text NOT NULL UNIQUE,
+  amount numeric NOT NULL,
+  issued_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_order_id ON public.credit_notes(order_id);
+
+ALTER TABLE public.credit_notes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own credit notes." ON public.credit_notes;
+CREATE POLICY "Users can view their own credit notes." ON public.credit_notes
+  FOR SELECT USING (auth.uid() = buyer_id);
+
+-- Invoice and credit note numbers must run without gaps, which a sequence does not promise (a failed insert
+-- still uses up its value). A counter row is bumped inside the same transaction as the insert instead, so a
+-- rollback gives the number back, and its row lock hands out numbers one at a time
+CREATE TABLE IF NOT EXISTS public.document_counters (
+  series text PRIMARY KEY, -- INV or CN
+  last_number bigint NOT NULL
+);
+
+ALTER TABLE public.document_counters ENABLE ROW LEVEL SECURITY;
+
+-- Installs that numbered invoices from a sequence carry on from their last invoice
+ALTER TABLE public.invoices ALTER COLUMN invoice_number DROP DEFAULT;
+DROP SEQUENCE IF EXISTS public.invoice_number_seq;
+INSERT INTO public.document_counters (series, last_number)
+SELECT 'INV', coalesce(max(substring(invoice_number FROM 5)::bigint), 0) FROM public.invoices
+ON CONFLICT (series) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.next_document_number(p_series text)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_number bigint;
+BEGIN
+  INSERT INTO public.document_counters (series, last_number) VALUES (p_series, 1)
+  ON CONFLICT (series) DO UPDATE SET last_number = public.document_counters.last_number + 1
+  RETURNING last_number INTO v_number;
+  RETURN p_series || '-' || lpad(v_number::text, 6, '0');
+END;
+$$;
+
+-- Issue the invoice for a paid order, or return the one it already has. The buyer's billing details are
+-- copied from the order, falling back to their account
+CREATE OR REPLACE FUNCTION public.issue_invoice(p_order_id uuid, p_seller_name text, p_seller_gstin text, p_seller_address text, p_seller_state text)
+RETURNS public.invoices
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_order public.orders%ROWTYPE;
+  v_invoice public.invoices%ROWTYPE;
+BEGIN
+  -- Concurrent calls for one order wait here, then find the invoice the first one issued
+  SELECT * INTO v_order FROM public.orders WHERE id = p_order_id FOR UPDATE;
+  SELECT * INTO v_invoice FROM public.invoices WHERE order_id = p_order_id;
+  IF FOUND THEN
+    RETURN v_invoice;
+  END IF;
+  IF v_order.id IS NULL OR v_order.status <> 'paid' THEN
+    RAISE EXCEPTION 'Order % is not paid', p_order_id;
+  END IF;
+
+  INSERT INTO public.invoices (
+    order_id, buyer_id, invoice_number, seller_name, seller_gstin, seller_address, seller_state,
+    buyer_name, buyer_email, buyer_state
+  )
+  SELECT
+    v_order.id, v_order.buyer_id, public.next_document_number('INV'),
+    p_seller_name, p_seller_gstin, p_seller_address, p_seller_state,
+    coalesce(v_order.billing_name, u.raw_user_meta_data->>'name', u.email),
+    coalesce(v_order.billing_email, u.email),
+    v_order.billing_state
+  FROM (SELECT v_order.buyer_id AS buyer_id) o
+  LEFT JOIN auth.users u ON u.id = o.buyer_id
+  RETURNING * INTO v_invoice;
+
+  RETURN v_invoice;
+END;
+$$;
+
+-- Issue the credit note for a refund, or return the one it already has.
+-- Returns NULL when the order was never invoiced, e.g. a late payment refused because the artwork sold out
+CREATE OR REPLACE FUNCTION public.issue_credit_note(p_refund_id text)
+RETURNS public.credit_notes
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_refund public.order_refunds%ROWTYPE;
+  v_invoice public.invoices%ROWTYPE;
+  v_credit_note public.credit_notes%ROWTYPE;
+BEGIN
+  SELECT * INTO v_refund FROM public.order_refunds WHERE id = p_refund_id FOR UPDATE;
+  SELECT * INTO v_credit_note FROM public.credit_notes WHERE refund_id = p_refund_id;
+  IF FOUND OR v_refund.id IS NULL THEN
+    RETURN v_credit_note;
+  END IF;
+
+  SELECT * INTO v_invoice FROM public.invoices WHERE order_id = v_refund.order_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.credit_notes (invoice_id, order_id, buyer_id, refund_id, credit_note_number, amount)
+  VALUES (v_invoice.id, v_invoice.order_id, v_invoice.buyer_id, v_refund.id, public.next_document_number('CN'), v_refund.amount)
+  RETURNING * INTO v_credit_note;
+
+  RETURN v_credit_note;
+END;
+$$;
+
+-- Numbers are only handed out by the server's payment and refund handling
+REVOKE EXECUTE ON FUNCTION public.next_document_number(text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.issue_invoice(uuid, text, text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.issue_credit_note(text) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN public.orders.billing_state IS 'GST state code of the buyer, used as the place of supply';
+COMMENT ON COLUMN public.invoices.invoice_number IS 'Gapless invoice number, assigned when the order is paid';
+COMMENT ON COLUMN public.credit_notes.amount IS 'Rupees refunded, GST included';
+COMMENT ON COLUMN public.invoices.seller_state IS 'GST state code of the seller when the invoice was issued';
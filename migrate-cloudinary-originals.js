@@ -0,0 +1,98 @@
+// Cloudinary originals migration
+// Artworks uploaded before originals were private still have a public /image/upload/ original. This makes each one
+// an authenticated asset, gives the artwork its watermarked previews and points old order lines at the preview.
+// Run with --dry-run to only list them:
+//   node migrate-cloudinary-originals.js --dry-run
+require("dotenv").config();
+
+const { createClient } = require("@supabase/supabase-js");
+const { createCloudinaryClientFromEnv, makeOriginalPrivate } = require("./cloudinary-server");
+const { createCloudinaryStorage, artworkPreviewImages } = require("./storage-server");
+
+const PAGE_SIZE = 1000;
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  for (const arg of argv) {
+    if (arg === "--dry-run") options.dryRun = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+// Every Cloudinary artwork whose original is still a public upload, a page at a time.
+// Loaded up front because migrated rows drop out of the filter
+async function loadPublicOriginals(supabase) {
+  const artworks = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("artworks")
+      .select("id,title,image_url,public_id,storage_provider,storage_key")
+      .eq("storage_provider", "cloudinary")
+      .like("image_url", "%/image/upload/%")
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load artworks: ${error.message}`);
+    artworks.push(...data);
+    if (data.length < PAGE_SIZE) return artworks;
+  }
+}
+
+async function migrateArtwork(supabase, cloudinary, storage, artwork) {
+  const result = await makeOriginalPrivate(cloudinary, artwork.public_id);
+  if (!result.success) throw new Error(result.error);
+
+  // public_id stays the same; the database re-derives it from the new URL
+  const previews = artworkPreviewImages(storage, { ...artwork, image_url: result.url });
+  const { error } = await supabase
+    .from("artworks")
+    .update({ image_url: result.url, cloudinary_url: null, ...previews })
+    .eq("id", artwork.id);
+  if (error) throw new Error(`Failed to update artwork: ${error.message}`);
+
+  const { error: itemsError } = await supabase
+    .from("order_items")
+    .update({ image_url: previews.preview_url })
+    .eq("artwork_id", artwork.id)
+    .eq("image_url", artwork.image_url);
+  if (itemsError) throw new Error(`Failed to update order items: ${itemsError.message}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const url = (process.env.SUPABASE_URL || "").trim();
+  const key = (process.env.SUPABASE_SERVICE_ROLE_KEY || "").trim();
+  if (!url || !key) throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required");
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  const cloudinary = createCloudinaryClientFromEnv();
+  if (!cloudinary) throw new Error("CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required");
+  const storage = { drivers: { cloudinary: createCloudinaryStorage(cloudinary) } };
+
+  const artworks = (await loadPublicOriginals(supabase)).filter(artwork => artwork.public_id);
+  console.log(`${artworks.length} artworks with a public original`);
+  artworks.forEach(artwork => console.log(`  ${artwork.public_id} (${artwork.title})`));
+
+  if (options.dryRun || artworks.length === 0) {
+    if (options.dryRun) console.log("Dry run: nothing changed");
+    return;
+  }
+
+  let failed = 0;
+  for (const artwork of artworks) {
+    try {
+      await migrateArtwork(supabase, cloudinary, storage, artwork);
+    } catch (e) {
+      failed += 1;
+      console.error(`  ${artwork.public_id}: ${e.message}`);
+    }
+  }
+  console.log(`Made ${artworks.length - failed} originals private`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
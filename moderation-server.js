@@ -0,0 +1,72 @@
+// Artwork moderation
+// New submissions wait in 'pending' until a moderator approves, rejects or asks for changes
+
+const MODERATION_ACTIONS = {
+  approve: { from: ['pending'], to: 'active', reasonRequired: false },
+  reject: { from: ['pending', 'active'], to: 'rejected', reasonRequired: true },
+  request_changes: { from: ['pending'], to: 'changes_requested', reasonRequired: true }
+};
+
+// Perceptual hashes at most this many bits apart (of 64) are treated as the same picture
+const DEFAULT_DUPLICATE_DISTANCE = 10;
+
+// What each action is recorded as in moderation_actions
+const ACTION_LOG_NAMES = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+/**
+ * Work out what a moderation action does to an artwork
+ * @param {Object} artwork - artworks row (needs status)
+ * @param {string} action - approve, reject or request_changes
+ * @param {string} [reason] - Reason shown to the artist
+ * @returns {Object} - { to, logAction, reason } or { status, error }
+ */
+function planModeration(artwork, action, reason) {
+  const rule = MODERATION_ACTIONS[action];
+  if (!rule) {
+    return { status: 400, error: `action must be one of ${Object.keys(MODERATION_ACTIONS).join(', ')}` };
+  }
+
+  const note = String(reason || '').trim();
+  if (rule.reasonRequired && !note) {
+    return { status: 400, error: 'A reason is required so the artist knows what to change' };
+  }
+  if (!rule.from.includes(artwork.status)) {
+    return { status: 409, error: `Cannot ${action.replace('_', ' ')} an artwork that is ${artwork.status}` };
+  }
+
+  return { to: rule.to, logAction: ACTION_LOG_NAMES[action], reason: note || null };
+}
+
+/**
+ * Whether an artist may send an artwork back to the queue
+ * @param {Object} artwork - artworks row
+ * @returns {boolean} - True once changes were requested
+ */
+function canResubmit(artwork) {
+  return artwork.status === 'changes_requested';
+}
+
+/**
+ * Read how close two images' perceptual hashes must be for a new artwork to be flagged as a duplicate
+ * @param {Object} env - Environment variables
+ * @returns {number} - Largest Hamming distance that counts as a match
+ */
+function duplicateDistanceFromEnv(env = process.env) {
+  const raw = (env.DUPLICATE_HASH_DISTANCE || '').trim();
+  if (!raw) return DEFAULT_DUPLICATE_DISTANCE;
+
+  const distance = Number(raw);
+  return Number.isInteger(distance) && distance >= 0 && distance <= 64 ? distance : DEFAULT_DUPLICATE_DISTANCE;
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  DEFAULT_DUPLICATE_DISTANCE,
+  duplicateDistanceFromEnv,
+  planModeration,
+  canResubmit
+};
@@ -0,0 +1,79 @@
+-- Moderation Migration for Artify
+-- New artworks wait for a moderator; every decision is kept in an audit trail the artist can read
+
+ALTER TABLE public.artworks DROP CONSTRAINT IF EXISTS artworks_status_check;
+ALTER TABLE public.artworks ADD CONSTRAINT artworks_status_check
+  CHECK (status IN ('pending', 'active', 'inactive', 'rejected', 'changes_requested'));
+ALTER TABLE public.artworks ALTER COLUMN status SET DEFAULT 'pending';
+
+CREATE TABLE IF NOT EXISTS public.moderation_actions (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  actor_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  action text NOT NULL
+    CHECK (action IN ('submitted', 'resubmitted', 'approved', 'rejected', 'changes_requested')),
+  from_status text,
+  to_status text NOT NULL,
+  reason text,
+  artist_seen_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_artwork_id ON public.moderation_actions(artwork_id);
+
+ALTER TABLE public.moderation_actions ENABLE ROW LEVEL SECURITY;
+
+-- Artists can read the history of their own artworks; actions are written by the server and triggers
+CREATE POLICY "Artists can view moderation of their artworks." ON public.moderation_actions
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.artworks a WHERE a.id = artwork_id AND a.artist_id = auth.uid())
+  );
+
+-- Only live artworks are public; artists still see their own submissions
+DROP POLICY IF EXISTS "Artworks are viewable by everyone." ON public.artworks;
+CREATE POLICY "Active artworks are viewable by everyone." ON public.artworks
+  FOR SELECT USING (status = 'active' OR auth.uid() = artist_id);
+
+-- Artists cannot publish their own work: inserts from the browser always start pending, and
+-- status changes only happen through the server
+CREATE OR REPLACE FUNCTION public.protect_artwork_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.status := 'pending';
+    ELSIF NEW.status IS DISTINCT FROM OLD.status THEN
+      RAISE EXCEPTION 'Artwork status can only be changed by a moderator';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_artwork_status ON public.artworks;
+CREATE TRIGGER protect_artwork_status
+  BEFORE INSERT OR UPDATE ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.protect_artwork_status();
+
+-- Every new artwork starts the audit trail, whichever page uploaded it
+CREATE OR REPLACE FUNCTION public.log_artwork_submission()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO public.moderation_actions (artwork_id, actor_id, action, to_status)
+  VALUES (NEW.id, NEW.artist_id, 'submitted', NEW.status);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_artwork_submission ON public.artworks;
+CREATE TRIGGER log_artwork_submission
+  AFTER INSERT ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.log_artwork_submission();
+
+COMMENT ON COLUMN public.moderation_actions.reason IS 'Why the artwork was rejected or what needs changing; shown to the artist';
+COMMENT ON COLUMN public.moderation_actions.artist_seen_at IS 'When the artist dismissed the decision on the creator page';
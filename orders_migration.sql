@@ -0,0 +1,32 @@
+-- Orders Migration for Artify
+-- Records every checkout server-side and links it to the Razorpay order and payment
+
+CREATE TABLE IF NOT EXISTS public.orders (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  buyer_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE SET NULL,
+  subtotal numeric NOT NULL,
+  platform_fee numeric NOT NULL,
+  gst numeric NOT NULL,
+  total numeric NOT NULL,
+  currency text DEFAULT 'INR' NOT NULL,
+  status text DEFAULT 'created' NOT NULL
+    CHECK (status IN ('created', 'paid', 'failed')),
+  razorpay_order_id text UNIQUE,
+  razorpay_payment_id text,
+  razorpay_signature text,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  paid_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_buyer_id ON public.orders(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_artwork_id ON public.orders(artwork_id);
+
+ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
+
+-- Buyers can read their own orders; all writes go through the server's service role
+CREATE POLICY "Users can view their own orders." ON public.orders
+  FOR SELECT USING (auth.uid() = buyer_id);
+
+COMMENT ON COLUMN public.orders.status IS 'Order state: created, paid or failed';
+COMMENT ON COLUMN public.orders.razorpay_order_id IS 'Razorpay order id returned when the order was created';
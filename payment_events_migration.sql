@@ -0,0 +1,47 @@
+-- Payment Events Migration for Artify
+-- Stores every Razorpay webhook delivery so replays are no-ops, and lets orders be refunded
+
+CREATE TABLE IF NOT EXISTS public.payment_events (
+  id text PRIMARY KEY, -- X-Razorpay-Event-Id
+  event text NOT NULL,
+  order_id uuid REFERENCES public.orders(id) ON DELETE SET NULL,
+  razorpay_order_id text,
+  razorpay_payment_id text,
+  payload jsonb NOT NULL,
+  received_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  processed_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_order_id ON public.payment_events(order_id);
+
+-- Only the server's service role reads or writes payment events
+ALTER TABLE public.payment_events ENABLE ROW LEVEL SECURITY;
+
+-- Allow orders to be refunded
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE public.orders
+ADD CONSTRAINT orders_status_check CHECK (status IN ('created', 'paid', 'failed', 'refunded'));
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS refunded_at timestamp with time zone;
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS refunded_amount numeric DEFAULT 0 NOT NULL;
+
+-- One row per Razorpay refund; an order may be refunded in parts
+CREATE TABLE IF NOT EXISTS public.order_refunds (
+  id text PRIMARY KEY, -- Razorpay refund id
+  order_id uuid REFERENCES public.orders(id) ON DELETE CASCADE NOT NULL,
+  razorpay_payment_id text,
+  amount numeric NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON public.order_refunds(order_id);
+
+-- Only the server's service role reads or writes refunds
+ALTER TABLE public.order_refunds ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.orders.status IS 'Order state: created, paid, failed or refunded (only once refunds cover the whole total)';
+COMMENT ON COLUMN public.orders.refunded_amount IS 'Total refunded so far, in rupees; a partly refunded order stays paid';
+COMMENT ON COLUMN public.payment_events.processed_at IS 'Set once the event has been applied to its order';
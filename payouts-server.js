@@ -0,0 +1,146 @@
+// Artist earnings and payouts
+// Every paid line item credits its artist in ledger_entries; payouts settle pending entries in batches
+
+const { roundCurrency } = require('./pricing-server');
+
+const DEFAULT_COMMISSION_RATE = 0.2;
+
+/**
+ * Read the platform commission from the environment
+ * @param {Object} env - Environment variables
+ * @returns {number} - Commission as a fraction of the artwork price, e.g. 0.2 for 20%
+ */
+function commissionRateFromEnv(env = process.env) {
+  const raw = (env.PLATFORM_COMMISSION_RATE || '').trim();
+  if (!raw) return DEFAULT_COMMISSION_RATE;
+
+  const rate = Number(raw);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    console.error(`Invalid PLATFORM_COMMISSION_RATE "${raw}", using ${DEFAULT_COMMISSION_RATE}`);
+    return DEFAULT_COMMISSION_RATE;
+  }
+  return rate;
+}
+
+/**
+ * Work out what an artist is owed for one sold line item
+ * The artist is credited on what the buyer paid for the artwork (price less any discount);
+ * the platform fee and GST belong to the platform
+ * @param {Object} item - order_items row with price and discount
+ * @param {number} rate - Commission rate
+ * @returns {Object} - { gross, commission, amount } in rupees
+ */
+function computeArtistCredit(item, rate) {
+  const gross = roundCurrency(Number(item.price) - Number(item.discount || 0));
+  const commission = roundCurrency(gross * rate);
+  return { gross, commission, amount: roundCurrency(gross - commission) };
+}
+
+/**
+ * Build the ledger entries crediting artists for a paid order
+ * @param {Object} order - Paid order
+ * @param {Array<Object>} items - The order's order_items rows
+ * @param {number} rate - Commission rate
+ * @returns {Array<Object>} - ledger_entries rows to insert (items without an artist are skipped)
+ */
+function buildSaleEntries(order, items, rate) {
+  return items
+    .filter(item => item.artist_id)
+    .map(item => ({
+      artist_id: item.artist_id,
+      order_id: order.id,
+      order_item_id: item.id,
+      artwork_id: item.artwork_id,
+      title: item.title,
+      ...computeArtistCredit(item, rate),
+      commission_rate: rate,
+      status: 'pending'
+    }));
+}
+
+/**
+ * Summarise an artist's ledger into pending / settled balances, overall and per artwork
+ * @param {Array<Object>} entries - ledger_entries rows for one artist
+ * @returns {Object} - { totals, artworks }
+ */
+function summarizeEarnings(entries) {
+  const totals = { sales: 0, gross: 0, commission: 0, pending: 0, settled: 0 };
+  const byArtwork = new Map();
+
+  for (const entry of entries) {
+    if (entry.status === 'reversed') continue;
+
+    const key = entry.artwork_id || entry.title;
+    if (!byArtwork.has(key)) {
+      byArtwork.set(key, { artwork_id: entry.artwork_id, title: entry.title, sales: 0, pending: 0, settled: 0 });
+    }
+    const artwork = byArtwork.get(key);
+    const amount = Number(entry.amount);
+
+    artwork.sales += 1;
+    artwork[entry.status] = roundCurrency(artwork[entry.status] + amount);
+    totals.sales += 1;
+    totals.gross = roundCurrency(totals.gross + Number(entry.gross));
+    totals.commission = roundCurrency(totals.commission + Number(entry.commission));
+    totals[entry.status] = roundCurrency(totals[entry.status] + amount);
+  }
+
+  return {
+    totals,
+    artworks: [...byArtwork.values()].sort((a, b) => (b.pending + b.settled) - (a.pending + a.settled))
+  };
+}
+
+/**
+ * Group a payout batch's entries into one line per artist
+ * @param {Array<Object>} entries - ledger_entries rows settled by the batch
+ * @returns {Array<Object>} - { artist_id, entries, gross, commission, amount } per artist
+ */
+function summarizePayout(entries) {
+  const byArtist = new Map();
+
+  for (const entry of entries) {
+    if (!byArtist.has(entry.artist_id)) {
+      byArtist.set(entry.artist_id, { artist_id: entry.artist_id, entries: 0, gross: 0, commission: 0, amount: 0 });
+    }
+    const line = byArtist.get(entry.artist_id);
+    line.entries += 1;
+    line.gross = roundCurrency(line.gross + Number(entry.gross));
+    line.commission = roundCurrency(line.commission + Number(entry.commission));
+    line.amount = roundCurrency(line.amount + Number(entry.amount));
+  }
+
+  return [...byArtist.values()];
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, so artist-supplied text is defused with a
+// leading quote. Plain numbers, such as a negative refund amount, are left as they are
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows as CSV
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  commissionRateFromEnv,
+  computeArtistCredit,
+  buildSaleEntries,
+  summarizeEarnings,
+  summarizePayout,
+  toCsv
+};
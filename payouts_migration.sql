@@ -0,0 +1,43 @@
+-- Payouts Migration for Artify
+-- Ledger of what each artist has earned and the payout batches that settle it
+
+CREATE TABLE IF NOT EXISTS public.payouts (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  reference text,
+  entry_count integer DEFAULT 0 NOT NULL,
+  total numeric DEFAULT 0 NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.ledger_entries (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  artist_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  order_id uuid REFERENCES public.orders(id) ON DELETE RESTRICT NOT NULL,
+  order_item_id uuid REFERENCES public.order_items(id) ON DELETE RESTRICT NOT NULL UNIQUE,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE SET NULL,
+  title text NOT NULL,
+  gross numeric NOT NULL,
+  commission numeric NOT NULL,
+  commission_rate numeric NOT NULL,
+  amount numeric NOT NULL,
+  status text DEFAULT 'pending' NOT NULL
+    CHECK (status IN ('pending', 'settled', 'reversed')),
+  payout_id uuid REFERENCES public.payouts(id) ON DELETE SET NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  settled_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_artist_id ON public.ledger_entries(artist_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_status ON public.ledger_entries(status);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_payout_id ON public.ledger_entries(payout_id);
+
+ALTER TABLE public.payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ledger_entries ENABLE ROW LEVEL SECURITY;
+
+-- Artists can read their own ledger; entries and payouts are written by the server's service role
+CREATE POLICY "Artists can view their own ledger entries." ON public.ledger_entries
+  FOR SELECT USING (auth.uid() = artist_id);
+
+COMMENT ON COLUMN public.ledger_entries.gross IS 'What the buyer paid for the artwork: price less discount, before commission';
+COMMENT ON COLUMN public.ledger_entries.amount IS 'Amount owed to the artist: gross less platform commission';
+COMMENT ON COLUMN public.ledger_entries.status IS 'pending until settled by a payout; reversed if the order is refunded first';
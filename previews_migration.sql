@@ -0,0 +1,47 @@
+-- Previews Migration for Artify
+-- Originals are now stored privately; galleries show a downscaled, watermarked preview instead
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS preview_url text;
+
+-- Private Cloudinary originals are delivered as /image/authenticated/ rather than /image/upload/
+CREATE OR REPLACE FUNCTION public.cloudinary_public_id(url text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(
+    regexp_replace(
+      regexp_replace(
+        regexp_replace(url, '^https://res\.cloudinary\.com/[^/]+/image/(upload|authenticated)/', ''),
+        '^(.*/)?v[0-9]+/', ''),
+      '\.[A-Za-z0-9]+$', ''),
+    '')
+  WHERE url ~ '^https://res\.cloudinary\.com/[^/]+/image/(upload|authenticated)/';
+$$;
+
+-- The public image is the preview. Artworks uploaded before previews existed fall back to
+-- their original until the image is replaced
+CREATE OR REPLACE FUNCTION public.get_artwork_image_url(artwork public.artworks)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN artwork.preview_url IS NOT NULL THEN artwork.preview_url
+    WHEN artwork.storage_provider = 'cloudinary' THEN COALESCE(artwork.cloudinary_url, artwork.image_url)
+    ELSE artwork.image_url
+  END;
+$$;
+
+-- Order lines used to copy the original's URL; point them at the public image instead
+UPDATE public.order_items oi
+SET image_url = public.get_artwork_image_url(a)
+FROM public.artworks a
+WHERE a.id = oi.artwork_id AND oi.image_url = a.image_url;
+
+COMMENT ON COLUMN public.artworks.preview_url IS 'Public watermarked preview; image_url points at the private original';
+
+-- With STORAGE_PROVIDER=supabase, make the originals bucket private and add a public one for previews:
+-- UPDATE storage.buckets SET public = false WHERE id = 'artworks';
+-- INSERT INTO storage.buckets (id, name, public) VALUES ('artwork-previews', 'artwork-previews', true)
+--   ON CONFLICT (id) DO NOTHING;
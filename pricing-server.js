@@ -0,0 +1,106 @@
+// Server-side order pricing
+// The browser only displays these figures; the amount charged is always computed here
+
+const PLATFORM_FEE = 50; // ₹ per order
+const GST_RATE = 0.18;
+
+/**
+ * Round a rupee amount to paise precision
+ * @param {number} value - Amount in rupees
+ * @returns {number} - Rounded amount
+ */
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute subtotal, discount, platform fee, GST and total for an order
+ * The discount comes off the subtotal; GST is charged on what remains plus the platform fee,
+ * rounded to whole rupees
+ * @param {number} subtotal - Sum of artwork prices in rupees
+ * @param {number} [discount] - Discount in rupees, capped at the subtotal
+ * @returns {Object} - Order totals in rupees
+ */
+function computeOrderTotals(subtotal, discount = 0) {
+  const base = roundCurrency(Number(subtotal) || 0);
+  const off = Math.min(roundCurrency(Number(discount) || 0), base);
+  const taxable = roundCurrency(base - off);
+  const gst = Math.round((taxable + PLATFORM_FEE) * GST_RATE);
+
+  return {
+    subtotal: base,
+    discount: off,
+    platform_fee: PLATFORM_FEE,
+    gst,
+    total: roundCurrency(taxable + PLATFORM_FEE + gst)
+  };
+}
+
+/**
+ * Split an amount across weights, rounded to paise, with any rounding remainder on the last share
+ * Falls back to equal shares when every weight is zero
+ * @param {number} amount - Amount in rupees
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} - Shares that add up to the amount exactly
+ */
+function splitProportionally(amount, weights) {
+  if (weights.length === 0) return [];
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const ratios = total > 0 ? weights.map(weight => weight / total) : weights.map(() => 1 / weights.length);
+
+  const shares = ratios.map(ratio => roundCurrency(amount * ratio));
+  const allocated = shares.slice(0, -1).reduce((sum, share) => sum + share, 0);
+  shares[shares.length - 1] = roundCurrency(amount - allocated);
+  return shares;
+}
+
+/**
+ * Break order totals down per line item
+ * The platform fee is shared by each line's discounted price, and GST by each line's taxable value
+ * @param {Array<number>} prices - Line prices in rupees
+ * @param {Array<number>} lineDiscounts - Discount on each line in rupees
+ * @param {Object} totals - Order totals from computeOrderTotals
+ * @returns {Array<Object>} - { price, discount, platform_fee, gst, total } per line
+ */
+function computeLineTotals(prices, lineDiscounts, totals) {
+  const discounted = prices.map((price, i) => roundCurrency(Number(price) - (lineDiscounts[i] || 0)));
+  const fees = splitProportionally(totals.platform_fee, discounted);
+  const gst = splitProportionally(totals.gst, discounted.map((value, i) => value + fees[i]));
+
+  return prices.map((price, i) => ({
+    price: roundCurrency(Number(price)),
+    discount: lineDiscounts[i] || 0,
+    platform_fee: fees[i],
+    gst: gst[i],
+    total: roundCurrency(discounted[i] + fees[i] + gst[i])
+  }));
+}
+
+/**
+ * Convert rupees to paise for payment gateways
+ * @param {number} amount - Amount in rupees
+ * @returns {number} - Amount in paise
+ */
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Convert paise from a payment gateway back to rupees
+ * @param {number} amount - Amount in paise
+ * @returns {number} - Amount in rupees
+ */
+function fromPaise(amount) {
+  return roundCurrency(Number(amount) / 100);
+}
+
+module.exports = {
+  PLATFORM_FEE,
+  GST_RATE,
+  roundCurrency,
+  computeOrderTotals,
+  splitProportionally,
+  computeLineTotals,
+  toPaise,
+  fromPaise
+};
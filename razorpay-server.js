@@ -0,0 +1,231 @@
+// Server-side Razorpay integration
+// All Razorpay HTTP calls go through the adapter returned here, so a local fake can stand in during tests
+
+const crypto = require('crypto');
+
+const RAZORPAY_API_BASE = 'https://api.razorpay.com/v1';
+
+/**
+ * Create a Razorpay adapter backed by the real Orders API
+ * @param {Object} options - Adapter options
+ * @param {string} options.keyId - Razorpay key id
+ * @param {string} options.keySecret - Razorpay key secret
+ * @param {Function} [options.fetchImpl] - fetch implementation, defaults to the global fetch
+ * @returns {Object} - Razorpay adapter
+ */
+function createRazorpayClient({ keyId, keySecret, fetchImpl = fetch }) {
+  const authorization = 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+  async function request(method, path, body) {
+    const response = await fetchImpl(`${RAZORPAY_API_BASE}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: authorization
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error?.description || `Razorpay request failed with status ${response.status}`);
+    }
+    return data;
+  }
+
+  return {
+    keyId,
+    keySecret,
+    createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      return request('POST', '/orders', { amount, currency, receipt, notes });
+    },
+    fetchOrder(orderId) {
+      return request('GET', `/orders/${encodeURIComponent(orderId)}`);
+    },
+    refundPayment(paymentId, { amount, notes = {} }) {
+      return request('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, { amount, notes });
+    }
+  };
+}
+
+/**
+ * Create an in-memory Razorpay adapter for local development and tests
+ * @param {Object} options - Adapter options
+ * @returns {Object} - Razorpay adapter with the same surface as the real one
+ */
+function createFakeRazorpayClient({ keyId = 'rzp_test_fake', keySecret = 'fake_secret' } = {}) {
+  const orders = new Map();
+  const refunds = new Map();
+
+  return {
+    keyId,
+    keySecret,
+    orders,
+    refunds,
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const order = {
+        id: `order_fake_${crypto.randomBytes(7).toString('hex')}`,
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        notes,
+        status: 'created',
+        attempts: 0,
+        created_at: Math.floor(Date.now() / 1000)
+      };
+      orders.set(order.id, order);
+      return order;
+    },
+    async fetchOrder(orderId) {
+      const order = orders.get(orderId);
+      if (!order) throw new Error('The id provided does not exist');
+      return order;
+    },
+    async refundPayment(paymentId, { amount, notes = {} }) {
+      const refund = {
+        id: `rfnd_fake_${crypto.randomBytes(7).toString('hex')}`,
+        entity: 'refund',
+        amount,
+        currency: 'INR',
+        payment_id: paymentId,
+        notes,
+        status: 'processed',
+        created_at: Math.floor(Date.now() / 1000)
+      };
+      refunds.set(refund.id, refund);
+      return refund;
+    },
+    // Produce the signature Razorpay Checkout would hand back for a successful payment
+    signPayment(orderId, paymentId) {
+      return signPayload(`${orderId}|${paymentId}`, keySecret);
+    }
+  };
+}
+
+/**
+ * Build the adapter configured by environment variables
+ * Set RAZORPAY_MODE=fake to use the in-memory adapter
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Razorpay adapter, or null when payments are not configured
+ */
+function createRazorpayClientFromEnv(env = process.env) {
+  const keyId = (env.RAZORPAY_KEY_ID || '').trim();
+  const keySecret = (env.RAZORPAY_KEY_SECRET || '').trim();
+
+  if ((env.RAZORPAY_MODE || '').trim() === 'fake') {
+    return createFakeRazorpayClient({
+      keyId: keyId || undefined,
+      keySecret: keySecret || undefined
+    });
+  }
+
+  if (!keyId || !keySecret) return null;
+  return createRazorpayClient({ keyId, keySecret });
+}
+
+/**
+ * HMAC-SHA256 a payload with the given secret
+ * @param {string|Buffer} payload - Data to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} - Hex digest
+ */
+function signPayload(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Compare an expected hex signature with one supplied by a client, in constant time
+ * @param {string} expected - Signature computed on the server
+ * @param {string} received - Signature supplied by the caller
+ * @returns {boolean} - Whether the signatures match
+ */
+function signaturesMatch(expected, received) {
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(received, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify the signature Razorpay Checkout returns after a payment
+ * @param {Object} payment - Checkout response fields
+ * @param {string} payment.orderId - razorpay_order_id
+ * @param {string} payment.paymentId - razorpay_payment_id
+ * @param {string} payment.signature - razorpay_signature
+ * @param {string} keySecret - Razorpay key secret
+ * @returns {boolean} - Whether the signature is valid
+ */
+function verifyPaymentSignature({ orderId, paymentId, signature }, keySecret) {
+  if (!orderId || !paymentId || !keySecret) return false;
+  return signaturesMatch(signPayload(`${orderId}|${paymentId}`, keySecret), signature);
+}
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook delivery
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @param {string} webhookSecret - Secret configured for the webhook in the Razorpay dashboard
+ * @returns {boolean} - Whether the signature is valid
+ */
+function verifyWebhookSignature(rawBody, signature, webhookSecret) {
+  if (!rawBody || !webhookSecret) return false;
+  return signaturesMatch(signPayload(rawBody, webhookSecret), signature);
+}
+
+/**
+ * Map a Razorpay webhook event to the order status it implies
+ * @param {string} eventName - Event name, e.g. payment.captured
+ * @returns {string|null} - Target order status, or null if the event does not move the order
+ */
+function orderStatusForEvent(eventName) {
+  switch (eventName) {
+    case 'payment.captured':
+    case 'order.paid':
+      return 'paid';
+    case 'payment.failed':
+      return 'failed';
+    case 'refund.created':
+    case 'refund.processed':
+      return 'refunded';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pull out what the webhook handler needs from a delivery
+ * Razorpay repeats X-Razorpay-Event-Id on every redelivery; without it the body's hash stands in,
+ * so a replayed delivery still maps to the payment_events row of the first one
+ * @param {Object} event - Parsed webhook body
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} [eventIdHeader] - X-Razorpay-Event-Id header
+ * @returns {Object} - { id, event, payment, refund, razorpayOrderId, razorpayPaymentId }
+ */
+function parseWebhookEvent(event, rawBody, eventIdHeader) {
+  const payment = event.payload?.payment?.entity;
+  const refund = event.payload?.refund?.entity;
+
+  return {
+    id: eventIdHeader || crypto.createHash('sha256').update(rawBody).digest('hex'),
+    event: event.event,
+    payment,
+    refund,
+    razorpayOrderId: payment?.order_id || event.payload?.order?.entity?.id || null,
+    razorpayPaymentId: payment?.id || refund?.payment_id || null
+  };
+}
+
+module.exports = {
+  createRazorpayClient,
+  createFakeRazorpayClient,
+  createRazorpayClientFromEnv,
+  signPayload,
+  signaturesMatch,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  orderStatusForEvent,
+  parseWebhookEvent
+};
@@ -0,0 +1,57 @@
+// Personalised recommendations
+// Scores come from recommend_artworks in the database; this module holds the weights and explains the results
+
+// How much a like or purchase says about taste, and how much each signal counts towards the score
+const RECOMMENDATION_WEIGHTS = {
+  like: 1,
+  purchase: 2,
+  similar: 1,
+  tags: 0.5,
+  artist: 0.3
+};
+
+const DEFAULT_RECOMMENDATION_LIMIT = 8;
+const MAX_RECOMMENDATION_LIMIT = 24;
+
+// Which signal an explanation is given for, in the order they win ties
+const RECOMMENDATION_REASONS = {
+  similar: 'Collectors with your taste liked this',
+  artist: 'By an artist whose work you like',
+  tags: 'Shares tags with artworks you like'
+};
+
+/**
+ * Read ?limit= for GET /api/recommendations
+ * @param {Object} query - req.query
+ * @returns {Object} - { limit } or { status, error }
+ */
+function parseRecommendationQuery(query = {}) {
+  const limit = query.limit ? Number(query.limit) : DEFAULT_RECOMMENDATION_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECOMMENDATION_LIMIT) {
+    return { status: 400, error: `limit must be a whole number from 1 to ${MAX_RECOMMENDATION_LIMIT}` };
+  }
+  return { limit };
+}
+
+/**
+ * Explain a recommendation by the signal that contributed most to its score
+ * @param {Object} row - recommend_artworks row (similar_score, tag_score, artist_score)
+ * @param {Object} [weights] - Weights the scores were computed with
+ * @returns {Object} - { reason, label }
+ */
+function recommendationReason(row, weights = RECOMMENDATION_WEIGHTS) {
+  const contributions = {
+    similar: weights.similar * Number(row.similar_score || 0),
+    artist: weights.artist * Number(row.artist_score || 0),
+    tags: weights.tags * Number(row.tag_score || 0)
+  };
+  const reason = Object.keys(RECOMMENDATION_REASONS)
+    .reduce((best, key) => (contributions[key] > contributions[best] ? key : best));
+  return { reason, label: RECOMMENDATION_REASONS[reason] };
+}
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+  parseRecommendationQuery,
+  recommendationReason
+};
@@ -0,0 +1,101 @@
+-- Recommendations Migration for Artify
+-- Ranks artworks for a collector from what they liked and bought, and from what people with the same taste did
+
+CREATE INDEX IF NOT EXISTS idx_artwork_likes_artwork_id ON public.artwork_likes(artwork_id);
+
+-- Live artworks for p_user_id, best first. A like counts p_weights.like and a purchase p_weights.purchase.
+-- Each artwork's score mixes three signals, each scaled by p_weights and divided by the user's total interaction:
+--   similar: cosine similarity to the user's artworks, from who else liked or bought them
+--   tags:    share of the user's interaction with artworks carrying the same tags
+--   artist:  share of the user's interaction with the same artist
+-- The user's own artworks and ones they already liked or bought are left out. No interactions means no rows
+CREATE OR REPLACE FUNCTION public.recommend_artworks(p_user_id uuid, p_limit integer, p_weights jsonb)
+RETURNS TABLE (artwork_id uuid, score double precision, similar_score double precision, tag_score double precision, artist_score double precision)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH interactions AS (
+    SELECT user_id, artwork_id, max(strength) AS strength
+    FROM (
+      SELECT l.user_id, l.artwork_id, (p_weights ->> 'like')::double precision AS strength
+      FROM public.artwork_likes l
+      UNION ALL
+      SELECT o.buyer_id, i.artwork_id, (p_weights ->> 'purchase')::double precision
+      FROM public.orders o
+      JOIN public.order_items i ON i.order_id = o.id
+      WHERE o.status = 'paid' AND o.buyer_id IS NOT NULL AND i.artwork_id IS NOT NULL
+    ) raw
+    GROUP BY user_id, artwork_id
+  ),
+  mine AS (
+    SELECT artwork_id, strength FROM interactions WHERE user_id = p_user_id
+  ),
+  total AS (
+    SELECT sum(strength) AS strength FROM mine
+  ),
+  norms AS (
+    SELECT artwork_id, sqrt(sum(strength * strength)) AS norm FROM interactions GROUP BY artwork_id
+  ),
+  -- Other collectors' overlap between each of the user's artworks and everything else they touched
+  co AS (
+    SELECT a.artwork_id AS seed, b.artwork_id AS candidate, sum(a.strength * b.strength) AS dot
+    FROM interactions a
+    JOIN interactions b ON b.user_id = a.user_id AND b.artwork_id <> a.artwork_id
+    WHERE a.user_id <> p_user_id AND a.artwork_id IN (SELECT artwork_id FROM mine)
+    GROUP BY a.artwork_id, b.artwork_id
+  ),
+  similar_items AS (
+    SELECT co.candidate AS artwork_id, sum(m.strength * co.dot / (ns.norm * nc.norm)) AS score
+    FROM co
+    JOIN mine m ON m.artwork_id = co.seed
+    JOIN norms ns ON ns.artwork_id = co.seed
+    JOIN norms nc ON nc.artwork_id = co.candidate
+    GROUP BY co.candidate
+  ),
+  my_tags AS (
+    SELECT tag, sum(m.strength) AS strength
+    FROM mine m
+    JOIN public.artworks a ON a.id = m.artwork_id
+    CROSS JOIN unnest(a.tag_slugs) AS tag
+    GROUP BY tag
+  ),
+  my_artists AS (
+    SELECT a.artist_id, sum(m.strength) AS strength
+    FROM mine m
+    JOIN public.artworks a ON a.id = m.artwork_id
+    GROUP BY a.artist_id
+  ),
+  scored AS (
+    SELECT
+      a.id,
+      coalesce(s.score, 0) / t.strength AS similar_score,
+      coalesce((
+        SELECT sum(mt.strength) FROM my_tags mt WHERE mt.tag = ANY(a.tag_slugs)
+      ), 0) / t.strength / greatest(cardinality(a.tag_slugs), 1) AS tag_score,
+      coalesce(ma.strength, 0) / t.strength AS artist_score
+    FROM public.artworks a
+    CROSS JOIN total t
+    LEFT JOIN similar_items s ON s.artwork_id = a.id
+    LEFT JOIN my_artists ma ON ma.artist_id = a.artist_id
+    WHERE t.strength > 0
+      AND a.status = 'active'
+      AND a.artist_id <> p_user_id
+      AND a.id NOT IN (SELECT artwork_id FROM mine)
+  )
+  SELECT
+    id,
+    (p_weights ->> 'similar')::double precision * similar_score +
+      (p_weights ->> 'tags')::double precision * tag_score +
+      (p_weights ->> 'artist')::double precision * artist_score AS score,
+    similar_score,
+    tag_score,
+    artist_score
+  FROM scored
+  WHERE similar_score > 0 OR tag_score > 0 OR artist_score > 0
+  ORDER BY score DESC, id
+  LIMIT p_limit;
+$$;
+
+-- Reads other collectors' likes and purchases, so only the server may call it
+REVOKE EXECUTE ON FUNCTION public.recommend_artworks(uuid, integer, jsonb) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,8 @@
+-- Responsive Images Migration for Artify
+-- Listing pages load a preview sized to the card instead of the full preview, with a blurred placeholder first
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS preview_srcset text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS placeholder_url text;
+
+COMMENT ON COLUMN public.artworks.preview_srcset IS 'srcset of watermarked preview variants (320w, 640w, 1024w); null for artworks uploaded before variants existed';
+COMMENT ON COLUMN public.artworks.placeholder_url IS 'Tiny blurred preview shown while a card''s image loads';
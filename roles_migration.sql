@@ -0,0 +1,69 @@
+-- Roles Migration for Artify
+-- Every profile has a role: user, artist, moderator or admin. The server authorises admin and
+-- moderation routes from it, so roles can only be changed by the server or from the SQL editor
+
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS role text DEFAULT 'user' NOT NULL;
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_role_check
+  CHECK (role IN ('user', 'artist', 'moderator', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON public.profiles(role);
+
+-- Anyone who has already uploaded is an artist
+UPDATE public.profiles p
+SET role = 'artist'
+WHERE p.role = 'user'
+  AND EXISTS (SELECT 1 FROM public.artworks a WHERE a.artist_id = p.id);
+
+-- Signed-in users may edit their own profile but not their role. Requests made with the service
+-- role key or from the SQL editor carry no user id and are allowed through
+CREATE OR REPLACE FUNCTION public.protect_profile_role()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL
+    AND coalesce(current_setting('artify.allow_role_change', true), '') <> 'on'
+    AND (
+      (TG_OP = 'INSERT' AND NEW.role <> 'user')
+      OR (TG_OP = 'UPDATE' AND NEW.role IS DISTINCT FROM OLD.role)
+    )
+  THEN
+    RAISE EXCEPTION 'Only an admin can change roles';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_profile_role ON public.profiles;
+CREATE TRIGGER protect_profile_role
+  BEFORE INSERT OR UPDATE ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_profile_role();
+
+-- Uploading a first artwork makes a user an artist
+CREATE OR REPLACE FUNCTION public.promote_artist()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM set_config('artify.allow_role_change', 'on', true);
+  INSERT INTO public.profiles (id, role)
+  VALUES (NEW.artist_id, 'artist')
+  ON CONFLICT (id) DO UPDATE SET role = 'artist' WHERE public.profiles.role = 'user';
+  PERFORM set_config('artify.allow_role_change', '', true);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS promote_artist ON public.artworks;
+CREATE TRIGGER promote_artist
+  AFTER INSERT ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.promote_artist();
+
+COMMENT ON COLUMN public.profiles.role IS 'user, artist, moderator or admin; changed only through the admin API';
+
+-- Make your first admin from the SQL editor:
+-- INSERT INTO public.profiles (id, role) VALUES ('<your auth user id>', 'admin')
+--   ON CONFLICT (id) DO UPDATE SET role = 'admin';
@@ -0,0 +1,141 @@
+// Gallery search
+// Turns GET /api/artworks query parameters into filters, a sort order and a keyset cursor
+
+const { parseTagFilter } = require('./taxonomy-server');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 60;
+const MAX_QUERY_LENGTH = 200;
+
+// Column each sort orders by; id breaks ties so the cursor always points at one row
+const ARTWORK_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  likes: { column: 'likes', ascending: false },
+  sales: { column: 'sold_count', ascending: false }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function optionalPrice(value, name) {
+  if (value === undefined || value === '') return { value: null };
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) return { error: `${name} must be a number of at least 0` };
+  return { value: price };
+}
+
+/**
+ * Encode where a page ended, so the next request continues after that row
+ * @param {Object} artwork - Last artworks row on the page
+ * @param {string} sort - Key of ARTWORK_SORTS
+ * @returns {string} - URL-safe cursor
+ */
+function encodeArtworkCursor(artwork, sort) {
+  const { column } = ARTWORK_SORTS[sort];
+  return Buffer.from(JSON.stringify({ s: sort, v: artwork[column], id: artwork.id })).toString('base64url');
+}
+
+function decodeArtworkCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!position || position.s !== sort || !UUID_PATTERN.test(String(position.id))) return null;
+  if (typeof position.v !== 'string' && !Number.isFinite(position.v)) return null;
+  return { value: position.v, id: position.id };
+}
+
+/**
+ * Validate the gallery's query parameters
+ * @param {Object} query - req.query: q, category, medium, style, tags, min_price, max_price, artist, sort, limit,
+ *   cursor and facets
+ * @returns {Object} - { q, category, medium, style, tags, minPrice, maxPrice, artistId, sort, limit, after, facets }
+ *   or { status, error }
+ */
+function parseArtworkSearch(query = {}) {
+  const param = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+
+  const q = param('q');
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { status: 400, error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const category = param('category').toLowerCase();
+  const medium = param('medium').toLowerCase();
+  const style = param('style').toLowerCase();
+  const tags = parseTagFilter(param('tags'));
+  if (tags.error) return { status: 400, error: tags.error };
+  const minPrice = optionalPrice(param('min_price'), 'min_price');
+  if (minPrice.error) return { status: 400, error: minPrice.error };
+  const maxPrice = optionalPrice(param('max_price'), 'max_price');
+  if (maxPrice.error) return { status: 400, error: maxPrice.error };
+  if (minPrice.value !== null && maxPrice.value !== null && minPrice.value > maxPrice.value) {
+    return { status: 400, error: 'min_price cannot be more than max_price' };
+  }
+
+  const artistId = param('artist');
+  if (artistId && !UUID_PATTERN.test(artistId)) {
+    return { status: 400, error: 'artist must be an artist id' };
+  }
+
+  const sort = param('sort') || 'newest';
+  if (!ARTWORK_SORTS[sort]) {
+    return { status: 400, error: `sort must be one of ${Object.keys(ARTWORK_SORTS).join(', ')}` };
+  }
+
+  const limitParam = param('limit');
+  const limit = limitParam ? Number(limitParam) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { status: 400, error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  let after = null;
+  const cursor = param('cursor');
+  if (cursor) {
+    after = decodeArtworkCursor(cursor, sort);
+    if (!after) return { status: 400, error: 'cursor is invalid or belongs to a different sort' };
+  }
+
+  return {
+    q: q || null,
+    category: category && category !== 'all' ? category : null,
+    medium: medium || null,
+    style: style || null,
+    tags: tags.tags,
+    minPrice: minPrice.value,
+    maxPrice: maxPrice.value,
+    artistId: artistId || null,
+    sort,
+    limit,
+    after,
+    // Facet counts are only worth computing for the first page
+    facets: ['1', 'true'].includes(param('facets')) && !after
+  };
+}
+
+/**
+ * PostgREST or() filter that keeps only rows after the cursor in the sort order
+ * @param {string} sort - Key of ARTWORK_SORTS
+ * @param {Object} after - { value, id } from the cursor
+ * @returns {string} - Filter for query.or()
+ */
+function artworkCursorFilter(sort, after) {
+  const { column, ascending } = ARTWORK_SORTS[sort];
+  const op = ascending ? 'gt' : 'lt';
+  // Quoted because timestamps contain characters PostgREST would otherwise split on
+  const value = `"${String(after.value).replace(/"/g, '')}"`;
+  return `${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${after.id})`;
+}
+
+module.exports = {
+  ARTWORK_SORTS,
+  UUID_PATTERN,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseArtworkSearch,
+  encodeArtworkCursor,
+  artworkCursorFilter
+};
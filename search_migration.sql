@@ -0,0 +1,71 @@
+-- Search Migration for Artify
+-- GET /api/artworks searches, filters, sorts and pages in Postgres instead of the browser
+
+-- Shown on cards and searched, so the gallery never has to look up profiles
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS artist_name text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+UPDATE public.artworks SET likes = 0 WHERE likes IS NULL;
+ALTER TABLE public.artworks ALTER COLUMN likes SET NOT NULL;
+
+-- Title matches rank above the artist's name, which ranks above the description
+CREATE OR REPLACE FUNCTION public.update_artwork_search_vector()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  SELECT coalesce(nullif(p.full_name, ''), p.username) INTO NEW.artist_name
+  FROM public.profiles p
+  WHERE p.id = NEW.artist_id;
+
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW.artist_name, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(NEW.description, '')), 'C');
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS artworks_search_vector ON public.artworks;
+CREATE TRIGGER artworks_search_vector
+  BEFORE INSERT OR UPDATE OF title, description, artist_id ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.update_artwork_search_vector();
+
+-- Renaming a profile re-indexes that artist's artworks
+CREATE OR REPLACE FUNCTION public.refresh_artist_search_vectors()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE public.artworks SET title = title WHERE artist_id = NEW.id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS profiles_refresh_artist_search ON public.profiles;
+CREATE TRIGGER profiles_refresh_artist_search
+  AFTER UPDATE OF full_name, username ON public.profiles
+  FOR EACH ROW
+  WHEN (OLD.full_name IS DISTINCT FROM NEW.full_name OR OLD.username IS DISTINCT FROM NEW.username)
+  EXECUTE FUNCTION public.refresh_artist_search_vectors();
+
+-- Trigger only; it rewrites every artwork of an artist, so nobody may call it directly
+REVOKE EXECUTE ON FUNCTION public.refresh_artist_search_vectors() FROM PUBLIC, anon, authenticated;
+
+-- Fill in existing artworks
+UPDATE public.artworks SET title = title;
+
+CREATE INDEX IF NOT EXISTS idx_artworks_search_vector ON public.artworks USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_artworks_category ON public.artworks(category);
+CREATE INDEX IF NOT EXISTS idx_artworks_artist_id ON public.artworks(artist_id);
+
+-- One index per sort order, with id as the tie-breaker the pagination cursor uses
+CREATE INDEX IF NOT EXISTS idx_artworks_active_created_at ON public.artworks(created_at DESC, id DESC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_artworks_active_price ON public.artworks(price, id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_artworks_active_likes ON public.artworks(likes DESC, id DESC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_artworks_active_sold_count ON public.artworks(sold_count DESC, id DESC) WHERE status = 'active';
+
+COMMENT ON COLUMN public.artworks.artist_name IS 'Artist''s full name (or username) from profiles, kept in sync by trigger';
+COMMENT ON COLUMN public.artworks.search_vector IS 'Weighted full-text index of title, artist name and description';
@@ -1,15 +1,90 @@
+require("dotenv").config();
+
 const express = require("express");
 const { createClient } = require("@supabase/supabase-js");
 const path = require("path");
 const cors = require("cors");
-
-require("dotenv").config();
+const multer = require("multer");
+const {
+  createRazorpayClientFromEnv,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  orderStatusForEvent,
+  parseWebhookEvent
+} = require("./razorpay-server");
+const { roundCurrency, computeOrderTotals, computeLineTotals, toPaise, fromPaise } = require("./pricing-server");
+const { DISCOUNT_LIMIT_ERRORS, normalizeCode, evaluateDiscount } = require("./discounts-server");
+const {
+  normalizeStateCode,
+  invoiceSellerFromEnv,
+  buildInvoice,
+  buildCreditNote,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require("./invoice-server");
+const {
+  commissionRateFromEnv,
+  buildSaleEntries,
+  summarizeEarnings,
+  summarizePayout,
+  toCsv
+} = require("./payouts-server");
+const {
+  isSoldOut,
+  editionAvailability,
+  normalizeEdition,
+  reservationMinutesFromEnv
+} = require("./inventory-server");
+const { planModeration, canResubmit, duplicateDistanceFromEnv } = require("./moderation-server");
+const { planArtworkUpdate, artistDeleteBlocker } = require("./artworks-server");
+const { MAX_UPLOAD_BYTES, createCloudinaryClientFromEnv, generateUploadSignature } = require("./cloudinary-server");
+const { prepareArtworkImage, isDistinctiveHash } = require("./images-server");
+const {
+  createStorageFromEnv,
+  downloadLinkMinutesFromEnv,
+  normalizeImageStorage,
+  artworkStorageKey,
+  artworkPreviewImages,
+  artworkOriginalUrl
+} = require("./storage-server");
+const {
+  downloadSigningSecretFromEnv,
+  downloadLimitFromEnv,
+  signDownloadToken,
+  verifyDownloadToken,
+  summarizeDownloads
+} = require("./downloads-server");
+const {
+  FACETS,
+  slugify,
+  normalizeTags,
+  groupTerms,
+  validateFacetValues,
+  normalizeTermInput
+} = require("./taxonomy-server");
+const { ARTWORK_SORTS, UUID_PATTERN, parseArtworkSearch, encodeArtworkCursor, artworkCursorFilter } = require("./search-server");
+const {
+  TRENDING_WINDOWS,
+  TRENDING_EVENT_WEIGHTS,
+  VIEW_DEDUPE_MINUTES,
+  MAX_VIEWS_PER_REQUEST,
+  trendingRefreshMinutesFromEnv,
+  parseTrendingQuery,
+  viewerKey
+} = require("./trending-server");
+const { RECOMMENDATION_WEIGHTS, parseRecommendationQuery, recommendationReason } = require("./recommendations-server");
+const { wishlistNotificationMessage, wishlistPriceDrop } = require("./wishlist-server");
 
 const app = express();
 
 // Enable CORS for all origins during development
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -62,150 +137,1093 @@ if (isValidSupabase(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)) {
   console.error("Supabase credentials invalid or missing in .env");
 }
 
+// Razorpay adapter (set RAZORPAY_MODE=fake to use the in-memory gateway locally)
+const razorpay = createRazorpayClientFromEnv();
+if (razorpay) {
+  console.log("Razorpay client initialized.");
+} else {
+  console.error("Razorpay credentials missing in .env; checkout is disabled");
+}
+
+// Cloudinary client (set CLOUDINARY_MODE=fake to keep uploads in memory locally)
+const cloudinary = createCloudinaryClientFromEnv();
+if (cloudinary) {
+  console.log("Cloudinary client initialized.");
+} else {
+  console.error("Cloudinary credentials missing in .env; image uploads are disabled");
+}
+
+// Secret shared by every kind of download link the server hands out
+const downloadSigningSecret = downloadSigningSecretFromEnv();
+
+// Where artwork images are stored (STORAGE_PROVIDER=cloudinary, supabase or server). The local
+// default is a dot-directory so the static handler for the site never serves the originals in it
+const storage = createStorageFromEnv(process.env, {
+  cloudinary,
+  supabase,
+  localDirectory: path.join(__dirname, ".uploads"),
+  signingSecret: downloadSigningSecret
+});
+if (storage.active) {
+  console.log(`Image storage: ${storage.provider}`);
+} else {
+  console.error(`Storage provider "${storage.provider}" is not configured; image uploads are disabled`);
+}
+app.use(storage.drivers.server.publicPath, express.static(storage.drivers.server.previewsDirectory));
+
+// How long a buyer's download link stays valid, and how many times each purchased artwork can be downloaded
+const downloadLinkMinutes = downloadLinkMinutesFromEnv();
+const downloadLimit = downloadLimitFromEnv();
+
+// Public image for an artwork (the watermarked preview) as resolved by the database's get_artwork_image_url
+const ARTWORK_IMAGE_FIELD = "display_url:get_artwork_image_url";
+
+function withImageUrl({ display_url, ...artwork }) {
+  return { ...artwork, image_url: display_url || artwork.image_url };
+}
+
+// Artwork columns anyone may see. Where the original is stored (image_url, public_id, storage_key, cloudinary_url)
+// is left out; image_url in the response is the preview from ARTWORK_IMAGE_FIELD
+const PUBLIC_ARTWORK_FIELDS = [
+  "id", "title", "description", "price", "created_at", "updated_at", "artist_id", "artist_name", "status", "likes",
+  "category", "medium", "style", "tag_slugs", "edition_type", "edition_size", "sold_count", "reserved_count",
+  "preview_srcset", "placeholder_url", "image_width", "image_height", "aspect_ratio", "color_palette", ARTWORK_IMAGE_FIELD
+].join(",");
+
+// Seller details printed on GST invoices
+const invoiceSeller = invoiceSellerFromEnv();
+if (!invoiceSeller) {
+  console.error("INVOICE_SELLER_GSTIN / INVOICE_SELLER_STATE missing in .env; invoices are disabled");
+}
+
+// Platform commission taken from each artwork sale before the artist is credited
+const commissionRate = commissionRateFromEnv();
+
+// How long an unpaid order holds its artworks before they go back on sale
+const reservationMinutes = reservationMinutesFromEnv();
+
+// How similar (in differing hash bits) an upload must be to another artist's work to be flagged as a duplicate
+const duplicateDistance = duplicateDistanceFromEnv();
+
+// How often trending scores are recomputed from artwork_events
+const trendingRefreshMinutes = trendingRefreshMinutesFromEnv();
+
+// Roles stored on profiles, from least to most privileged
+const ROLES = ["user", "artist", "moderator", "admin"];
+
+// Validate the Bearer token; returns { user } or { status, error }
+async function authenticate(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { status: 401, error: "Unauthorized" };
+  }
+
+  const token = authHeader.substring(7);
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+  if (authError || !user) {
+    return { status: 401, error: "Invalid token" };
+  }
+  return { user };
+}
+
+// A user's role, defaulting to "user" for accounts without a profile yet
+async function loadRole(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("role")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read role: " + error.message);
+  return data?.role || "user";
+}
+
+// Resolve the signed-in user from the Bearer token and expose it as req.user
+async function requireUser(req, res, next) {
+  if (!supabase) return res.status(500).json({ error: "Database not configured" });
+
+  const auth = await authenticate(req);
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+  req.user = auth.user;
+  next();
+}
+
+// Like requireUser, but only lets through users holding one of the given roles (admins always pass).
+// Exposes req.user and req.role
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!supabase) return res.status(500).json({ error: "Database not configured" });
+
+    const auth = await authenticate(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    let role;
+    try {
+      role = await loadRole(auth.user.id);
+    } catch (e) {
+      console.error("Role lookup error:", e.message);
+      return res.status(500).json({ error: "Failed to check permissions" });
+    }
+
+    if (role !== "admin" && !roles.includes(role)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    req.user = auth.user;
+    req.role = role;
+    next();
+  };
+}
+
+
+// The whole taxonomy, for validating an artwork's category, medium and style
+async function loadTaxonomyTerms() {
+  const { data, error } = await supabase
+    .from("taxonomy_terms")
+    .select("id, facet, slug, name, position");
+  if (error) throw new Error(`Taxonomy lookup failed: ${error.message}`);
+  return data || [];
+}
+
+// Matching artworks per category, medium, style and tag for the gallery's current filters, with display names
+async function loadFacetCounts(search) {
+  const [{ data: counts, error }, terms] = await Promise.all([
+    supabase.rpc("artwork_facet_counts", {
+      p_q: search.q,
+      p_category: search.category,
+      p_medium: search.medium,
+      p_style: search.style,
+      p_tags: search.tags,
+      p_min_price: search.minPrice,
+      p_max_price: search.maxPrice,
+      p_artist_id: search.artistId
+    }),
+    loadTaxonomyTerms()
+  ]);
+  if (error) throw new Error(`Facet counts failed: ${error.message}`);
+
+  const countOf = (facet, value) => Number((counts || []).find(c => c.facet === facet && c.value === value)?.artworks || 0);
+  const grouped = groupTerms(terms);
+  const facets = Object.fromEntries(FACETS.map(facet => [
+    facet,
+    grouped[facet].map(term => ({ slug: term.slug, name: term.name, count: countOf(facet, term.slug) }))
+  ]));
+  facets.tags = (counts || [])
+    .filter(c => c.facet === "tag")
+    .map(c => ({ slug: c.value, count: Number(c.artworks) }));
+  return facets;
+}
+
+// Replace an artwork's tags; returns its new tag_slugs
+async function saveArtworkTags(artworkId, tags) {
+  const { data, error } = await supabase.rpc("set_artwork_tags", {
+    p_artwork_id: artworkId,
+    p_slugs: tags.map(tag => tag.slug),
+    p_names: tags.map(tag => tag.name)
+  });
+  if (error) throw new Error(`Saving tags failed: ${error.message}`);
+  return data || [];
+}
 
 // Artworks API using Supabase
+// Gallery listing: ?q= full-text search, category, min_price, max_price, artist, sort and limit.
+// Pages are keyset-paginated; pass next_cursor back as ?cursor= for the next page (null on the last one)
 app.get("/api/artworks", async (req, res) => {
-  if (!supabase) return res.json([]);
+  const search = parseArtworkSearch(req.query);
+  if (search.error) return res.status(search.status).json({ error: search.error });
+  if (!supabase) return res.json({ artworks: [], next_cursor: null });
+
+  const { column, ascending } = ARTWORK_SORTS[search.sort];
   try {
-    const { data, error } = await supabase.from("artworks").select("*").order("created_at", { ascending: false });
+    let query = supabase
+      .from("artworks")
+      .select(PUBLIC_ARTWORK_FIELDS)
+      .eq("status", "active");
+    if (search.q) query = query.textSearch("search_vector", search.q, { type: "websearch", config: "english" });
+    if (search.category) query = query.eq("category", search.category);
+    if (search.medium) query = query.eq("medium", search.medium);
+    if (search.style) query = query.eq("style", search.style);
+    if (search.tags) query = query.contains("tag_slugs", search.tags);
+    if (search.artistId) query = query.eq("artist_id", search.artistId);
+    if (search.minPrice !== null) query = query.gte("price", search.minPrice);
+    if (search.maxPrice !== null) query = query.lte("price", search.maxPrice);
+    // The cursor cannot point past a null, so unpriced artworks are left out of price sorts
+    if (column === "price") query = query.not("price", "is", null);
+    if (search.after) query = query.or(artworkCursorFilter(search.sort, search.after));
+
+    // One extra row tells us whether there is another page
+    const { data, error } = await query
+      .order(column, { ascending })
+      .order("id", { ascending })
+      .limit(search.limit + 1);
     if (error) {
       console.error("Supabase Database error (fetch):", error.message);
       return res.status(500).json({ error: "Cloud database error: " + error.message });
     }
-    res.json(data || []);
+
+    const page = (data || []).slice(0, search.limit);
+    const hasMore = (data || []).length > search.limit;
+    res.json({
+      artworks: page.map(artwork => ({ ...withImageUrl(artwork), ...editionAvailability(artwork) })),
+      next_cursor: hasMore ? encodeArtworkCursor(page[page.length - 1], search.sort) : null,
+      ...(search.facets ? { facets: await loadFacetCounts(search) } : {})
+    });
   } catch (e) {
     console.error("Critical error in /api/artworks (GET):", e.message);
     res.status(503).json({ error: "Backend unreachable. Please check Supabase project status." });
   }
 });
 
-app.post("/api/artworks", async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: "Cloud database not configured" });
-  const { title, description, price, image_url } = req.body || {};
-  if (!title || !price) return res.status(400).json({ error: "title and price required" });
-  
+// Categories, mediums and styles artworks can be filed under, in display order
+app.get("/api/taxonomy", async (req, res) => {
+  if (!supabase) return res.json(groupTerms([]));
+  try {
+    res.json(groupTerms(await loadTaxonomyTerms()));
+  } catch (e) {
+    console.error("Taxonomy fetch error:", e.message);
+    res.status(500).json({ error: "Failed to load taxonomy" });
+  }
+});
+
+// Tag autocomplete: ?q= prefix, most used tags first
+app.get("/api/tags", async (req, res) => {
+  const prefix = slugify(typeof req.query.q === "string" ? req.query.q : "");
+  if (!prefix) return res.json({ tags: [] });
+  if (!supabase) return res.json({ tags: [] });
+
   try {
-    const { data, error } = await supabase.from("artworks").insert([{ title, description, price, image_url }]).select();
+    const { data, error } = await supabase.rpc("search_tags", { p_prefix: prefix, p_limit: 10 });
     if (error) {
-      console.error("Supabase Database error (insert):", error.message);
-      return res.status(500).json({ error: "Cloud insert failed: " + error.message });
+      console.error("Tag search error:", error.message);
+      return res.status(500).json({ error: "Failed to search tags" });
     }
-    res.json(data?.[0] || {});
+    res.json({ tags: (data || []).map(tag => ({ ...tag, artworks: Number(tag.artworks) })) });
+  } catch (e) {
+    console.error("Critical error in /api/tags:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Live artworks by trending score in one window, best first, with their scores as `trending`.
+// excludeIds and excludeArtistId leave out artworks the caller has already shown or should not see
+async function loadTrendingArtworks({ window, category = null, limit, excludeIds = [], excludeArtistId = null }) {
+  let query = supabase
+    .from("artwork_trending_scores")
+    .select(`score, views, likes, carts, purchases, computed_at, artworks!inner(${PUBLIC_ARTWORK_FIELDS})`)
+    .eq("time_window", window)
+    .eq("artworks.status", "active");
+  if (category) query = query.eq("artworks.category", category);
+  if (excludeIds.length > 0) query = query.not("artwork_id", "in", `(${excludeIds.join(",")})`);
+  if (excludeArtistId) query = query.neq("artworks.artist_id", excludeArtistId);
+
+  const { data, error } = await query.order("score", { ascending: false }).limit(limit);
+  if (error) throw new Error(`Trending fetch failed: ${error.message}`);
+
+  return {
+    computed_at: data.length > 0 ? data[0].computed_at : null,
+    artworks: data.map(({ artworks: artwork, score, views, likes, carts, purchases }) => ({
+      ...withImageUrl(artwork),
+      ...editionAvailability(artwork),
+      trending: { score, views, likes, carts, purchases }
+    }))
+  };
+}
+
+// Top artworks by trending score: ?window=24h|7d|30d (default 7d), category, limit
+app.get("/api/artworks/trending", async (req, res) => {
+  const trending = parseTrendingQuery(req.query);
+  if (trending.error) return res.status(trending.status).json({ error: trending.error });
+  if (!supabase) return res.json({ window: trending.window, computed_at: null, artworks: [] });
+
+  try {
+    const { computed_at, artworks } = await loadTrendingArtworks(trending);
+    res.json({ window: trending.window, computed_at, artworks });
   } catch (e) {
-    console.error("Critical error in /api/artworks (POST):", e.message);
-    res.status(503).json({ error: "Backend unreachable. Upload failed." });
+    console.error("Error in /api/artworks/trending:", e.message);
+    res.status(500).json({ error: "Failed to load trending artworks" });
   }
 });
 
-// Delete artwork and its storage file (if present)
-app.delete("/api/artworks/:id", async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: "Database not configured" });
-  const adminKeyHeader = req.headers["x-admin-key"];
-  const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
-  if (!ADMIN_API_KEY || adminKeyHeader !== ADMIN_API_KEY) {
-    return res.status(403).json({ error: "Forbidden" });
+// Artworks the user has bought, from their paid orders
+async function loadOwnedArtworkIds(userId) {
+  const { data, error } = await supabase
+    .from("order_items")
+    .select("artwork_id, orders!inner(buyer_id, status)")
+    .eq("orders.buyer_id", userId)
+    .eq("orders.status", "paid");
+  if (error) throw new Error(`Owned artworks lookup failed: ${error.message}`);
+  return [...new Set(data.map(item => item.artwork_id).filter(Boolean))];
+}
+
+// "Recommended for you": ?limit=. Signed-in users get artworks liked or bought by collectors with the same taste,
+// and ones sharing tags or an artist with what they liked or bought, each with a `recommendation` reason.
+// Anonymous users, and any shortfall, are filled from the 7-day trending list.
+// Never includes the user's own artworks or ones they already own
+app.get("/api/recommendations", async (req, res) => {
+  const parsed = parseRecommendationQuery(req.query);
+  if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+  if (!supabase) return res.json({ personalized: false, artworks: [] });
+
+  const auth = req.headers.authorization ? await authenticate(req) : {};
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+  const userId = auth.user?.id || null;
+
+  try {
+    let artworks = [];
+    let ownedIds = [];
+
+    if (userId) {
+      // Ask for extra rows, as sold-out artworks are dropped below
+      const [{ data: rows, error }, owned] = await Promise.all([
+        supabase.rpc("recommend_artworks", {
+          p_user_id: userId,
+          p_limit: parsed.limit * 2,
+          p_weights: RECOMMENDATION_WEIGHTS
+        }),
+        loadOwnedArtworkIds(userId)
+      ]);
+      if (error) throw new Error(`Recommendations failed: ${error.message}`);
+      ownedIds = owned;
+
+      if (rows.length > 0) {
+        const { data: found, error: fetchError } = await supabase
+          .from("artworks")
+          .select(PUBLIC_ARTWORK_FIELDS)
+          .in("id", rows.map(row => row.artwork_id))
+          .eq("status", "active");
+        if (fetchError) throw new Error(`Recommended artworks fetch failed: ${fetchError.message}`);
+
+        const byId = new Map(found.map(artwork => [artwork.id, artwork]));
+        artworks = rows
+          .filter(row => byId.has(row.artwork_id))
+          .map(row => {
+            const artwork = byId.get(row.artwork_id);
+            return {
+              ...withImageUrl(artwork),
+              ...editionAvailability(artwork),
+              recommendation: { score: row.score, ...recommendationReason(row) }
+            };
+          })
+          .filter(artwork => !artwork.sold_out)
+          .slice(0, parsed.limit);
+      }
+    }
+
+    const personalized = artworks.length > 0;
+    if (artworks.length < parsed.limit) {
+      const trending = await loadTrendingArtworks({
+        window: "7d",
+        limit: parsed.limit - artworks.length,
+        excludeIds: [...artworks.map(artwork => artwork.id), ...ownedIds],
+        excludeArtistId: userId
+      });
+      artworks = artworks.concat(trending.artworks.map(artwork => ({
+        ...artwork,
+        recommendation: { score: null, reason: "trending", label: "Trending this week" }
+      })));
+    }
+
+    res.json({ personalized, artworks });
+  } catch (e) {
+    console.error("Error in /api/recommendations:", e.message);
+    res.status(500).json({ error: "Failed to load recommendations" });
+  }
+});
+
+// Record that artworks were seen ({ artwork_ids }); signing in is optional.
+// Repeat views by the same viewer are only counted once per VIEW_DEDUPE_MINUTES
+app.post("/api/artworks/views", async (req, res) => {
+  const ids = Array.isArray(req.body?.artwork_ids) ? req.body.artwork_ids : [];
+  const artworkIds = [...new Set(ids.filter(id => typeof id === "string" && UUID_PATTERN.test(id)))];
+  if (artworkIds.length === 0) return res.status(400).json({ error: "artwork_ids required" });
+  if (artworkIds.length > MAX_VIEWS_PER_REQUEST) {
+    return res.status(400).json({ error: `At most ${MAX_VIEWS_PER_REQUEST} artworks per request` });
+  }
+  if (!supabase) return res.status(204).end();
+
+  try {
+    const auth = req.headers.authorization ? await authenticate(req) : {};
+    const userId = auth.user ? auth.user.id : null;
+    const { error } = await supabase.rpc("record_artwork_views", {
+      p_artwork_ids: artworkIds,
+      p_viewer_key: viewerKey({ userId, ip: req.ip, userAgent: req.get("user-agent") }),
+      p_user_id: userId,
+      p_dedupe_minutes: VIEW_DEDUPE_MINUTES
+    });
+    if (error) {
+      console.error("View tracking error:", error.message);
+      return res.status(500).json({ error: "Failed to record views" });
+    }
+    res.status(204).end();
+  } catch (e) {
+    console.error("Critical error in /api/artworks/views:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// The file's real type is checked from its bytes in prepareArtworkImage, so there is no MIME filter here
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single("file");
+
+// Image details recorded when a file passed validation, copied onto the artwork that uses it; image_url comes from
+// here too, never from the request, so an artwork can only point at a file this server stored.
+// null means the image did not come through POST /api/uploads (or not from this user), so it was never checked
+const UPLOAD_METADATA_FIELDS = "image_url,image_width,image_height,aspect_ratio,color_space,color_profile,color_palette,perceptual_hash";
+const UNCHECKED_IMAGE_ERROR = "Upload the image through /api/uploads so it can be checked first";
+
+async function loadUploadMetadata(imageStorage, uploaderId) {
+  if (!imageStorage.storage_key) return null;
+  const { data, error } = await supabase
+    .from("image_uploads")
+    .select(UPLOAD_METADATA_FIELDS)
+    .eq("storage_provider", imageStorage.storage_provider)
+    .eq("storage_key", imageStorage.storage_key)
+    .eq("uploader_id", uploaderId)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read image details: " + error.message);
+  // Uploads recorded before image_url was kept have to be uploaded again
+  return data?.image_url ? data : null;
+}
+
+// Upload an artwork image through the server, which checks it, strips its EXIF/GPS metadata and stores it with
+// the configured provider: multipart field "file". Broken rules come back as { error, errors: [{ rule, message }] }
+app.post("/api/uploads", requireUser, (req, res) => {
+  if (!storage.active) return res.status(500).json({ error: "Image uploads not configured" });
+
+  imageUpload(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === "LIMIT_FILE_SIZE";
+      const message = tooLarge ? `Images must be ${MAX_UPLOAD_BYTES / 1048576}MB or smaller` : err.message;
+      return res.status(tooLarge ? 413 : 400).json({ error: message, errors: [{ rule: tooLarge ? "file_size" : "upload", message }] });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "An image file is required (JPG, PNG, GIF or WebP)" });
+    }
+
+    try {
+      const prepared = await prepareArtworkImage(req.file, { maxBytes: MAX_UPLOAD_BYTES });
+      if (prepared.errors) {
+        return res.status(422).json({ error: prepared.errors.map(rule => rule.message).join(". "), errors: prepared.errors });
+      }
+
+      const image = await storage.active.upload(prepared.file, req.user.id);
+      if (supabase) {
+        const { error } = await supabase.from("image_uploads").insert([{
+          storage_provider: storage.provider,
+          storage_key: image.key,
+          image_url: image.url,
+          uploader_id: req.user.id,
+          ...prepared.metadata
+        }]);
+        if (error) throw new Error("Failed to record image details: " + error.message);
+      }
+      res.json({ ...image, provider: storage.provider, metadata: prepared.metadata });
+    } catch (e) {
+      console.error("Image upload error:", e.message);
+      res.status(502).json({ error: "Image upload failed: " + e.message });
+    }
+  });
+});
+
+// Signed parameters for a browser upload straight to Cloudinary. Folder, tags, formats and private delivery are fixed by
+// the signature, which stops working after a few minutes. These uploads skip the server's checks, so they are not
+// recorded in image_uploads and cannot become artworks; the sweep command removes the ones nothing points at
+app.post("/api/uploads/signature", requireUser, (req, res) => {
+  if (storage.provider !== "cloudinary") {
+    return res.status(409).json({ error: "Direct uploads need Cloudinary storage; use /api/uploads", provider: storage.provider });
+  }
+  if (!cloudinary) return res.status(500).json({ error: "Image uploads not configured" });
+  res.json(generateUploadSignature(cloudinary));
+});
+
+// Serve an original from local storage to whoever holds a valid, unexpired link from /api/downloads/:token
+app.get("/api/downloads/original", (req, res) => {
+  let file;
+  try {
+    file = storage.drivers.server.resolveDownload(req.query);
+  } catch (e) {
+    file = null;
+  }
+  if (!file) return res.status(403).json({ error: "This download link is invalid or has expired" });
+
+  res.download(file, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: "File not found" });
+  });
+});
+
+// Removed: the unauthenticated POST /api/artworks; artworks are created through POST /api/upload-artwork
+
+// Remove an artwork's image from the storage it was uploaded to, once no artwork points at it any more.
+// A failure only leaves an orphan behind, which the sweep command picks up later for Cloudinary
+async function removeArtworkImage(artwork) {
+  const driver = storage.drivers[artwork.storage_provider];
+  const key = artworkStorageKey(artwork);
+  if (!driver || !key) return;
+
+  // Supabase and local keys are stored under the uploader's id; one outside the artist's own prefix was not
+  // written by the upload routes, so leave the file alone rather than remove someone else's image
+  if (artwork.storage_provider !== "cloudinary" && !key.startsWith(`${artwork.artist_id}/`)) {
+    console.error(`Not removing ${key}: it does not belong to artist ${artwork.artist_id}`);
+    return;
+  }
+
+  const { count, error } = await supabase
+    .from("artworks")
+    .select("id", { count: "exact", head: true })
+    .eq("storage_provider", artwork.storage_provider)
+    .eq(artwork.storage_provider === "cloudinary" ? "public_id" : "storage_key", key);
+  if (error) {
+    console.error("Image reference check error:", error.message);
+    return;
+  }
+  if (count > 0) return;
+
+  try {
+    await driver.remove(key);
+  } catch (e) {
+    console.error(`Could not remove ${artwork.storage_provider} image ${key}:`, e.message);
   }
+}
+
+// Delete artwork: artists may delete their own unsold work, moderators and admins any artwork
+app.delete("/api/artworks/:id", requireUser, async (req, res) => {
   const id = req.params.id;
-  const { data: rows, error: selError } = await supabase.from("artworks").select("id,image_url").eq("id", id).limit(1);
+  const { data: rows, error: selError } = await supabase
+    .from("artworks")
+    .select("id,image_url,public_id,storage_provider,storage_key,artist_id,sold_count,reserved_count")
+    .eq("id", id)
+    .limit(1);
   if (selError) return res.status(500).json({ error: "Failed to read artwork" });
   const row = rows?.[0];
   if (!row) return res.status(404).json({ error: "Not found" });
+
+  if (row.artist_id === req.user.id) {
+    const blocker = artistDeleteBlocker(row);
+    if (blocker) return res.status(409).json({ error: blocker });
+  } else {
+    let role;
+    try {
+      role = await loadRole(req.user.id);
+    } catch (e) {
+      console.error("Role lookup error:", e.message);
+      return res.status(500).json({ error: "Failed to check permissions" });
+    }
+    if (!["moderator", "admin"].includes(role)) return res.status(403).json({ error: "Forbidden" });
+  }
+
   const { error: delError } = await supabase.from("artworks").delete().eq("id", id);
   if (delError) return res.status(500).json({ error: "Failed to delete artwork" });
+  await removeArtworkImage(row);
   res.json({ ok: true });
 });
 
-// User profile endpoints
-app.get("/api/profile/:userId", async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: "Database not configured" });
-  const userId = req.params.userId;
-  
+// Artist edits to their own artwork: details, price (kept in price history), image, or active/inactive
+app.patch("/api/artworks/:id", requireUser, async (req, res) => {
   try {
-    const { data: profile, error: profileError } = await supabase
-      .from("profiles")
+    const { data: artwork, error } = await supabase
+      .from("artworks")
       .select("*")
-      .eq("id", userId)
-      .single();
-    
-    if (profileError) {
-      console.error("Profile fetch error:", profileError.message);
-      return res.status(404).json({ error: "Profile not found" });
+      .eq("id", req.params.id)
+      .eq("artist_id", req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Artwork lookup error:", error.message);
+      return res.status(500).json({ error: "Failed to read artwork" });
     }
+    if (!artwork) return res.status(404).json({ error: "Artwork not found" });
 
-    const { data: artworks, error: artworksError } = await supabase
+    const plan = planArtworkUpdate(artwork, req.body, storage.provider);
+    if (plan.error) return res.status(plan.status).json({ error: plan.error });
+    if (FACETS.some(facet => facet in plan.changes)) {
+      const taxonomy = validateFacetValues(plan.changes, await loadTaxonomyTerms());
+      if (taxonomy.error) return res.status(taxonomy.status).json({ error: taxonomy.error });
+    }
+    if (plan.imageReplaced) {
+      const imageMetadata = await loadUploadMetadata(plan.changes, req.user.id);
+      if (!imageMetadata) return res.status(422).json({ error: UNCHECKED_IMAGE_ERROR });
+      Object.assign(plan.changes, imageMetadata);
+      // public_id is re-derived from the new image_url by the database, so leave the old one out
+      Object.assign(plan.changes, artworkPreviewImages(storage, { ...artwork, ...plan.changes, public_id: null }));
+    }
+
+    // Conditional on the status we planned against, so a moderator's decision is not overwritten
+    const { data: updated, error: updateError } = await supabase
       .from("artworks")
-      .select("*")
-      .eq("artist_id", userId)
-      .eq("status", "active")
+      .update({ ...plan.changes, updated_at: new Date().toISOString() })
+      .eq("id", artwork.id)
+      .eq("status", artwork.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("Artwork update error:", updateError.message);
+      return res.status(500).json({ error: "Failed to update artwork" });
+    }
+    if (!updated) return res.status(409).json({ error: "Artwork changed while you were editing; reload and try again" });
+    if (plan.tags) updated.tag_slugs = await saveArtworkTags(artwork.id, plan.tags);
+
+    if (plan.priceChanged) {
+      const { error: historyError } = await supabase.from("artwork_price_history").insert([{
+        artwork_id: artwork.id,
+        old_price: artwork.price,
+        new_price: updated.price,
+        changed_by: req.user.id
+      }]);
+      if (historyError) console.error("Price history insert error:", historyError.message);
+    }
+    if (plan.backToModeration) {
+      await recordModeration(artwork.id, req.user.id, "resubmitted", artwork.status, "pending", "Image replaced");
+    }
+    if (plan.imageReplaced) {
+      await removeArtworkImage(artwork);
+      await flagDuplicateArtworks(updated);
+    }
+
+    res.json({ artwork: { ...updated, ...editionAvailability(updated) }, resubmitted: plan.backToModeration });
+  } catch (e) {
+    console.error("Critical error in /api/artworks/:id (PATCH):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// The artist's own artworks in every state, with availability and price history
+app.get("/api/artist/artworks", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("artworks")
+      .select(`*, ${ARTWORK_IMAGE_FIELD}, artwork_price_history(old_price, new_price, changed_at)`)
+      .eq("artist_id", req.user.id)
       .order("created_at", { ascending: false });
 
-    if (artworksError) {
-      console.error("Artworks fetch error:", artworksError.message);
-      return res.status(500).json({ error: "Failed to fetch artworks" });
+    if (error) {
+      console.error("Artist artworks fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load artworks" });
     }
 
     res.json({
-      profile,
-      artworks: artworks || []
+      artworks: (data || []).map(({ artwork_price_history, ...artwork }) => ({
+        ...withImageUrl(artwork),
+        ...editionAvailability(artwork),
+        price_history: (artwork_price_history || []).sort((a, b) => new Date(b.changed_at) - new Date(a.changed_at))
+      }))
     });
   } catch (e) {
-    console.error("Critical error in /api/profile:", e.message);
+    console.error("Critical error in /api/artist/artworks:", e.message);
     res.status(503).json({ error: "Backend unreachable" });
   }
 });
 
-// Update user profile
-app.put("/api/profile", async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: "Database not configured" });
-  
-  // Get user from JWT token (you'll need to implement JWT verification)
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-
-  const token = authHeader.substring(7);
-  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-  
-  if (authError || !user) {
-    return res.status(401).json({ error: "Invalid token" });
+// The signed-in user and their role, so pages can show or hide admin tools
+app.get("/api/me", requireUser, async (req, res) => {
+  try {
+    res.json({ id: req.user.id, email: req.user.email, role: await loadRole(req.user.id) });
+  } catch (e) {
+    console.error("Role lookup error:", e.message);
+    res.status(500).json({ error: "Failed to load account" });
   }
+});
 
-  const { username, full_name, bio, website } = req.body || {};
-  
+// Admin: every artwork, whatever its status
+app.get("/api/admin/artworks", requireRole("moderator"), async (req, res) => {
   try {
     const { data, error } = await supabase
-      .from("profiles")
-      .upsert({
-        id: user.id,
-        username,
-        full_name,
-        bio,
-        website,
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+      .from("artworks")
+      .select(`*, ${ARTWORK_IMAGE_FIELD}`)
+      .order("created_at", { ascending: false });
 
     if (error) {
-      console.error("Profile update error:", error.message);
-      return res.status(500).json({ error: "Failed to update profile" });
+      console.error("Admin artworks fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load artworks" });
     }
-
-    res.json(data);
+    res.json({ artworks: (data || []).map(withImageUrl) });
   } catch (e) {
-    console.error("Critical error in profile update:", e.message);
+    console.error("Critical error in /api/admin/artworks:", e.message);
     res.status(503).json({ error: "Backend unreachable" });
   }
 });
 
-// Like/unlike artwork
-app.post("/api/artworks/:id/like", async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: "Database not configured" });
-  
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: "Unauthorized" });
+// Record a step in an artwork's moderation audit trail
+async function recordModeration(artworkId, actorId, action, fromStatus, toStatus, reason = null) {
+  const { error } = await supabase.from("moderation_actions").insert([{
+    artwork_id: artworkId,
+    actor_id: actorId,
+    action,
+    from_status: fromStatus,
+    to_status: toStatus,
+    reason
+  }]);
+  if (error) console.error("Moderation audit insert error:", error.message);
+}
+
+// Flag an artwork whose image looks like another artist's work, so moderators see both side by side.
+// Earlier matches are replaced, since they described the artwork's previous image
+async function flagDuplicateArtworks(artwork) {
+  try {
+    const { error: clearError } = await supabase.from("artwork_duplicate_matches").delete().eq("artwork_id", artwork.id);
+    if (clearError) throw new Error(clearError.message);
+    if (!isDistinctiveHash(artwork.perceptual_hash)) return;
+
+    const { data: matches, error } = await supabase.rpc("find_similar_artworks", {
+      p_hash: artwork.perceptual_hash,
+      p_exclude_artist_id: artwork.artist_id,
+      p_max_distance: duplicateDistance
+    });
+    if (error) throw new Error(error.message);
+    if (!matches || matches.length === 0) return;
+
+    const { error: insertError } = await supabase.from("artwork_duplicate_matches").insert(matches.map(match => ({
+      artwork_id: artwork.id,
+      matched_artwork_id: match.artwork_id,
+      distance: match.distance
+    })));
+    if (insertError) throw new Error(insertError.message);
+  } catch (e) {
+    console.error("Duplicate check error:", e.message);
+  }
+}
+
+// Attach the flagged look-alikes to each artwork in the moderation queue, closest first
+async function withDuplicateMatches(artworks) {
+  if (artworks.length === 0) return artworks;
+
+  const { data: matches, error } = await supabase
+    .from("artwork_duplicate_matches")
+    .select("artwork_id, matched_artwork_id, distance")
+    .in("artwork_id", artworks.map(artwork => artwork.id))
+    .order("distance", { ascending: true });
+  if (error) throw new Error("Failed to load duplicate matches: " + error.message);
+  if (!matches || matches.length === 0) return artworks.map(artwork => ({ ...artwork, duplicate_matches: [] }));
+
+  const { data: matched, error: matchedError } = await supabase
+    .from("artworks")
+    .select(`id, title, artist_id, status, created_at, image_url, preview_srcset, placeholder_url, ${ARTWORK_IMAGE_FIELD}`)
+    .in("id", [...new Set(matches.map(match => match.matched_artwork_id))]);
+  if (matchedError) throw new Error("Failed to load matched artworks: " + matchedError.message);
+
+  const matchedById = new Map((matched || []).map(artwork => [artwork.id, withImageUrl(artwork)]));
+  return artworks.map(artwork => ({
+    ...artwork,
+    duplicate_matches: matches
+      .filter(match => match.artwork_id === artwork.id && matchedById.has(match.matched_artwork_id))
+      .map(match => ({ distance: match.distance, artwork: matchedById.get(match.matched_artwork_id) }))
+  }));
+}
+
+// Moderation queue: artworks awaiting review (or ?status= another state), oldest first, with their history
+// and any other artists' artworks they look like
+app.get("/api/admin/moderation", requireRole("moderator"), async (req, res) => {
+  const status = req.query.status || "pending";
+
+  try {
+    const { data, error } = await supabase
+      .from("artworks")
+      .select(`*, ${ARTWORK_IMAGE_FIELD}, moderation_actions(*)`)
+      .eq("status", status)
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.error("Moderation queue fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load moderation queue" });
+    }
+
+    const artworks = await withDuplicateMatches((data || []).map(({ moderation_actions, ...artwork }) => ({
+      ...withImageUrl(artwork),
+      history: (moderation_actions || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    })));
+    res.json({ artworks });
+  } catch (e) {
+    console.error("Critical error in /api/admin/moderation:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Approve, reject (with reason) or request changes (with reason) on an artwork
+app.post("/api/admin/artworks/:id/moderation", requireRole("moderator"), async (req, res) => {
+  const { action, reason } = req.body || {};
+
+  try {
+    const { data: artwork, error } = await supabase
+      .from("artworks")
+      .select("id, status")
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Moderation artwork lookup error:", error.message);
+      return res.status(500).json({ error: "Failed to read artwork" });
+    }
+    if (!artwork) return res.status(404).json({ error: "Artwork not found" });
+
+    const plan = planModeration(artwork, action, reason);
+    if (plan.error) return res.status(plan.status).json({ error: plan.error });
+
+    // Conditional on the status we checked, so two moderators cannot both decide
+    const { data: updated, error: updateError } = await supabase
+      .from("artworks")
+      .update({ status: plan.to })
+      .eq("id", artwork.id)
+      .eq("status", artwork.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("Moderation update error:", updateError.message);
+      return res.status(500).json({ error: "Failed to update artwork" });
+    }
+    if (!updated) return res.status(409).json({ error: "Artwork was already moderated" });
+
+    await recordModeration(artwork.id, req.user.id, plan.logAction, artwork.status, plan.to, plan.reason);
+    res.json({ artwork: updated });
+  } catch (e) {
+    console.error("Critical error in /api/admin/artworks/:id/moderation:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Admin: list profiles with their roles (optionally ?role=)
+app.get("/api/admin/users", requireRole("admin"), async (req, res) => {
+  try {
+    let query = supabase
+      .from("profiles")
+      .select("id, username, full_name, role, updated_at")
+      .order("updated_at", { ascending: false });
+    if (req.query.role) query = query.eq("role", req.query.role);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error("Admin users fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load users" });
+    }
+    res.json({ users: data || [] });
+  } catch (e) {
+    console.error("Critical error in /api/admin/users:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Admin: change a user's role
+app.put("/api/admin/users/:id/role", requireRole("admin"), async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+  }
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: "You cannot change your own role" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .upsert({ id: req.params.id, role, updated_at: new Date().toISOString() })
+      .select("id, username, full_name, role")
+      .single();
+
+    if (error) {
+      console.error("Role update error:", error.message);
+      return res.status(500).json({ error: "Failed to update role" });
+    }
+    res.json({ user: data });
+  } catch (e) {
+    console.error("Critical error in /api/admin/users/:id/role:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Moderators: the taxonomy with how many artworks use each term
+app.get("/api/admin/taxonomy", requireRole("moderator"), async (req, res) => {
+  try {
+    const terms = await loadTaxonomyTerms();
+    const { data: artworks, error } = await supabase.from("artworks").select("category, medium, style");
+    if (error) {
+      console.error("Taxonomy usage fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load taxonomy" });
+    }
+    const usage = term => (artworks || []).filter(artwork => artwork[term.facet] === term.slug).length;
+    res.json(groupTerms(terms.map(term => ({ ...term, artworks: usage(term) }))));
+  } catch (e) {
+    console.error("Critical error in /api/admin/taxonomy:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Moderators: add a category, medium or style ({ facet, name, slug?, position? })
+app.post("/api/admin/taxonomy", requireRole("moderator"), async (req, res) => {
+  const input = normalizeTermInput(req.body);
+  if (input.error) return res.status(input.status).json({ error: input.error });
+
+  try {
+    const { data, error } = await supabase.from("taxonomy_terms").insert(input.term).select().single();
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ error: `That ${input.term.facet} already exists` });
+      console.error("Taxonomy insert error:", error.message);
+      return res.status(500).json({ error: "Failed to add term" });
+    }
+    res.status(201).json({ term: data });
+  } catch (e) {
+    console.error("Critical error in /api/admin/taxonomy (POST):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Moderators: rename or reorder a term ({ name?, position? }); its slug never changes
+app.patch("/api/admin/taxonomy/:id", requireRole("moderator"), async (req, res) => {
+  const input = normalizeTermInput(req.body, false);
+  if (input.error) return res.status(input.status).json({ error: input.error });
+
+  try {
+    const { data, error } = await supabase
+      .from("taxonomy_terms")
+      .update(input.term)
+      .eq("id", req.params.id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      console.error("Taxonomy update error:", error.message);
+      return res.status(500).json({ error: "Failed to update term" });
+    }
+    if (!data) return res.status(404).json({ error: "Term not found" });
+    res.json({ term: data });
+  } catch (e) {
+    console.error("Critical error in /api/admin/taxonomy/:id (PATCH):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Moderators: remove a term no artwork uses
+app.delete("/api/admin/taxonomy/:id", requireRole("moderator"), async (req, res) => {
+  try {
+    const { data: term, error } = await supabase
+      .from("taxonomy_terms")
+      .select("id, facet, slug, name")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (error) {
+      console.error("Taxonomy lookup error:", error.message);
+      return res.status(500).json({ error: "Failed to read term" });
+    }
+    if (!term) return res.status(404).json({ error: "Term not found" });
+
+    const { count, error: countError } = await supabase
+      .from("artworks")
+      .select("id", { count: "exact", head: true })
+      .eq(term.facet, term.slug);
+    if (countError) {
+      console.error("Taxonomy usage check error:", countError.message);
+      return res.status(500).json({ error: "Failed to check term usage" });
+    }
+    if (count > 0) {
+      return res.status(409).json({ error: `${count} artwork(s) are filed under ${term.name}; move them first` });
+    }
+
+    const { error: deleteError } = await supabase.from("taxonomy_terms").delete().eq("id", term.id);
+    if (deleteError) {
+      console.error("Taxonomy delete error:", deleteError.message);
+      return res.status(500).json({ error: "Failed to delete term" });
+    }
+    res.json({ deleted: true });
+  } catch (e) {
+    console.error("Critical error in /api/admin/taxonomy/:id (DELETE):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// User profile endpoints
+app.get("/api/profile/:userId", async (req, res) => {
+  if (!supabase) return res.status(500).json({ error: "Database not configured" });
+  const userId = req.params.userId;
+  
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from("profiles")
+      .select("*")
+      .eq("id", userId)
+      .single();
+    
+    if (profileError) {
+      console.error("Profile fetch error:", profileError.message);
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    const { data: artworks, error: artworksError } = await supabase
+      .from("artworks")
+      .select(PUBLIC_ARTWORK_FIELDS)
+      .eq("artist_id", userId)
+      .eq("status", "active")
+      .order("created_at", { ascending: false });
+
+    if (artworksError) {
+      console.error("Artworks fetch error:", artworksError.message);
+      return res.status(500).json({ error: "Failed to fetch artworks" });
+    }
+
+    res.json({
+      profile,
+      artworks: (artworks || []).map(withImageUrl)
+    });
+  } catch (e) {
+    console.error("Critical error in /api/profile:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Update user profile
+app.put("/api/profile", async (req, res) => {
+  if (!supabase) return res.status(500).json({ error: "Database not configured" });
+  
+  // Get user from JWT token (you'll need to implement JWT verification)
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const token = authHeader.substring(7);
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  
+  if (authError || !user) {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  const { username, full_name, bio, website } = req.body || {};
+  
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .upsert({
+        id: user.id,
+        username,
+        full_name,
+        bio,
+        website,
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Profile update error:", error.message);
+      return res.status(500).json({ error: "Failed to update profile" });
+    }
+
+    res.json(data);
+  } catch (e) {
+    console.error("Critical error in profile update:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Like/unlike artwork
+app.post("/api/artworks/:id/like", async (req, res) => {
+  if (!supabase) return res.status(500).json({ error: "Database not configured" });
+  
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: "Unauthorized" });
   }
 
   const token = authHeader.substring(7);
@@ -264,21 +1282,36 @@ app.post("/api/upload-artwork", async (req, res) => {
     return res.status(401).json({ error: "Invalid token" });
   }
 
-  const { title, description, price, image_url, category } = req.body || {};
+  const { title, description, price, category, medium, style } = req.body || {};
   
-  if (!title || !price || !image_url) {
-    return res.status(400).json({ error: "Title, price, and image_url are required" });
+  if (!title || !price || !(req.body || {}).storage_key) {
+    return res.status(400).json({ error: "Title, price, and storage_key are required" });
   }
+  const tags = normalizeTags((req.body || {}).tags || []);
+  if (tags.error) return res.status(400).json({ error: tags.error });
+  const edition = normalizeEdition(req.body);
+  if (edition.error) return res.status(400).json({ error: edition.error });
+  const imageStorage = normalizeImageStorage(req.body, storage.provider);
+  if (imageStorage.error) return res.status(400).json({ error: imageStorage.error });
 
   try {
+    const taxonomy = validateFacetValues({ category: category || "digital", medium, style }, await loadTaxonomyTerms());
+    if (taxonomy.error) return res.status(taxonomy.status).json({ error: taxonomy.error });
+    const imageMetadata = await loadUploadMetadata(imageStorage, user.id);
+    if (!imageMetadata) return res.status(422).json({ error: UNCHECKED_IMAGE_ERROR });
+
     const { data, error } = await supabase
       .from("artworks")
       .insert([{
         title,
         description: description || '',
         price: parseFloat(price),
-        image_url,
-        category: category || 'digital',
+        ...artworkPreviewImages(storage, { ...imageStorage, image_url: imageMetadata.image_url }),
+        ...imageMetadata,
+        ...taxonomy.facets,
+        ...edition,
+        ...imageStorage,
+        status: "pending",
         artist_id: user.id
       }])
       .select()
@@ -289,6 +1322,8 @@ app.post("/api/upload-artwork", async (req, res) => {
       return res.status(500).json({ error: "Failed to save artwork: " + error.message });
     }
 
+    if (tags.tags.length > 0) data.tag_slugs = await saveArtworkTags(data.id, tags.tags);
+    await flagDuplicateArtworks(data);
     res.json({ success: true, artwork: data });
   } catch (e) {
     console.error("Critical error in upload-artwork:", e.message);
@@ -296,21 +1331,1487 @@ app.post("/api/upload-artwork", async (req, res) => {
   }
 });
 
-// Example test route
-app.get("/api/test", (req, res) => {
-  res.json({ message: "Backend working" });
+// Order states a payment may move an order out of
+const ORDER_TRANSITIONS = {
+  paid: ["created", "failed"],
+  failed: ["created"],
+  refunded: ["paid"]
+};
+
+// Cart API: one server-side cart per user, so it follows the buyer across devices
+const CART_ITEM_FIELDS = `artwork_id, added_at, artworks(id,title,price,image_url,${ARTWORK_IMAGE_FIELD},category,artist_id,status,edition_type,edition_size,sold_count)`;
+
+// Find the user's cart, creating it on first use
+async function getOrCreateCart(userId) {
+  const { data: existing, error } = await supabase
+    .from("carts")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read cart: " + error.message);
+  if (existing) return existing;
+
+  const { data: created, error: insertError } = await supabase
+    .from("carts")
+    .insert([{ user_id: userId }])
+    .select()
+    .single();
+
+  if (insertError) throw new Error("Failed to create cart: " + insertError.message);
+  return created;
+}
+
+// Current cart contents in the shape the pages render
+async function cartContents(cartId) {
+  const { data, error } = await supabase
+    .from("cart_items")
+    .select(CART_ITEM_FIELDS)
+    .eq("cart_id", cartId)
+    .order("added_at", { ascending: true });
+
+  if (error) throw new Error("Failed to read cart items: " + error.message);
+
+  const items = (data || [])
+    .filter(row => row.artworks)
+    .map(row => ({
+      artwork_id: row.artwork_id,
+      title: row.artworks.title,
+      price: row.artworks.price,
+      image_url: row.artworks.display_url || row.artworks.image_url,
+      category: row.artworks.category,
+      available: row.artworks.status === "active" && !isSoldOut(row.artworks),
+      added_at: row.added_at
+    }));
+
+  return {
+    items,
+    subtotal: items.reduce((sum, item) => sum + Number(item.price || 0), 0)
+  };
+}
+
+app.get("/api/cart", requireUser, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    res.json(await cartContents(cart.id));
+  } catch (e) {
+    console.error("Cart fetch error:", e.message);
+    res.status(500).json({ error: "Failed to load cart" });
+  }
 });
 
-const PORT = process.env.PORT || 8080;
-const server = app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log("Keep-alive interval started.");
+// Add one artwork ({ artwork_id }) or several at once ({ artwork_ids }, used to merge a guest cart)
+app.post("/api/cart", requireUser, async (req, res) => {
+  const { artwork_id, artwork_ids } = req.body || {};
+  const ids = [...new Set(Array.isArray(artwork_ids) ? artwork_ids : [artwork_id])].filter(Boolean);
+  if (ids.length === 0) return res.status(400).json({ error: "artwork_id or artwork_ids required" });
+
+  try {
+    const { data: artworks, error: artworkError } = await supabase
+      .from("artworks")
+      .select("id")
+      .in("id", ids)
+      .eq("status", "active");
+
+    if (artworkError) {
+      console.error("Cart artwork lookup error:", artworkError.message);
+      return res.status(500).json({ error: "Failed to read artworks" });
+    }
+    if (!artworks || artworks.length === 0) {
+      return res.status(404).json({ error: "Artwork not available" });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    // Only rows that were not already in the cart come back
+    const { data: added, error: upsertError } = await supabase
+      .from("cart_items")
+      .upsert(artworks.map(artwork => ({ cart_id: cart.id, artwork_id: artwork.id })), {
+        onConflict: "cart_id,artwork_id",
+        ignoreDuplicates: true
+      })
+      .select("artwork_id");
+
+    if (upsertError) {
+      console.error("Cart add error:", upsertError.message);
+      return res.status(500).json({ error: "Failed to add to cart" });
+    }
+
+    if (added && added.length > 0) {
+      const { error: eventError } = await supabase
+        .from("artwork_events")
+        .insert(added.map(item => ({ artwork_id: item.artwork_id, event_type: "add_to_cart", user_id: req.user.id })));
+      // Trending is best effort; the cart itself was updated
+      if (eventError) console.error("Cart event error:", eventError.message);
+    }
+
+    await supabase.from("carts").update({ updated_at: new Date().toISOString() }).eq("id", cart.id);
+    res.json(await cartContents(cart.id));
+  } catch (e) {
+    console.error("Critical error in /api/cart (POST):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
 });
 
-// Force process to stay alive
-setInterval(() => {
-  // console.log("Keep-alive tick");
-}, 10000);
+app.delete("/api/cart/:artworkId", requireUser, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    const { error } = await supabase
+      .from("cart_items")
+      .delete()
+      .eq("cart_id", cart.id)
+      .eq("artwork_id", req.params.artworkId);
+
+    if (error) {
+      console.error("Cart remove error:", error.message);
+      return res.status(500).json({ error: "Failed to remove from cart" });
+    }
+
+    res.json(await cartContents(cart.id));
+  } catch (e) {
+    console.error("Critical error in /api/cart (DELETE):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+app.delete("/api/cart", requireUser, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    const { error } = await supabase.from("cart_items").delete().eq("cart_id", cart.id);
+
+    if (error) {
+      console.error("Cart clear error:", error.message);
+      return res.status(500).json({ error: "Failed to clear cart" });
+    }
+
+    res.json({ items: [], subtotal: 0 });
+  } catch (e) {
+    console.error("Critical error in /api/cart (DELETE):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+const WISHLIST_FIELDS = `artwork_id, price_at_add, added_at, artworks(id,title,price,image_url,${ARTWORK_IMAGE_FIELD},category,artist_id,artist_name,status,edition_type,edition_size,sold_count,reserved_count)`;
+
+// The user's wishlist in the shape the pages render, newest first
+async function wishlistContents(userId) {
+  const { data, error } = await supabase
+    .from("wishlists")
+    .select(WISHLIST_FIELDS)
+    .eq("user_id", userId)
+    .order("added_at", { ascending: false });
+
+  if (error) throw new Error("Failed to read wishlist: " + error.message);
+
+  return {
+    items: (data || [])
+      .filter(row => row.artworks)
+      .map(({ artworks: artwork, ...row }) => ({
+        artwork_id: row.artwork_id,
+        title: artwork.title,
+        artist_name: artwork.artist_name,
+        price: artwork.price,
+        price_at_add: row.price_at_add,
+        price_drop: wishlistPriceDrop({ price: artwork.price, price_at_add: row.price_at_add }),
+        image_url: artwork.display_url || artwork.image_url,
+        category: artwork.category,
+        ...editionAvailability(artwork),
+        available: artwork.status === "active" && !isSoldOut(artwork),
+        added_at: row.added_at
+      }))
+  };
+}
+
+app.get("/api/wishlist", requireUser, async (req, res) => {
+  try {
+    res.json(await wishlistContents(req.user.id));
+  } catch (e) {
+    console.error("Wishlist fetch error:", e.message);
+    res.status(500).json({ error: "Failed to load wishlist" });
+  }
+});
+
+// Add one artwork ({ artwork_id }) or several at once ({ artwork_ids }, used to merge a guest wishlist).
+// The current price is kept so later drops can be shown
+app.post("/api/wishlist", requireUser, async (req, res) => {
+  const { artwork_id, artwork_ids } = req.body || {};
+  const ids = [...new Set(Array.isArray(artwork_ids) ? artwork_ids : [artwork_id])]
+    .filter(id => typeof id === "string" && UUID_PATTERN.test(id));
+  if (ids.length === 0) return res.status(400).json({ error: "artwork_id or artwork_ids required" });
+
+  try {
+    const { data: artworks, error: artworkError } = await supabase
+      .from("artworks")
+      .select("id, price")
+      .in("id", ids)
+      .eq("status", "active");
+
+    if (artworkError) {
+      console.error("Wishlist artwork lookup error:", artworkError.message);
+      return res.status(500).json({ error: "Failed to read artworks" });
+    }
+    if (!artworks || artworks.length === 0) {
+      return res.status(404).json({ error: "Artwork not available" });
+    }
+
+    // Re-adding keeps the original price_at_add, so a drop since then still shows
+    const { error: upsertError } = await supabase
+      .from("wishlists")
+      .upsert(artworks.map(artwork => ({ user_id: req.user.id, artwork_id: artwork.id, price_at_add: artwork.price })), {
+        onConflict: "user_id,artwork_id",
+        ignoreDuplicates: true
+      });
+
+    if (upsertError) {
+      console.error("Wishlist add error:", upsertError.message);
+      return res.status(500).json({ error: "Failed to add to wishlist" });
+    }
+
+    res.json(await wishlistContents(req.user.id));
+  } catch (e) {
+    console.error("Critical error in /api/wishlist (POST):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+app.delete("/api/wishlist/:artworkId", requireUser, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("wishlists")
+      .delete()
+      .eq("user_id", req.user.id)
+      .eq("artwork_id", req.params.artworkId);
+
+    if (error) {
+      console.error("Wishlist remove error:", error.message);
+      return res.status(500).json({ error: "Failed to remove from wishlist" });
+    }
+
+    res.json(await wishlistContents(req.user.id));
+  } catch (e) {
+    console.error("Critical error in /api/wishlist (DELETE):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Price drop and low stock alerts on wishlisted artworks the user has not dismissed yet
+app.get("/api/wishlist/notifications", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("wishlist_notifications")
+      .select("id, artwork_id, kind, old_price, new_price, remaining, created_at, artworks(title)")
+      .eq("user_id", req.user.id)
+      .is("seen_at", null)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Wishlist notifications fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load notifications" });
+    }
+
+    res.json({
+      notifications: (data || []).map(({ artworks, ...notification }) => {
+        const withTitle = { ...notification, title: artworks?.title || null };
+        return { ...withTitle, message: wishlistNotificationMessage(withTitle) };
+      })
+    });
+  } catch (e) {
+    console.error("Critical error in /api/wishlist/notifications:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Dismiss wishlist alerts ({ ids })
+app.post("/api/wishlist/notifications/seen", requireUser, async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(id => typeof id === "string" && UUID_PATTERN.test(id)) : [];
+  if (ids.length === 0) return res.status(400).json({ error: "ids required" });
+
+  try {
+    const { data, error } = await supabase
+      .from("wishlist_notifications")
+      .update({ seen_at: new Date().toISOString() })
+      .in("id", ids)
+      .eq("user_id", req.user.id)
+      .is("seen_at", null)
+      .select("id");
+
+    if (error) {
+      console.error("Wishlist notifications update error:", error.message);
+      return res.status(500).json({ error: "Failed to update notifications" });
+    }
+    res.json({ ok: true, dismissed: data.length });
+  } catch (e) {
+    console.error("Critical error in /api/wishlist/notifications/seen:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Resolve the artworks being checked out: { artwork_id }, { artwork_ids } or { from_cart: true }
+async function loadCheckoutArtworks(userId, { artwork_id, artwork_ids, from_cart } = {}) {
+  let ids;
+  if (from_cart) {
+    const cart = await getOrCreateCart(userId);
+    ids = (await cartContents(cart.id)).items.map(item => item.artwork_id);
+  } else {
+    ids = Array.isArray(artwork_ids) ? artwork_ids : [artwork_id];
+  }
+  ids = [...new Set(ids)].filter(Boolean);
+
+  if (ids.length === 0) {
+    return { status: 400, error: from_cart ? "Your cart is empty" : "artwork_id required" };
+  }
+
+  const { data: artworks, error } = await supabase
+    .from("artworks")
+    .select(`id,title,price,${ARTWORK_IMAGE_FIELD},artist_id,category,status,edition_type,edition_size,sold_count`)
+    .in("id", ids);
+
+  if (error) throw new Error("Failed to read artworks: " + error.message);
+
+  const available = (artworks || []).filter(artwork => artwork.status === "active");
+  if (available.length !== ids.length) {
+    return { status: 404, error: "Some artworks are no longer available" };
+  }
+
+  const soldOut = available.filter(isSoldOut);
+  if (soldOut.length > 0) {
+    return { status: 409, error: `Sold out: ${soldOut.map(artwork => artwork.title).join(", ")}` };
+  }
+
+  return { artworks: ids.map(id => available.find(artwork => artwork.id === id)) };
+}
+
+// Look up a discount code with its redemption counts and evaluate it against the line items
+async function resolveDiscount(rawCode, userId, items) {
+  const code = normalizeCode(rawCode);
+  const { data: discount, error } = await supabase
+    .from("discount_codes")
+    .select("*")
+    .eq("code", code)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read discount code: " + error.message);
+  if (!discount) return { discount: null, result: { valid: false, error: "Invalid discount code" } };
+
+  // Unpaid orders hold a use until they fail or expire. The buyer's own unpaid orders are left out, since starting
+  // a checkout abandons them; claimDiscountCode makes the final, locked check once the order exists
+  const [{ count: totalRedemptions }, { count: userRedemptions }] = await Promise.all([
+    supabase.from("orders").select("id", { count: "exact", head: true })
+      .eq("discount_code_id", discount.id).or(`status.eq.paid,and(status.eq.created,buyer_id.neq.${userId})`),
+    supabase.from("orders").select("id", { count: "exact", head: true })
+      .eq("discount_code_id", discount.id).eq("status", "paid").eq("buyer_id", userId)
+  ]);
+
+  return {
+    discount,
+    result: evaluateDiscount(discount, {
+      items,
+      totalRedemptions: totalRedemptions || 0,
+      userRedemptions: userRedemptions || 0
+    })
+  };
+}
+
+// Take one use of a discount code for an unpaid order, unless concurrent checkouts got there first.
+// Returns the reason the code cannot be used, or null once the order holds it
+async function claimDiscountCode(orderId, discountCodeId) {
+  const { data: limit, error } = await supabase.rpc("claim_discount_code", {
+    p_order_id: orderId,
+    p_discount_code_id: discountCodeId
+  });
+  if (error) throw new Error("Failed to claim discount code: " + error.message);
+  return limit ? DISCOUNT_LIMIT_ERRORS[limit] : null;
+}
+
+// Check a discount code and preview the totals it produces
+app.post("/api/discounts/validate", requireUser, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: "code required" });
+
+  try {
+    const checkout = await loadCheckoutArtworks(req.user.id, req.body);
+    if (checkout.error) return res.status(checkout.status).json({ error: checkout.error });
+
+    const { discount, result } = await resolveDiscount(code, req.user.id, checkout.artworks);
+    if (!result.valid) return res.status(400).json({ valid: false, error: result.error });
+
+    const subtotal = checkout.artworks.reduce((sum, artwork) => sum + Number(artwork.price || 0), 0);
+    res.json({
+      valid: true,
+      code: discount.code,
+      kind: discount.kind,
+      value: discount.value,
+      totals: computeOrderTotals(subtotal, result.amount)
+    });
+  } catch (e) {
+    console.error("Critical error in /api/discounts/validate:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Side effects of an order becoming paid, from either the checkout callback or a webhook.
+// Returns false if the payment came too late to be honoured and is being refunded instead
+async function handleOrderPaid(order) {
+  const { data: items, error } = await supabase
+    .from("order_items")
+    .select("*")
+    .eq("order_id", order.id);
+
+  if (error) {
+    console.error("Paid order items lookup error:", error.message);
+    return true;
+  }
+
+  const { data: refused, error: inventoryError } = await supabase.rpc("convert_order_reservations", { p_order_id: order.id });
+  if (inventoryError) console.error("Inventory conversion error:", inventoryError.message);
+  if (refused?.length > 0) {
+    await refuseLatePayment(order);
+    return false;
+  }
+
+  // Credit each artist once per line item; order_item_id is unique, so a replay is a no-op
+  const entries = buildSaleEntries(order, items, commissionRate);
+  if (entries.length > 0) {
+    const { error: ledgerError } = await supabase
+      .from("ledger_entries")
+      .upsert(entries, { onConflict: "order_item_id", ignoreDuplicates: true });
+    if (ledgerError) console.error("Artist ledger credit error:", ledgerError.message);
+  }
+
+  if (invoiceSeller) {
+    try {
+      await issueInvoice(order);
+    } catch (e) {
+      console.error("Invoice issue error:", e.message);
+    }
+  }
+
+  const { data: cart } = await supabase
+    .from("carts")
+    .select("id")
+    .eq("user_id", order.buyer_id)
+    .maybeSingle();
+
+  if (cart && items.length > 0) {
+    await supabase
+      .from("cart_items")
+      .delete()
+      .eq("cart_id", cart.id)
+      .in("artwork_id", items.map(item => item.artwork_id));
+  }
+  return true;
+}
+
+// A payment that arrived after the order's reservation lapsed, when someone else has since bought the copies.
+// The order is failed, so it earns the artists nothing and unlocks no downloads, and the whole payment is refunded.
+// If Razorpay refuses the refund the order stays failed with nothing in refunded_amount, to be refunded by hand
+async function refuseLatePayment(order) {
+  await supabase.from("orders").update({ status: "failed" }).eq("id", order.id).eq("status", "paid");
+  if (!order.razorpay_payment_id) {
+    console.error(`Order ${order.id} was paid after its artworks sold out and has no payment id; refund it by hand`);
+    return;
+  }
+
+  try {
+    const refund = await razorpay.refundPayment(order.razorpay_payment_id, {
+      amount: toPaise(order.total),
+      notes: { order_id: order.id, reason: "sold_out" }
+    });
+    await recordRefund({ ...order, status: "failed" }, refund);
+  } catch (e) {
+    console.error(`Refund for sold-out order ${order.id} failed; refund it by hand:`, e.message);
+  }
+}
+
+// A refund takes back any earnings that have not been paid out yet
+async function handleOrderRefunded(order) {
+  const { error } = await supabase
+    .from("ledger_entries")
+    .update({ status: "reversed" })
+    .eq("order_id", order.id)
+    .eq("status", "pending");
+  if (error) console.error("Artist ledger reversal error:", error.message);
+}
+
+// Record a Razorpay refund against its order. Razorpay sends refund.created and then refund.processed for the same
+// refund, so refunds are keyed by their id. The order only becomes refunded, reversing the artists' pending
+// earnings, once its refunds cover the whole total; until then it stays paid with the refunds in refunded_amount
+async function recordRefund(order, refund) {
+  const { error } = await supabase
+    .from("order_refunds")
+    .upsert([{
+      id: refund.id,
+      order_id: order.id,
+      razorpay_payment_id: refund.payment_id || null,
+      amount: fromPaise(refund.amount)
+    }], { onConflict: "id", ignoreDuplicates: true });
+  if (error) throw new Error("Failed to record refund: " + error.message);
+
+  const { data: refunds, error: refundsError } = await supabase
+    .from("order_refunds")
+    .select("amount")
+    .eq("order_id", order.id);
+  if (refundsError) throw new Error("Failed to read refunds: " + refundsError.message);
+
+  const refundedPaise = refunds.reduce((sum, row) => sum + toPaise(row.amount), 0);
+  const fullyRefunded = refundedPaise >= toPaise(order.total);
+  const changes = { refunded_amount: fromPaise(refundedPaise) };
+  if (fullyRefunded) {
+    changes.status = "refunded";
+    changes.refunded_at = new Date().toISOString();
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from("orders")
+    .update(changes)
+    .eq("id", order.id)
+    .eq("status", order.status)
+    .select();
+  if (updateError) throw new Error("Failed to update order: " + updateError.message);
+
+  if (fullyRefunded && updated.length > 0) await handleOrderRefunded(updated[0]);
+
+  const { error: creditNoteError } = await supabase.rpc("issue_credit_note", { p_refund_id: refund.id });
+  if (creditNoteError) console.error("Credit note issue error:", creditNoteError.message);
+}
+
+// Price a set of artworks, applying a discount code if one is given
+async function priceOrder(userId, artworks, discountCode) {
+  let discountCodeId = null;
+  let discountAmount = 0;
+  let lineDiscounts = artworks.map(() => 0);
+
+  if (discountCode) {
+    const { discount, result } = await resolveDiscount(discountCode, userId, artworks);
+    if (!result.valid) return { error: result.error };
+    discountCodeId = discount.id;
+    discountAmount = result.amount;
+    lineDiscounts = result.lineDiscounts;
+  }
+
+  const subtotal = artworks.reduce((sum, artwork) => sum + Number(artwork.price || 0), 0);
+  const totals = computeOrderTotals(subtotal, discountAmount);
+  const lines = computeLineTotals(artworks.map(artwork => artwork.price), lineDiscounts, totals);
+
+  return { totals, discountCodeId, lines };
+}
+
+// Write an order's line items, replacing any that are already there
+async function saveOrderItems(orderId, artworks, lines) {
+  await supabase.from("order_items").delete().eq("order_id", orderId);
+
+  const { data, error } = await supabase
+    .from("order_items")
+    .insert(artworks.map((artwork, i) => ({
+      order_id: orderId,
+      artwork_id: artwork.id,
+      artist_id: artwork.artist_id,
+      title: artwork.title,
+      // The watermarked preview: order pages are not a way round paying for the original
+      image_url: artwork.display_url,
+      ...lines[i]
+    })))
+    .select();
+
+  if (error) throw new Error("Failed to save order items: " + error.message);
+  return data;
+}
+
+// Create the Razorpay order for an order's current total and remember its id
+async function attachGatewayOrder(order) {
+  const gatewayOrder = await razorpay.createOrder({
+    amount: toPaise(order.total),
+    currency: order.currency,
+    receipt: order.id,
+    notes: { buyer_id: order.buyer_id }
+  });
+
+  const { data: saved, error } = await supabase
+    .from("orders")
+    .update({ razorpay_order_id: gatewayOrder.id })
+    .eq("id", order.id)
+    .select()
+    .single();
+
+  if (error) throw new Error("Failed to save order: " + error.message);
+  return saved;
+}
+
+// What the browser needs to open Razorpay Checkout for an unpaid order
+function checkoutDetails(order) {
+  if (order.status !== "created" || !order.razorpay_order_id || !razorpay) return null;
+  return {
+    key_id: razorpay.keyId,
+    order_id: order.razorpay_order_id,
+    amount: toPaise(order.total),
+    currency: order.currency
+  };
+}
+
+const BUYER_ORDER_FIELDS = "*, order_items(*), discount_codes(code), credit_notes(id, credit_note_number, amount, issued_at)";
+
+// Flatten the joined order_items / discount_codes rows into the shape the pages use
+function shapeBuyerOrder(row) {
+  const { order_items, discount_codes, ...order } = row;
+  return { ...order, discount_code: discount_codes?.code || null, items: order_items || [] };
+}
+
+// Load one of the buyer's orders together with its line items
+async function loadBuyerOrder(orderId, buyerId) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select(BUYER_ORDER_FIELDS)
+    .eq("id", orderId)
+    .eq("buyer_id", buyerId)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read order: " + error.message);
+  return data ? shapeBuyerOrder(data) : null;
+}
+
+// Hold one copy of each artwork for a new order; returns the titles that could not be reserved
+async function reserveOrderArtworks(order, artworks) {
+  const { data: unavailable, error } = await supabase.rpc("reserve_artworks", {
+    p_order_id: order.id,
+    p_artwork_ids: artworks.map(artwork => artwork.id),
+    p_expires_at: new Date(Date.now() + reservationMinutes * 60 * 1000).toISOString()
+  });
+
+  if (error) throw new Error("Failed to reserve artworks: " + error.message);
+  return artworks.filter(artwork => (unavailable || []).includes(artwork.id)).map(artwork => artwork.title);
+}
+
+// Give up an order that will not be paid: fail it and put its artworks back on sale
+async function failOrder(orderId) {
+  await supabase.from("orders").update({ status: "failed" }).eq("id", orderId).eq("status", "created");
+  await releaseOrderReservations(orderId);
+}
+
+// Give a failed order's held copies back
+async function releaseOrderReservations(orderId) {
+  const { error } = await supabase.rpc("release_order_reservations", { p_order_id: orderId });
+  if (error) console.error("Reservation release error:", error.message);
+}
+
+// Starting a new checkout abandons the buyer's earlier unpaid orders, so they don't block their own purchase
+async function abandonOpenOrders(buyerId) {
+  const { data: open, error } = await supabase
+    .from("orders")
+    .select("id")
+    .eq("buyer_id", buyerId)
+    .eq("status", "created");
+
+  if (error) throw new Error("Failed to read open orders: " + error.message);
+  for (const order of open || []) await failOrder(order.id);
+}
+
+// Orders API: the server prices the artworks and creates one matching Razorpay order
+app.post("/api/orders", requireUser, async (req, res) => {
+  if (!razorpay) return res.status(500).json({ error: "Payments not configured" });
+  const { discount_code } = req.body || {};
+
+  try {
+    const checkout = await loadCheckoutArtworks(req.user.id, req.body);
+    if (checkout.error) return res.status(checkout.status).json({ error: checkout.error });
+    const { artworks } = checkout;
+
+    const pricing = await priceOrder(req.user.id, artworks, discount_code);
+    if (pricing.error) return res.status(400).json({ error: pricing.error });
+
+    // Only once the new order is known to be valid, so a mistyped code doesn't cost the buyer their open checkout
+    await abandonOpenOrders(req.user.id);
+
+    const { data: order, error: insertError } = await supabase
+      .from("orders")
+      .insert([{
+        buyer_id: req.user.id,
+        ...pricing.totals,
+        currency: "INR",
+        status: "created"
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error("Order insert error:", insertError.message);
+      return res.status(500).json({ error: "Failed to create order" });
+    }
+
+    if (pricing.discountCodeId) {
+      let limitError;
+      try {
+        limitError = await claimDiscountCode(order.id, pricing.discountCodeId);
+      } catch (claimError) {
+        console.error("Discount claim error:", claimError.message);
+        await failOrder(order.id);
+        return res.status(500).json({ error: "Failed to create order" });
+      }
+      if (limitError) {
+        await failOrder(order.id);
+        return res.status(409).json({ error: limitError });
+      }
+      order.discount_code_id = pricing.discountCodeId;
+    }
+
+    let items;
+    try {
+      items = await saveOrderItems(order.id, artworks, pricing.lines);
+    } catch (itemsError) {
+      console.error("Order items insert error:", itemsError.message);
+      await failOrder(order.id);
+      return res.status(500).json({ error: "Failed to create order" });
+    }
+
+    let soldOut;
+    try {
+      soldOut = await reserveOrderArtworks(order, artworks);
+    } catch (reserveError) {
+      console.error("Artwork reservation error:", reserveError.message);
+      await failOrder(order.id);
+      return res.status(500).json({ error: "Failed to create order" });
+    }
+    if (soldOut.length > 0) {
+      await failOrder(order.id);
+      return res.status(409).json({ error: `Sold out: ${soldOut.join(", ")}` });
+    }
+
+    let saved;
+    try {
+      saved = await attachGatewayOrder(order);
+    } catch (gatewayError) {
+      console.error("Razorpay order creation failed:", gatewayError.message);
+      await failOrder(order.id);
+      return res.status(502).json({ error: "Payment gateway unavailable" });
+    }
+
+    res.status(201).json({
+      order: { ...saved, items },
+      razorpay: checkoutDetails(saved)
+    });
+  } catch (e) {
+    console.error("Critical error in /api/orders (POST):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Order history: every order the buyer has placed, newest first
+app.get("/api/orders", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("orders")
+      .select(BUYER_ORDER_FIELDS)
+      .eq("buyer_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Order history error:", error.message);
+      return res.status(500).json({ error: "Failed to load orders" });
+    }
+
+    res.json({ orders: data.map(shapeBuyerOrder) });
+  } catch (e) {
+    console.error("Critical error in /api/orders (GET):", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+app.get("/api/orders/:id", requireUser, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req.params.id, req.user.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    res.json({ order, razorpay: checkoutDetails(order) });
+  } catch (e) {
+    console.error("Order fetch error:", e.message);
+    res.status(500).json({ error: "Failed to load order" });
+  }
+});
+
+// Issue a paid order's invoice with the next invoice number, or return the one it already has.
+// Called when the order is paid, so numbers follow payment order and refunded orders keep theirs
+async function issueInvoice(order) {
+  const { data, error } = await supabase.rpc("issue_invoice", {
+    p_order_id: order.id,
+    p_seller_name: invoiceSeller.name,
+    p_seller_gstin: invoiceSeller.gstin,
+    p_seller_address: invoiceSeller.address || null,
+    p_seller_state: invoiceSeller.state
+  });
+  if (error) throw new Error("Failed to issue invoice: " + error.message);
+  return data;
+}
+
+// The order's invoice. Paid orders from before invoices were issued at payment get theirs now
+async function loadOrderInvoice(order) {
+  const { data: invoice, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("order_id", order.id)
+    .maybeSingle();
+
+  if (error) throw new Error("Failed to read invoice: " + error.message);
+  if (invoice || order.status !== "paid") return invoice;
+  return issueInvoice(order);
+}
+
+// Send an invoice or credit note as HTML, or with ?format=pdf as a download
+function sendInvoiceDocument(req, res, document) {
+  if (req.query.format === "pdf") {
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${document.number}.pdf"`);
+    return res.send(renderInvoicePdf(document));
+  }
+  res.type("html").send(renderInvoiceHtml(document));
+}
+
+// GST tax invoice for a paid order: HTML by default, ?format=pdf for a download
+app.get("/api/orders/:id/invoice", requireUser, async (req, res) => {
+  if (!invoiceSeller) return res.status(500).json({ error: "Invoicing not configured" });
+
+  try {
+    const order = await loadBuyerOrder(req.params.id, req.user.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!["paid", "refunded"].includes(order.status)) {
+      return res.status(409).json({ error: "An invoice is issued once the order is paid" });
+    }
+
+    const invoice = await loadOrderInvoice(order);
+    if (!invoice) return res.status(404).json({ error: "No invoice was issued for this order" });
+    sendInvoiceDocument(req, res, buildInvoice(order, invoice));
+  } catch (e) {
+    console.error("Invoice error:", e.message);
+    res.status(500).json({ error: "Failed to generate invoice" });
+  }
+});
+
+// Credit note for a refund on the order, as HTML or ?format=pdf like the invoice
+app.get("/api/orders/:id/credit-notes/:creditNoteId", requireUser, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req.params.id, req.user.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const { data: creditNote, error } = await supabase
+      .from("credit_notes")
+      .select("*, invoices(*)")
+      .eq("id", req.params.creditNoteId)
+      .eq("order_id", order.id)
+      .maybeSingle();
+    if (error) throw new Error("Failed to read credit note: " + error.message);
+    if (!creditNote) return res.status(404).json({ error: "Credit note not found" });
+
+    const { invoices: invoice, ...note } = creditNote;
+    sendInvoiceDocument(req, res, buildCreditNote(order, invoice, note));
+  } catch (e) {
+    console.error("Credit note error:", e.message);
+    res.status(500).json({ error: "Failed to generate credit note" });
+  }
+});
+
+// Download links for every artwork in a paid order, with what is left of each line's download limit
+app.get("/api/orders/:id/downloads", requireUser, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req.params.id, req.user.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (order.status !== "paid") {
+      return res.status(409).json({ error: "Downloads are available once the order is paid" });
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + downloadLinkMinutes * 60;
+    const downloads = summarizeDownloads(order.items, downloadLimit).map(line => ({
+      ...line,
+      url: line.remaining > 0 && line.artwork_id
+        ? `/api/downloads/${signDownloadToken({ orderItemId: line.order_item_id, buyerId: req.user.id, expiresAt }, downloadSigningSecret)}`
+        : null
+    }));
+
+    res.json({ order_id: order.id, expires_at: new Date(expiresAt * 1000).toISOString(), downloads });
+  } catch (e) {
+    console.error("Downloads error:", e.message);
+    res.status(500).json({ error: "Failed to prepare downloads" });
+  }
+});
+
+// Redeem a download link: count the download against the order line, then send the buyer to the original.
+// The storage link is kept short because the counted link above is what the buyer holds on to
+app.get("/api/downloads/:token", async (req, res) => {
+  if (!supabase) return res.status(500).json({ error: "Cloud database not configured" });
+  const grant = verifyDownloadToken(req.params.token, downloadSigningSecret);
+  if (!grant) return res.status(403).json({ error: "This download link is invalid or has expired" });
+
+  try {
+    const { data: artworkId, error } = await supabase.rpc("record_artwork_download", {
+      p_order_item_id: grant.orderItemId,
+      p_buyer_id: grant.buyerId,
+      p_limit: downloadLimit
+    });
+    if (error) throw new Error("Failed to record download: " + error.message);
+    if (!artworkId) {
+      return res.status(410).json({ error: `This artwork has reached its limit of ${downloadLimit} downloads` });
+    }
+
+    const { data: artwork, error: artworkError } = await supabase
+      .from("artworks")
+      .select("id,image_url,public_id,storage_provider,storage_key")
+      .eq("id", artworkId)
+      .maybeSingle();
+    if (artworkError) throw new Error("Failed to read artwork: " + artworkError.message);
+
+    const url = artwork ? await artworkOriginalUrl(storage, artwork, Math.floor(Date.now() / 1000) + 5 * 60) : null;
+    if (!url) return res.status(404).json({ error: "The original file is no longer available" });
+
+    res.redirect(302, url);
+  } catch (e) {
+    console.error("Download error:", e.message);
+    res.status(500).json({ error: "Failed to prepare download" });
+  }
+});
+
+// Apply (or with an empty code, remove) a discount on an unpaid order and re-price it
+app.post("/api/orders/:id/discount", requireUser, async (req, res) => {
+  if (!razorpay) return res.status(500).json({ error: "Payments not configured" });
+  const { code } = req.body || {};
+
+  try {
+    const order = await loadBuyerOrder(req.params.id, req.user.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (order.status !== "created") {
+      return res.status(409).json({ error: `Order is ${order.status}` });
+    }
+
+    // Repricing replaces the gateway order, and the webhook could no longer match a payment made against the old
+    // one. Razorpay marks an order "attempted" as soon as the buyer submits a payment in Checkout
+    if (order.razorpay_order_id) {
+      const gatewayOrder = await razorpay.fetchOrder(order.razorpay_order_id);
+      if (gatewayOrder.status !== "created") {
+        return res.status(409).json({ error: "Payment has already been started for this order; start a new checkout to change the discount" });
+      }
+    }
+
+    const checkout = await loadCheckoutArtworks(req.user.id, {
+      artwork_ids: order.items.map(item => item.artwork_id)
+    });
+    if (checkout.error) return res.status(checkout.status).json({ error: checkout.error });
+
+    const pricing = await priceOrder(req.user.id, checkout.artworks, code);
+    if (pricing.error) return res.status(400).json({ error: pricing.error });
+    if (pricing.discountCodeId && pricing.discountCodeId !== order.discount_code_id) {
+      const limitError = await claimDiscountCode(order.id, pricing.discountCodeId);
+      if (limitError) return res.status(409).json({ error: limitError });
+    }
+
+    const { data: repriced, error: updateError } = await supabase
+      .from("orders")
+      .update({ ...pricing.totals, discount_code_id: pricing.discountCodeId })
+      .eq("id", order.id)
+      .eq("status", "created")
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error("Order reprice error:", updateError.message);
+      return res.status(500).json({ error: "Failed to update order" });
+    }
+
+    await saveOrderItems(order.id, checkout.artworks, pricing.lines);
+
+    // Razorpay orders have a fixed amount, so a new total needs a new gateway order
+    await attachGatewayOrder(repriced);
+
+    const saved = await loadBuyerOrder(order.id, req.user.id);
+    res.json({ order: saved, razorpay: checkoutDetails(saved) });
+  } catch (e) {
+    console.error("Critical error in /api/orders/:id/discount:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Order columns for the buyer's billing details
+function billingDetails(billing) {
+  return {
+    billing_name: String(billing.name || "").trim() || null,
+    billing_email: String(billing.email || "").trim() || null,
+    billing_state: normalizeStateCode(billing.state)
+  };
+}
+
+// Save billing details for the invoice before the buyer pays
+app.put("/api/orders/:id/billing", requireUser, async (req, res) => {
+  const billing = req.body || {};
+
+  try {
+    const { data: updated, error } = await supabase
+      .from("orders")
+      .update(billingDetails(billing))
+      .eq("id", req.params.id)
+      .eq("buyer_id", req.user.id)
+      .eq("status", "created")
+      .select("id, billing_name, billing_email, billing_state");
+
+    if (error) {
+      console.error("Billing details update error:", error.message);
+      return res.status(500).json({ error: "Failed to save billing details" });
+    }
+    if (updated.length === 0) return res.status(409).json({ error: "Billing details can only be changed before payment" });
+    res.json({ billing: updated[0] });
+  } catch (e) {
+    console.error("Backend connection error:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Verify the Razorpay Checkout signature and mark the order paid
+app.post("/api/orders/:id/verify", requireUser, async (req, res) => {
+  if (!razorpay) return res.status(500).json({ error: "Payments not configured" });
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, billing } = req.body || {};
+  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+    return res.status(400).json({ error: "razorpay_order_id, razorpay_payment_id and razorpay_signature required" });
+  }
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from("orders")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("buyer_id", req.user.id)
+      .maybeSingle();
+
+    if (orderError) {
+      console.error("Order lookup error:", orderError.message);
+      return res.status(500).json({ error: "Failed to read order" });
+    }
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const valid = order.razorpay_order_id === razorpay_order_id && verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    }, razorpay.keySecret);
+
+    if (!valid) return res.status(400).json({ error: "Invalid payment signature" });
+
+    // Billing details feed the invoice, which is issued when the order is marked paid below.
+    // Checkout also saves them before payment, in case the webhook gets there first
+    if (billing && order.status !== "paid") {
+      const { error: billingError } = await supabase
+        .from("orders")
+        .update(billingDetails(billing))
+        .eq("id", order.id);
+      if (billingError) console.error("Billing details update error:", billingError.message);
+    }
+
+    if (order.status === "paid") return res.json({ order });
+    if (!ORDER_TRANSITIONS.paid.includes(order.status)) {
+      return res.status(409).json({ error: `Order is ${order.status}` });
+    }
+
+    const { data: saved, error: updateError } = await supabase
+      .from("orders")
+      .update({
+        status: "paid",
+        razorpay_payment_id,
+        razorpay_signature,
+        paid_at: new Date().toISOString()
+      })
+      .eq("id", order.id)
+      .eq("status", order.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("Order payment update error:", updateError.message);
+      return res.status(500).json({ error: "Failed to update order" });
+    }
+
+    // A webhook may have marked the order paid in the meantime
+    if (!saved) {
+      const { data: current } = await supabase.from("orders").select("*").eq("id", order.id).single();
+      return res.json({ order: current });
+    }
+
+    if (!(await handleOrderPaid(saved))) {
+      return res.status(409).json({ error: "Sorry, this artwork sold out before your payment arrived. Your payment is being refunded." });
+    }
+    res.json({ order: saved });
+  } catch (e) {
+    console.error("Critical error in /api/orders/:id/verify:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Razorpay webhooks: every event is stored once by id, so redeliveries are no-ops
+app.post("/api/webhooks/razorpay", async (req, res) => {
+  if (!supabase) return res.status(500).json({ error: "Database not configured" });
+
+  const webhookSecret = (process.env.RAZORPAY_WEBHOOK_SECRET || "").trim();
+  if (!webhookSecret) return res.status(500).json({ error: "Webhook secret not configured" });
+
+  if (!verifyWebhookSignature(req.rawBody, req.headers["x-razorpay-signature"], webhookSecret)) {
+    return res.status(400).json({ error: "Invalid webhook signature" });
+  }
+
+  const event = req.body || {};
+  const {
+    id: eventId,
+    refund,
+    razorpayOrderId,
+    razorpayPaymentId
+  } = parseWebhookEvent(event, req.rawBody, req.headers["x-razorpay-event-id"]);
+
+  try {
+    const { error: insertError } = await supabase
+      .from("payment_events")
+      .insert([{
+        id: eventId,
+        event: event.event,
+        razorpay_order_id: razorpayOrderId,
+        razorpay_payment_id: razorpayPaymentId,
+        payload: event
+      }]);
+
+    if (insertError) {
+      if (insertError.code !== "23505") {
+        console.error("Payment event insert error:", insertError.message);
+        return res.status(500).json({ error: "Failed to record event" });
+      }
+
+      // Already seen: only carry on if the earlier delivery failed before it was processed
+      const { data: existing } = await supabase
+        .from("payment_events")
+        .select("processed_at")
+        .eq("id", eventId)
+        .maybeSingle();
+      if (existing?.processed_at) return res.json({ ok: true, duplicate: true });
+    }
+
+    const nextStatus = orderStatusForEvent(event.event);
+    let order = null;
+
+    if (nextStatus && (razorpayOrderId || razorpayPaymentId)) {
+      const query = supabase.from("orders").select("*");
+      const { data, error: orderError } = razorpayOrderId
+        ? await query.eq("razorpay_order_id", razorpayOrderId).maybeSingle()
+        : await query.eq("razorpay_payment_id", razorpayPaymentId).maybeSingle();
+
+      if (orderError) {
+        console.error("Webhook order lookup error:", orderError.message);
+        return res.status(500).json({ error: "Failed to read order" });
+      }
+      order = data;
+    }
+
+    if (order && nextStatus === "refunded") {
+      if (refund && ORDER_TRANSITIONS.refunded.includes(order.status)) await recordRefund(order, refund);
+    } else if (order && ORDER_TRANSITIONS[nextStatus].includes(order.status)) {
+      const changes = { status: nextStatus };
+      if (nextStatus === "paid") {
+        changes.paid_at = order.paid_at || new Date().toISOString();
+        if (razorpayPaymentId) changes.razorpay_payment_id = razorpayPaymentId;
+      }
+
+      const { data: updated, error: updateError } = await supabase
+        .from("orders")
+        .update(changes)
+        .eq("id", order.id)
+        .eq("status", order.status)
+        .select();
+
+      if (updateError) {
+        console.error("Webhook order update error:", updateError.message);
+        return res.status(500).json({ error: "Failed to update order" });
+      }
+
+      if (nextStatus === "paid" && updated.length > 0) await handleOrderPaid(updated[0]);
+      if (nextStatus === "failed" && updated.length > 0) await releaseOrderReservations(updated[0].id);
+    }
+
+    await supabase
+      .from("payment_events")
+      .update({ order_id: order?.id || null, processed_at: new Date().toISOString() })
+      .eq("id", eventId);
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Critical error in /api/webhooks/razorpay:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+const MODERATION_DECISIONS = ["approved", "rejected", "changes_requested"];
+
+// Moderation decisions on the artist's work they have not dismissed yet
+app.get("/api/artist/moderation", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("moderation_actions")
+      .select("id, artwork_id, action, reason, created_at, artworks!inner(title, artist_id, status)")
+      .eq("artworks.artist_id", req.user.id)
+      .in("action", MODERATION_DECISIONS)
+      .is("artist_seen_at", null)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Artist moderation fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load notifications" });
+    }
+
+    res.json({
+      decisions: (data || []).map(({ artworks, ...decision }) => ({
+        ...decision,
+        title: artworks.title,
+        artwork_status: artworks.status
+      }))
+    });
+  } catch (e) {
+    console.error("Critical error in /api/artist/moderation:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Dismiss moderation notifications ({ ids })
+app.post("/api/artist/moderation/seen", requireUser, async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(Boolean) : [];
+  if (ids.length === 0) return res.status(400).json({ error: "ids required" });
+
+  try {
+    const { data: own, error } = await supabase
+      .from("moderation_actions")
+      .select("id, artworks!inner(artist_id)")
+      .in("id", ids)
+      .eq("artworks.artist_id", req.user.id);
+
+    if (error) {
+      console.error("Artist moderation lookup error:", error.message);
+      return res.status(500).json({ error: "Failed to update notifications" });
+    }
+
+    if (own.length > 0) {
+      const { error: updateError } = await supabase
+        .from("moderation_actions")
+        .update({ artist_seen_at: new Date().toISOString() })
+        .in("id", own.map(action => action.id));
+      if (updateError) {
+        console.error("Artist moderation update error:", updateError.message);
+        return res.status(500).json({ error: "Failed to update notifications" });
+      }
+    }
+    res.json({ ok: true, dismissed: own.length });
+  } catch (e) {
+    console.error("Critical error in /api/artist/moderation/seen:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Send an artwork back for review after making the changes a moderator asked for
+app.post("/api/artworks/:id/resubmit", requireUser, async (req, res) => {
+  try {
+    const { data: artwork, error } = await supabase
+      .from("artworks")
+      .select("id, status")
+      .eq("id", req.params.id)
+      .eq("artist_id", req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Resubmit lookup error:", error.message);
+      return res.status(500).json({ error: "Failed to read artwork" });
+    }
+    if (!artwork) return res.status(404).json({ error: "Artwork not found" });
+    if (!canResubmit(artwork)) {
+      return res.status(409).json({ error: `Artwork is ${artwork.status}` });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from("artworks")
+      .update({ status: "pending" })
+      .eq("id", artwork.id)
+      .eq("status", artwork.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error("Resubmit update error:", updateError.message);
+      return res.status(500).json({ error: "Failed to resubmit artwork" });
+    }
+    if (!updated) return res.status(409).json({ error: "Artwork was already resubmitted" });
+
+    await recordModeration(artwork.id, req.user.id, "resubmitted", artwork.status, "pending");
+    res.json({ artwork: updated });
+  } catch (e) {
+    console.error("Critical error in /api/artworks/:id/resubmit:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Artist earnings: pending vs. settled balances, overall and per artwork
+app.get("/api/artist/earnings", requireUser, async (req, res) => {
+  try {
+    const { data: entries, error } = await supabase
+      .from("ledger_entries")
+      .select("*")
+      .eq("artist_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Earnings fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load earnings" });
+    }
+
+    res.json({
+      commission_rate: commissionRate,
+      ...summarizeEarnings(entries),
+      entries
+    });
+  } catch (e) {
+    console.error("Critical error in /api/artist/earnings:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+const PAYOUT_CSV_COLUMNS = ["payout_id", "reference", "artist_id", "artist_name", "entries", "gross", "commission", "amount"];
+
+// Per-artist lines for a payout batch, as JSON or (with ?format=csv) a CSV download
+async function sendPayout(req, res, payout, entries) {
+  const artists = summarizePayout(entries);
+
+  const { data: profiles } = await supabase
+    .from("profiles")
+    .select("id, full_name, username")
+    .in("id", artists.map(line => line.artist_id));
+  const names = new Map((profiles || []).map(profile => [profile.id, profile.full_name || profile.username]));
+  artists.forEach(line => { line.artist_name = names.get(line.artist_id) || null; });
+
+  if (req.query.format === "csv") {
+    const rows = artists.map(line => ({ ...line, payout_id: payout.id, reference: payout.reference }));
+    res.set("Content-Type", "text/csv");
+    res.set("Content-Disposition", `attachment; filename="payout-${payout.id}.csv"`);
+    return res.send(toCsv(rows, PAYOUT_CSV_COLUMNS));
+  }
+  res.json({ payout, artists });
+}
+
+// Settle every pending ledger entry (optionally only for some artists / up to a date) as one payout batch
+app.post("/api/admin/payouts", requireRole("admin"), async (req, res) => {
+  const { artist_ids, before, reference } = req.body || {};
+
+  try {
+    let query = supabase.from("ledger_entries").select("id").eq("status", "pending");
+    if (Array.isArray(artist_ids) && artist_ids.length > 0) query = query.in("artist_id", artist_ids);
+    if (before) query = query.lte("created_at", before);
+
+    const { data: pending, error: pendingError } = await query;
+    if (pendingError) {
+      console.error("Pending ledger lookup error:", pendingError.message);
+      return res.status(500).json({ error: "Failed to read ledger" });
+    }
+    if (pending.length === 0) return res.status(409).json({ error: "No pending earnings to settle" });
+
+    const { data: payout, error: payoutError } = await supabase
+      .from("payouts")
+      .insert([{ reference: reference || null }])
+      .select()
+      .single();
+
+    if (payoutError) {
+      console.error("Payout insert error:", payoutError.message);
+      return res.status(500).json({ error: "Failed to create payout" });
+    }
+
+    // Only entries still pending are claimed, so two overlapping batches never settle the same sale
+    const { data: settled, error: settleError } = await supabase
+      .from("ledger_entries")
+      .update({ status: "settled", payout_id: payout.id, settled_at: new Date().toISOString() })
+      .in("id", pending.map(entry => entry.id))
+      .eq("status", "pending")
+      .select();
+
+    if (settleError) {
+      console.error("Ledger settle error:", settleError.message);
+      await supabase.from("payouts").delete().eq("id", payout.id);
+      return res.status(500).json({ error: "Failed to settle earnings" });
+    }
+
+    const total = settled.reduce((sum, entry) => sum + Number(entry.amount), 0);
+    const { data: saved, error: totalsError } = await supabase
+      .from("payouts")
+      .update({ entry_count: settled.length, total: roundCurrency(total) })
+      .eq("id", payout.id)
+      .select()
+      .single();
+
+    if (totalsError) console.error("Payout totals update error:", totalsError.message);
+    res.status(201);
+    await sendPayout(req, res, saved || payout, settled);
+  } catch (e) {
+    console.error("Critical error in /api/admin/payouts:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Re-export a past payout batch
+app.get("/api/admin/payouts/:id", requireRole("admin"), async (req, res) => {
+
+  try {
+    const { data: payout, error } = await supabase
+      .from("payouts")
+      .select("*, ledger_entries(*)")
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Payout fetch error:", error.message);
+      return res.status(500).json({ error: "Failed to load payout" });
+    }
+    if (!payout) return res.status(404).json({ error: "Payout not found" });
+
+    const { ledger_entries, ...batch } = payout;
+    await sendPayout(req, res, batch, ledger_entries || []);
+  } catch (e) {
+    console.error("Critical error in /api/admin/payouts/:id:", e.message);
+    res.status(503).json({ error: "Backend unreachable" });
+  }
+});
+
+// Example test route
+app.get("/api/test", (req, res) => {
+  res.json({ message: "Backend working" });
+});
+
+const PORT = process.env.PORT || 8080;
+const server = app.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+  console.log("Keep-alive interval started.");
+});
+
+// Force process to stay alive
+setInterval(() => {
+  // console.log("Keep-alive tick");
+}, 10000);
+
+// Put artworks held by unpaid, timed-out orders back on sale
+setInterval(async () => {
+  if (!supabase) return;
+  const { data: failed, error } = await supabase.rpc("release_expired_reservations");
+  if (error) {
+    console.error("Reservation sweep error:", error.message);
+  } else if (failed > 0) {
+    console.log(`Released reservations for ${failed} unpaid order(s)`);
+  }
+}, 60 * 1000);
+
+// Recompute trending scores for every window
+async function refreshTrendingScores() {
+  if (!supabase) return;
+  for (const [window, { hours, halfLifeHours }] of Object.entries(TRENDING_WINDOWS)) {
+    const { error } = await supabase.rpc("refresh_trending_scores", {
+      p_window: window,
+      p_hours: hours,
+      p_half_life_hours: halfLifeHours,
+      p_weights: TRENDING_EVENT_WEIGHTS
+    });
+    if (error) console.error(`Trending refresh error (${window}):`, error.message);
+  }
+}
+
+refreshTrendingScores();
+setInterval(refreshTrendingScores, trendingRefreshMinutes * 60 * 1000);
 
 process.on('uncaughtException', (err) => {
   console.error('UNCAUGHT EXCEPTION:', err);
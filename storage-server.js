@@ -0,0 +1,386 @@
+// Image storage drivers
+// Artwork images live in Cloudinary, Supabase Storage or on the server's own disk, chosen by STORAGE_PROVIDER.
+// Every driver keeps the original private and publishes only a watermarked preview; buyers get the
+// original through a link that expires
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  uploadToCloudinarySecure,
+  deleteFromCloudinary,
+  getPreviewUrl,
+  getPreviewVariantUrl,
+  getPlaceholderUrl,
+  getOriginalDownloadUrl
+} = require('./cloudinary-server');
+const {
+  PREVIEW_WIDTHS,
+  createWatermarkedPreview,
+  createPreviewVariants,
+  createPlaceholder
+} = require('./images-server');
+
+// Values allowed in artworks.storage_provider; 'server' is the local disk
+const STORAGE_PROVIDERS = ['cloudinary', 'supabase', 'server'];
+
+const DEFAULT_DOWNLOAD_LINK_MINUTES = 15;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Build a storage key for an uploaded file, namespaced by the uploader
+ * @param {string} ownerId - Uploading user's id
+ * @param {string} mimetype - File MIME type
+ * @returns {string} - Key such as <ownerId>/1712345678901-a1b2c3d4e5f6.jpg
+ */
+function buildStorageKey(ownerId, mimetype) {
+  const extension = FILE_EXTENSIONS[mimetype] || 'bin';
+  return `${ownerId}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+}
+
+/**
+ * Key of the watermarked preview stored next to an original
+ * @param {string} key - Original's storage key
+ * @returns {string} - Preview key (always a JPEG)
+ */
+function previewKeyFor(key) {
+  return key.replace(/\.[^./]+$/, '') + '.jpg';
+}
+
+// Keys of the srcset variants and placeholder stored next to the preview
+function variantKeyFor(key, width) {
+  return key.replace(/\.[^./]+$/, '') + `-${width}w.webp`;
+}
+
+function placeholderKeyFor(key) {
+  return key.replace(/\.[^./]+$/, '') + '-placeholder.webp';
+}
+
+/**
+ * Make every public image for an original: the preview, its srcset variants and the placeholder
+ * @param {string} key - Original's storage key
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object[]>} - { key, buffer, mimetype } per file to store with the previews
+ */
+async function buildPreviewFiles(key, buffer) {
+  const preview = await createWatermarkedPreview(buffer);
+  const variants = await createPreviewVariants(buffer);
+  const placeholder = await createPlaceholder(buffer);
+  return [
+    { key: previewKeyFor(key), ...preview },
+    ...variants.map(variant => ({ key: variantKeyFor(key, variant.width), ...variant })),
+    { key: placeholderKeyFor(key), ...placeholder }
+  ];
+}
+
+// Keys buildPreviewFiles stores for an original
+function previewFileKeys(key) {
+  return [previewKeyFor(key), ...PREVIEW_WIDTHS.map(width => variantKeyFor(key, width)), placeholderKeyFor(key)];
+}
+
+/**
+ * Storage driver backed by Cloudinary; the key is the asset's public ID and the preview is a signed transformation
+ * @param {Object} client - Cloudinary client from cloudinary-server
+ * @returns {Object} - Storage driver
+ */
+function createCloudinaryStorage(client) {
+  return {
+    provider: 'cloudinary',
+    async upload(file) {
+      const dataUri = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+      const result = await uploadToCloudinarySecure(client, dataUri);
+      if (!result.success) throw new Error(result.error);
+      return {
+        url: result.url,
+        key: result.public_id,
+        preview_url: getPreviewUrl(client, result.public_id),
+        width: result.width,
+        height: result.height
+      };
+    },
+    // type is 'upload' for artworks uploaded before originals were made private
+    previewUrl(key, { type } = {}) {
+      return getPreviewUrl(client, key, type);
+    },
+    variantUrl(key, width, { type } = {}) {
+      return getPreviewVariantUrl(client, key, width, type);
+    },
+    placeholderUrl(key, { type } = {}) {
+      return getPlaceholderUrl(client, key, type);
+    },
+    async originalUrl(key, expiresAt, { type } = {}) {
+      return getOriginalDownloadUrl(client, key, expiresAt, type);
+    },
+    async remove(key) {
+      // The asset is either a private original or an older public upload
+      for (const type of ['authenticated', 'upload']) {
+        const result = await deleteFromCloudinary(client, key, type);
+        if (!result.success) throw new Error(result.error);
+        if (result.result?.result === 'ok') return;
+      }
+    }
+  };
+}
+
+/**
+ * Storage driver backed by Supabase Storage: originals in a private bucket, previews in a public one
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} buckets - Bucket names
+ * @param {string} buckets.originals - Private bucket for originals
+ * @param {string} buckets.previews - Public bucket for previews
+ * @returns {Object} - Storage driver
+ */
+function createSupabaseStorage(supabase, { originals, previews }) {
+  function publicUrl(previewKey) {
+    return supabase.storage.from(previews).getPublicUrl(previewKey).data.publicUrl;
+  }
+
+  return {
+    provider: 'supabase',
+    async upload(file, ownerId) {
+      const key = buildStorageKey(ownerId, file.mimetype);
+      const previewFiles = await buildPreviewFiles(key, file.buffer);
+
+      const { error } = await supabase.storage.from(originals).upload(key, file.buffer, { contentType: file.mimetype });
+      if (error) throw new Error(error.message);
+      for (const previewFile of previewFiles) {
+        const { error: previewError } = await supabase.storage.from(previews)
+          .upload(previewFile.key, previewFile.buffer, { contentType: previewFile.mimetype });
+        if (previewError) throw new Error(previewError.message);
+      }
+
+      return {
+        url: supabase.storage.from(originals).getPublicUrl(key).data.publicUrl,
+        key,
+        preview_url: this.previewUrl(key)
+      };
+    },
+    previewUrl(key) {
+      return publicUrl(previewKeyFor(key));
+    },
+    variantUrl(key, width) {
+      return publicUrl(variantKeyFor(key, width));
+    },
+    placeholderUrl(key) {
+      return publicUrl(placeholderKeyFor(key));
+    },
+    async originalUrl(key, expiresAt) {
+      const seconds = Math.max(1, expiresAt - Math.floor(Date.now() / 1000));
+      const { data, error } = await supabase.storage.from(originals).createSignedUrl(key, seconds, { download: true });
+      if (error) throw new Error(error.message);
+      return data.signedUrl;
+    },
+    async remove(key) {
+      const { error } = await supabase.storage.from(originals).remove([key]);
+      if (error) throw new Error(error.message);
+      await supabase.storage.from(previews).remove(previewFileKeys(key));
+    }
+  };
+}
+
+/**
+ * Storage driver that writes to the server's disk
+ * Previews are served from publicPath; originals are only handed out through signed download links
+ * @param {string} directory - Absolute directory holding originals/ and previews/
+ * @param {Object} options - Driver options
+ * @param {string} [options.publicPath='/uploads'] - URL path previews are served from
+ * @param {string} options.signingSecret - Secret for download links
+ * @param {string} [options.downloadPath='/api/downloads/original'] - Route that serves signed downloads
+ * @returns {Object} - Storage driver
+ */
+function createLocalStorage(directory, { publicPath = '/uploads', signingSecret, downloadPath = '/api/downloads/original' }) {
+  const originalsDirectory = path.join(directory, 'originals');
+  const previewsDirectory = path.join(directory, 'previews');
+
+  // Keys come back from the database and from links, so make sure one can never point outside the directory
+  function resolveKey(root, key) {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return target;
+  }
+
+  function sign(key, expiresAt) {
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expiresAt}`).digest('hex');
+  }
+
+  async function writeFile(target, buffer) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+  }
+
+  return {
+    provider: 'server',
+    publicPath,
+    previewsDirectory,
+    async upload(file, ownerId) {
+      const key = buildStorageKey(ownerId, file.mimetype);
+      const previewFiles = await buildPreviewFiles(key, file.buffer);
+      await writeFile(resolveKey(originalsDirectory, key), file.buffer);
+      for (const previewFile of previewFiles) {
+        await writeFile(resolveKey(previewsDirectory, previewFile.key), previewFile.buffer);
+      }
+      return { url: `${downloadPath}?key=${encodeURIComponent(key)}`, key, preview_url: this.previewUrl(key) };
+    },
+    previewUrl(key) {
+      return `${publicPath}/${previewKeyFor(key)}`;
+    },
+    variantUrl(key, width) {
+      return `${publicPath}/${variantKeyFor(key, width)}`;
+    },
+    placeholderUrl(key) {
+      return `${publicPath}/${placeholderKeyFor(key)}`;
+    },
+    async originalUrl(key, expiresAt) {
+      const query = new URLSearchParams({ key, expires: String(expiresAt), signature: sign(key, expiresAt) });
+      return `${downloadPath}?${query}`;
+    },
+    /**
+     * Check a download link and find the file it grants
+     * @param {Object} query - key, expires and signature from the link
+     * @returns {string|null} - Absolute path of the original, or null if the link is invalid or expired
+     */
+    resolveDownload({ key, expires, signature }) {
+      if (typeof key !== 'string' || typeof signature !== 'string') return null;
+      const expiresAt = Number(expires);
+      if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return null;
+
+      const expected = Buffer.from(sign(key, expiresAt));
+      const received = Buffer.from(signature);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+      return resolveKey(originalsDirectory, key);
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(originalsDirectory, key), { force: true });
+      for (const previewKey of previewFileKeys(key)) {
+        await fs.rm(resolveKey(previewsDirectory, previewKey), { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Build every storage driver that is configured, and pick the one new uploads go to
+ * Older artworks keep using the driver they were stored with, so all configured drivers stay available
+ * @param {Object} env - Environment variables
+ * @param {Object} deps - Configured clients
+ * @param {Object|null} deps.cloudinary - Cloudinary client
+ * @param {Object|null} deps.supabase - Service-role Supabase client
+ * @param {string} deps.localDirectory - Default directory for local uploads
+ * @param {string} deps.signingSecret - Secret for local download links
+ * @returns {Object} - { provider, active, drivers }; active is null when the chosen driver is not configured
+ */
+function createStorageFromEnv(env = process.env, { cloudinary, supabase, localDirectory, signingSecret }) {
+  const drivers = {
+    server: createLocalStorage(path.resolve((env.LOCAL_STORAGE_DIR || '').trim() || localDirectory), { signingSecret })
+  };
+  if (cloudinary) drivers.cloudinary = createCloudinaryStorage(cloudinary);
+  if (supabase) {
+    drivers.supabase = createSupabaseStorage(supabase, {
+      originals: (env.SUPABASE_STORAGE_BUCKET || '').trim() || 'artworks',
+      previews: (env.SUPABASE_PREVIEW_BUCKET || '').trim() || 'artwork-previews'
+    });
+  }
+
+  const provider = (env.STORAGE_PROVIDER || '').trim() || 'cloudinary';
+  return { provider, active: drivers[provider] || null, drivers };
+}
+
+/**
+ * Read how long a buyer's link to an original stays valid
+ * @param {Object} env - Environment variables
+ * @returns {number} - Link lifetime in minutes
+ */
+function downloadLinkMinutesFromEnv(env = process.env) {
+  const minutes = Number((env.DOWNLOAD_LINK_MINUTES || '').trim());
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_DOWNLOAD_LINK_MINUTES;
+}
+
+/**
+ * Validate the storage details sent with a new or replaced image
+ * @param {Object} body - Request body with optional storage_provider and storage_key
+ * @param {string} defaultProvider - Provider to assume when none is given
+ * @returns {Object} - { storage_provider, storage_key } or { error }
+ */
+function normalizeImageStorage(body = {}, defaultProvider) {
+  const provider = body.storage_provider || defaultProvider;
+  if (!STORAGE_PROVIDERS.includes(provider)) {
+    return { error: `storage_provider must be one of ${STORAGE_PROVIDERS.join(', ')}` };
+  }
+  const key = typeof body.storage_key === 'string' ? body.storage_key.trim() : '';
+  return { storage_provider: provider, storage_key: key || null };
+}
+
+/**
+ * The key an artwork's image is stored under
+ * Cloudinary artworks use public_id, which the database derives from the image URL
+ * @param {Object} artwork - artworks row
+ * @returns {string|null} - Storage key, or null if unknown
+ */
+function artworkStorageKey(artwork) {
+  return artwork.storage_provider === 'cloudinary' ? artwork.public_id || artwork.storage_key : artwork.storage_key;
+}
+
+// Delivery options for an artwork's driver; Cloudinary originals from before previews were public uploads
+function artworkDeliveryOptions(artwork) {
+  if (artwork.storage_provider !== 'cloudinary') return {};
+  return { type: /\/image\/authenticated\//.test(artwork.image_url || '') ? 'authenticated' : 'upload' };
+}
+
+/**
+ * Public watermarked images for an artwork: the preview, a srcset of smaller variants and a blur-up placeholder
+ * @param {Object} storage - Result of createStorageFromEnv
+ * @param {Object} artwork - artworks row (or new row) with storage_provider, storage_key/public_id and image_url
+ * @returns {Object} - { preview_url, preview_srcset, placeholder_url }, all null if the image is not in a known storage
+ */
+function artworkPreviewImages(storage, artwork) {
+  const driver = storage.drivers[artwork.storage_provider];
+  const key = artworkStorageKey(artwork);
+  if (!driver || !key) return { preview_url: null, preview_srcset: null, placeholder_url: null };
+
+  const options = artworkDeliveryOptions(artwork);
+  return {
+    preview_url: driver.previewUrl(key, options),
+    preview_srcset: PREVIEW_WIDTHS.map(width => `${driver.variantUrl(key, width, options)} ${width}w`).join(', '),
+    placeholder_url: driver.placeholderUrl(key, options)
+  };
+}
+
+/**
+ * Expiring link to an artwork's original
+ * @param {Object} storage - Result of createStorageFromEnv
+ * @param {Object} artwork - artworks row
+ * @param {number} expiresAt - Unix time the link stops working
+ * @returns {Promise<string|null>} - Download URL, or null if the original cannot be located
+ */
+async function artworkOriginalUrl(storage, artwork, expiresAt) {
+  const driver = storage.drivers[artwork.storage_provider];
+  const key = artworkStorageKey(artwork);
+  if (!driver || !key) return null;
+  return driver.originalUrl(key, expiresAt, artworkDeliveryOptions(artwork));
+}
+
+module.exports = {
+  STORAGE_PROVIDERS,
+  DEFAULT_DOWNLOAD_LINK_MINUTES,
+  buildStorageKey,
+  previewKeyFor,
+  variantKeyFor,
+  placeholderKeyFor,
+  createCloudinaryStorage,
+  createSupabaseStorage,
+  createLocalStorage,
+  createStorageFromEnv,
+  downloadLinkMinutesFromEnv,
+  normalizeImageStorage,
+  artworkStorageKey,
+  artworkPreviewImages,
+  artworkOriginalUrl
+};
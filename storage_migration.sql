@@ -0,0 +1,33 @@
+-- Storage Migration for Artify
+-- Artwork images can live in Cloudinary, Supabase Storage or on the server's disk ('server').
+-- storage_provider records which; storage_key is the file's path for Supabase and the server
+-- (Cloudinary artworks use public_id, see artwork_assets_migration.sql)
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS storage_key text;
+
+CREATE INDEX IF NOT EXISTS idx_artworks_storage_key ON public.artworks(storage_key);
+
+-- Uploads went to Cloudinary while every row defaulted to 'supabase'; correct them from the URL
+UPDATE public.artworks
+SET storage_provider = 'cloudinary'
+WHERE image_url LIKE 'https://res.cloudinary.com/%'
+  AND storage_provider IS DISTINCT FROM 'cloudinary';
+
+-- Image to render for an artwork. cloudinary_url only applies to Cloudinary artworks; Supabase
+-- and server images are served from image_url as stored
+CREATE OR REPLACE FUNCTION public.get_artwork_image_url(artwork public.artworks)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN artwork.storage_provider = 'cloudinary' THEN COALESCE(artwork.cloudinary_url, artwork.image_url)
+    ELSE artwork.image_url
+  END;
+$$;
+
+COMMENT ON COLUMN public.artworks.storage_key IS 'Path of the image in Supabase Storage or the server upload directory, prefixed with the artist id';
+
+-- For STORAGE_PROVIDER=supabase, create a public bucket named 'artworks' (or SUPABASE_STORAGE_BUCKET):
+-- INSERT INTO storage.buckets (id, name, public) VALUES ('artworks', 'artworks', true)
+--   ON CONFLICT (id) DO NOTHING;
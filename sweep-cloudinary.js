@@ -0,0 +1,80 @@
+// Cloudinary orphan sweep
+// Deletes images tagged "artify" that no artwork points at. Run with --dry-run to only list them:
+//   node sweep-cloudinary.js --dry-run [--grace-hours=24]
+require("dotenv").config();
+
+const { createClient } = require("@supabase/supabase-js");
+const {
+  createCloudinaryClientFromEnv,
+  listTaggedAssets,
+  findOrphanedAssets,
+  deleteAssets
+} = require("./cloudinary-server");
+
+const PAGE_SIZE = 1000;
+
+function parseArgs(argv) {
+  const options = { dryRun: false, graceHours: 24 };
+  for (const arg of argv) {
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg.startsWith("--grace-hours=")) options.graceHours = Number(arg.split("=")[1]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!Number.isFinite(options.graceHours) || options.graceHours < 0) {
+    throw new Error("--grace-hours must be a non-negative number");
+  }
+  return options;
+}
+
+// Every artwork's public_id, a page at a time
+async function loadArtworkPublicIds(supabase) {
+  const artworks = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("artworks")
+      .select("public_id")
+      .not("public_id", "is", null)
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load artworks: ${error.message}`);
+    artworks.push(...data);
+    if (data.length < PAGE_SIZE) return artworks;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const url = (process.env.SUPABASE_URL || "").trim();
+  const key = (process.env.SUPABASE_SERVICE_ROLE_KEY || "").trim();
+  if (!url || !key) throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required");
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  const cloudinary = createCloudinaryClientFromEnv();
+  if (!cloudinary) throw new Error("CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required");
+
+  const [assets, artworks] = await Promise.all([
+    listTaggedAssets(cloudinary, "artify"),
+    loadArtworkPublicIds(supabase)
+  ]);
+  const orphans = findOrphanedAssets(assets, artworks, { graceHours: options.graceHours });
+
+  console.log(`${assets.length} tagged assets, ${artworks.length} artworks, ${orphans.length} orphaned`);
+  orphans.forEach(asset => console.log(`  ${asset.public_id} (uploaded ${asset.created_at})`));
+
+  if (options.dryRun || orphans.length === 0) {
+    if (options.dryRun) console.log("Dry run: nothing deleted");
+    return;
+  }
+
+  const deleted = await deleteAssets(cloudinary, orphans);
+  // "not_found" means the asset was already gone, which is what we wanted
+  const failed = Object.entries(deleted).filter(([, result]) => !["deleted", "not_found"].includes(result));
+  console.log(`Deleted ${orphans.length - failed.length} assets`);
+  failed.forEach(([publicId, result]) => console.error(`  ${publicId}: ${result}`));
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error("Sweep failed:", error.message);
+  process.exit(1);
+});
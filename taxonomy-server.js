@@ -0,0 +1,147 @@
+// Artwork taxonomy and tags
+// Categories, mediums and styles must be terms from taxonomy_terms; tags are free-form but normalised to slugs
+
+const FACETS = ['category', 'medium', 'style'];
+
+const MAX_TAGS_PER_ARTWORK = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_TERM_NAME_LENGTH = 40;
+const MAX_TAG_FILTERS = 5;
+
+/**
+ * Turn a name into a URL-safe slug: lower case, with runs of anything else collapsed to one dash
+ * @param {string} name - Tag or term name
+ * @returns {string} - Slug, empty if the name has no letters or digits
+ */
+function slugify(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate the tags an artist gave an artwork
+ * @param {string[]|string} input - Array of names, or one comma-separated string
+ * @returns {Object} - { tags: [{ slug, name }] } without duplicates, or { error }
+ */
+function normalizeTags(input) {
+  const names = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [];
+  for (const raw of names) {
+    if (typeof raw !== 'string') return { error: 'Tags must be text' };
+    const name = raw.trim().replace(/\s+/g, ' ');
+    if (!name) continue;
+    const slug = slugify(name);
+    if (slug.length < 2 || name.length > MAX_TAG_LENGTH) {
+      return { error: `Tags must be 2 to ${MAX_TAG_LENGTH} characters of letters or digits ("${name}")` };
+    }
+    if (!tags.some(tag => tag.slug === slug)) tags.push({ slug, name });
+  }
+  if (tags.length > MAX_TAGS_PER_ARTWORK) {
+    return { error: `An artwork can have at most ${MAX_TAGS_PER_ARTWORK} tags` };
+  }
+  return { tags };
+}
+
+/**
+ * Parse the gallery's ?tags= filter
+ * @param {string} value - Comma-separated tag slugs
+ * @returns {Object} - { tags } (null when absent) or { error }
+ */
+function parseTagFilter(value) {
+  if (typeof value !== 'string' || !value.trim()) return { tags: null };
+  const tags = [...new Set(value.split(',').map(slugify).filter(Boolean))];
+  if (tags.length > MAX_TAG_FILTERS) return { error: `Filter on at most ${MAX_TAG_FILTERS} tags` };
+  return { tags: tags.length ? tags : null };
+}
+
+/**
+ * Group taxonomy_terms rows by facet, in display order
+ * @param {Object[]} terms - taxonomy_terms rows
+ * @returns {Object} - { category: [...], medium: [...], style: [...] }
+ */
+function groupTerms(terms) {
+  const grouped = Object.fromEntries(FACETS.map(facet => [facet, []]));
+  [...terms]
+    .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name))
+    .forEach(term => grouped[term.facet] && grouped[term.facet].push(term));
+  return grouped;
+}
+
+/**
+ * Check the facet values on an artwork against the taxonomy
+ * @param {Object} values - Any of category, medium, style (slugs; empty string or null clears medium and style)
+ * @param {Object[]} terms - taxonomy_terms rows
+ * @returns {Object} - { facets } holding only the facets given, or { status, error }
+ */
+function validateFacetValues(values, terms) {
+  const facets = {};
+  for (const facet of FACETS) {
+    if (values[facet] === undefined) continue;
+    const slug = values[facet] === null ? '' : String(values[facet]).trim();
+    if (!slug) {
+      if (facet === 'category') return { status: 400, error: 'Category cannot be empty' };
+      facets[facet] = null;
+      continue;
+    }
+    if (!terms.some(term => term.facet === facet && term.slug === slug)) {
+      return { status: 400, error: `Unknown ${facet} "${slug}"` };
+    }
+    facets[facet] = slug;
+  }
+  return { facets };
+}
+
+/**
+ * Validate a taxonomy term an admin is adding or editing
+ * @param {Object} body - facet, name, slug and position (facet and slug only when adding)
+ * @param {boolean} [creating=true] - Whether this is a new term
+ * @returns {Object} - { term } with the fields to write, or { status, error }
+ */
+function normalizeTermInput(body = {}, creating = true) {
+  const term = {};
+
+  if (creating) {
+    if (!FACETS.includes(body.facet)) {
+      return { status: 400, error: `facet must be one of ${FACETS.join(', ')}` };
+    }
+    term.facet = body.facet;
+  }
+
+  if (creating || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name || name.length > MAX_TERM_NAME_LENGTH) {
+      return { status: 400, error: `Name must be 1 to ${MAX_TERM_NAME_LENGTH} characters` };
+    }
+    term.name = name;
+  }
+
+  // The slug is stored on artworks, so it is fixed once the term exists
+  if (creating) {
+    term.slug = slugify(body.slug || body.name);
+    if (!term.slug) return { status: 400, error: 'Name needs at least one letter or digit' };
+  }
+
+  if (body.position !== undefined) {
+    const position = Number(body.position);
+    if (!Number.isInteger(position)) return { status: 400, error: 'position must be a whole number' };
+    term.position = position;
+  }
+
+  if (Object.keys(term).length === 0) return { status: 400, error: 'Nothing to update' };
+  return { term };
+}
+
+module.exports = {
+  FACETS,
+  MAX_TAGS_PER_ARTWORK,
+  slugify,
+  normalizeTags,
+  parseTagFilter,
+  groupTerms,
+  validateFacetValues,
+  normalizeTermInput
+};
@@ -0,0 +1,211 @@
+-- Taxonomy Migration for Artify
+-- Categories, mediums and styles come from a list moderators curate; artists add free-form tags on top
+
+-- The controlled vocabulary, one row per choice in each facet
+CREATE TABLE IF NOT EXISTS public.taxonomy_terms (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  facet text NOT NULL CHECK (facet IN ('category', 'medium', 'style')),
+  slug text NOT NULL CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name text NOT NULL,
+  position integer DEFAULT 0 NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (facet, slug)
+);
+
+ALTER TABLE public.taxonomy_terms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Taxonomy is viewable by everyone." ON public.taxonomy_terms;
+CREATE POLICY "Taxonomy is viewable by everyone." ON public.taxonomy_terms
+  FOR SELECT USING (true);
+
+INSERT INTO public.taxonomy_terms (facet, slug, name, position) VALUES
+  ('category', 'digital', 'Digital Art', 1),
+  ('category', 'traditional', 'Traditional', 2),
+  ('category', 'abstract', 'Abstract', 3),
+  ('category', 'photography', 'Photography', 4),
+  ('medium', 'digital-painting', 'Digital Painting', 1),
+  ('medium', '3d-render', '3D Render', 2),
+  ('medium', 'oil', 'Oil', 3),
+  ('medium', 'acrylic', 'Acrylic', 4),
+  ('medium', 'watercolor', 'Watercolor', 5),
+  ('medium', 'ink', 'Ink', 6),
+  ('medium', 'pencil', 'Pencil', 7),
+  ('medium', 'photograph', 'Photograph', 8),
+  ('style', 'realism', 'Realism', 1),
+  ('style', 'impressionism', 'Impressionism', 2),
+  ('style', 'surrealism', 'Surrealism', 3),
+  ('style', 'minimalism', 'Minimalism', 4),
+  ('style', 'pop-art', 'Pop Art', 5),
+  ('style', 'anime', 'Anime', 6),
+  ('style', 'fantasy', 'Fantasy', 7)
+ON CONFLICT (facet, slug) DO NOTHING;
+
+-- Keep any category artworks already use, so none of them fall out of the taxonomy
+INSERT INTO public.taxonomy_terms (facet, slug, name, position)
+SELECT DISTINCT 'category', category, initcap(replace(category, '-', ' ')), 100
+FROM public.artworks
+WHERE category ~ '^[a-z0-9]+(-[a-z0-9]+)*$'
+ON CONFLICT (facet, slug) DO NOTHING;
+
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS medium text;
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS style text;
+
+-- Free-form tags, shared between artworks
+CREATE TABLE IF NOT EXISTS public.tags (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  slug text UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name text NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.artwork_tags (
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  tag_id uuid REFERENCES public.tags(id) ON DELETE CASCADE NOT NULL,
+  PRIMARY KEY (artwork_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artwork_tags_tag_id ON public.artwork_tags(tag_id);
+
+ALTER TABLE public.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.artwork_tags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Tags are viewable by everyone." ON public.tags;
+CREATE POLICY "Tags are viewable by everyone." ON public.tags
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Artwork tags are viewable by everyone." ON public.artwork_tags;
+CREATE POLICY "Artwork tags are viewable by everyone." ON public.artwork_tags
+  FOR SELECT USING (true);
+
+-- Copy of the artwork's tag slugs, so the gallery can filter on "has all of these tags" with one index
+ALTER TABLE public.artworks ADD COLUMN IF NOT EXISTS tag_slugs text[] DEFAULT '{}' NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_artworks_tag_slugs ON public.artworks USING gin(tag_slugs);
+CREATE INDEX IF NOT EXISTS idx_artworks_medium ON public.artworks(medium);
+CREATE INDEX IF NOT EXISTS idx_artworks_style ON public.artworks(style);
+
+-- Replace an artwork's tags, creating tags that do not exist yet. p_names holds the display name for each slug.
+-- Returns the artwork's new tag_slugs
+CREATE OR REPLACE FUNCTION public.set_artwork_tags(p_artwork_id uuid, p_slugs text[], p_names text[])
+RETURNS text[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_slugs text[];
+BEGIN
+  INSERT INTO public.tags (slug, name)
+  SELECT s.slug, s.name FROM unnest(p_slugs, p_names) AS s(slug, name)
+  ON CONFLICT (slug) DO NOTHING;
+
+  DELETE FROM public.artwork_tags at
+  USING public.tags t
+  WHERE at.artwork_id = p_artwork_id AND t.id = at.tag_id AND NOT (t.slug = ANY(p_slugs));
+
+  INSERT INTO public.artwork_tags (artwork_id, tag_id)
+  SELECT p_artwork_id, t.id FROM public.tags t WHERE t.slug = ANY(p_slugs)
+  ON CONFLICT DO NOTHING;
+
+  SELECT coalesce(array_agg(slug ORDER BY slug), '{}') INTO v_slugs
+  FROM unnest(p_slugs) AS slug;
+
+  UPDATE public.artworks SET tag_slugs = v_slugs WHERE id = p_artwork_id;
+  RETURN v_slugs;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.set_artwork_tags(uuid, text[], text[]) FROM PUBLIC, anon, authenticated;
+
+-- Tags starting with p_prefix, most used on live artworks first, for autocomplete
+CREATE OR REPLACE FUNCTION public.search_tags(p_prefix text, p_limit integer DEFAULT 10)
+RETURNS TABLE (slug text, name text, artworks bigint)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT t.slug, t.name, count(a.id)
+  FROM public.tags t
+  LEFT JOIN public.artwork_tags at ON at.tag_id = t.id
+  LEFT JOIN public.artworks a ON a.id = at.artwork_id AND a.status = 'active'
+  WHERE t.slug LIKE p_prefix || '%' OR lower(t.name) LIKE lower(p_prefix) || '%'
+  GROUP BY t.id
+  ORDER BY count(a.id) DESC, t.slug
+  LIMIT p_limit;
+$$;
+
+-- How many live artworks match the gallery's filters for each category, medium, style and (top 20) tag.
+-- Each facet's counts ignore that facet's own filter, so the other choices still show what they would give
+CREATE OR REPLACE FUNCTION public.artwork_facet_counts(
+  p_q text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_medium text DEFAULT NULL,
+  p_style text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_min_price numeric DEFAULT NULL,
+  p_max_price numeric DEFAULT NULL,
+  p_artist_id uuid DEFAULT NULL
+)
+RETURNS TABLE (facet text, value text, artworks bigint)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH matching AS (
+    SELECT
+      a.category,
+      a.medium,
+      a.style,
+      a.tag_slugs,
+      (p_category IS NULL OR a.category = p_category) AS in_category,
+      (p_medium IS NULL OR a.medium = p_medium) AS in_medium,
+      (p_style IS NULL OR a.style = p_style) AS in_style
+    FROM public.artworks a
+    WHERE a.status = 'active'
+      AND (p_q IS NULL OR a.search_vector @@ websearch_to_tsquery('english', p_q))
+      AND (p_tags IS NULL OR a.tag_slugs @> p_tags)
+      AND (p_min_price IS NULL OR a.price >= p_min_price)
+      AND (p_max_price IS NULL OR a.price <= p_max_price)
+      AND (p_artist_id IS NULL OR a.artist_id = p_artist_id)
+  )
+  SELECT 'category', category, count(*) FROM matching
+  WHERE in_medium AND in_style AND category IS NOT NULL GROUP BY category
+  UNION ALL
+  SELECT 'medium', medium, count(*) FROM matching
+  WHERE in_category AND in_style AND medium IS NOT NULL GROUP BY medium
+  UNION ALL
+  SELECT 'style', style, count(*) FROM matching
+  WHERE in_category AND in_medium AND style IS NOT NULL GROUP BY style
+  UNION ALL
+  (SELECT 'tag', tag, count(*) FROM matching CROSS JOIN unnest(tag_slugs) AS tag
+   WHERE in_category AND in_medium AND in_style GROUP BY tag ORDER BY count(*) DESC, tag LIMIT 20);
+$$;
+
+-- Tags are searchable along with the artist's name
+CREATE OR REPLACE FUNCTION public.update_artwork_search_vector()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  SELECT coalesce(nullif(p.full_name, ''), p.username) INTO NEW.artist_name
+  FROM public.profiles p
+  WHERE p.id = NEW.artist_id;
+
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW.artist_name, '') || ' ' ||
+      replace(array_to_string(NEW.tag_slugs, ' '), '-', ' ')), 'B') ||
+    setweight(to_tsvector('english', coalesce(NEW.description, '')), 'C');
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS artworks_search_vector ON public.artworks;
+CREATE TRIGGER artworks_search_vector
+  BEFORE INSERT OR UPDATE OF title, description, artist_id, tag_slugs ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.update_artwork_search_vector();
+
+COMMENT ON COLUMN public.artworks.category IS 'Slug of a taxonomy_terms row with facet category';
+COMMENT ON COLUMN public.artworks.medium IS 'Slug of a taxonomy_terms row with facet medium';
+COMMENT ON COLUMN public.artworks.style IS 'Slug of a taxonomy_terms row with facet style';
+COMMENT ON COLUMN public.artworks.tag_slugs IS 'Sorted slugs of the artwork''s tags, kept in step by set_artwork_tags';
@@ -0,0 +1,150 @@
+// Artwork access, triggers, search indexing, tags and duplicate matching, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+let db;
+let artistId;
+
+before(async () => {
+  db = await createTestDatabase();
+  artistId = (await one(`INSERT INTO auth.users (email) VALUES ('artist@example.com') RETURNING id`)).id;
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+describe('browser access', () => {
+  // Runs statements the way PostgREST does for a signed-in user: as the authenticated role, under RLS
+  async function asUser(userId, statements) {
+    await db.transaction(async tx => {
+      await tx.query(`SELECT set_config('request.jwt.claim.sub', $1, true)`, [userId]);
+      await tx.query('SET LOCAL ROLE authenticated');
+      await statements(tx);
+    });
+  }
+
+  it('can read artworks but not create or edit them', async () => {
+    const artwork = await one(`INSERT INTO public.artworks (title, price, artist_id) VALUES ('Mine', 100, $1) RETURNING id`, [artistId]);
+
+    await asUser(artistId, async tx => {
+      const { rows } = await tx.query('SELECT id FROM public.artworks WHERE id = $1', [artwork.id]);
+      assert.equal(rows.length, 1);
+    });
+    await assert.rejects(
+      asUser(artistId, tx => tx.query(`INSERT INTO public.artworks (title, price, artist_id) VALUES ('Direct', 100, $1)`, [artistId])),
+      /row-level security/
+    );
+    await asUser(artistId, async tx => {
+      const { affectedRows } = await tx.query('UPDATE public.artworks SET price = 1 WHERE id = $1', [artwork.id]);
+      assert.equal(affectedRows, 0);
+    });
+  });
+});
+
+describe('Cloudinary public IDs', () => {
+  it('are read from delivery URLs, with or without transformations', async () => {
+    const publicId = url => one('SELECT public.cloudinary_public_id($1) AS id', [url]).then(row => row.id);
+
+    assert.equal(await publicId('https://res.cloudinary.com/demo/image/upload/v1712345678/artify/artworks/abc.jpg'), 'artify/artworks/abc');
+    assert.equal(await publicId('https://res.cloudinary.com/demo/image/upload/c_fill,w_400/v1/artify/artworks/abc.png'), 'artify/artworks/abc');
+    assert.equal(await publicId('https://res.cloudinary.com/demo/image/authenticated/v1/artify/artworks/abc.png'), 'artify/artworks/abc');
+    assert.equal(await publicId('https://example.supabase.co/storage/v1/object/public/artworks/abc.jpg'), null);
+  });
+
+  it('follow the artwork\'s image', async () => {
+    const artwork = await one(
+      `INSERT INTO public.artworks (title, price, artist_id, image_url)
+       VALUES ('Dusk', 100, $1, 'https://res.cloudinary.com/demo/image/upload/v1/artify/artworks/dusk.jpg') RETURNING *`,
+      [artistId]
+    );
+    assert.equal(artwork.public_id, 'artify/artworks/dusk');
+
+    const updated = await one(
+      `UPDATE public.artworks SET image_url = 'https://example.com/dawn.jpg' WHERE id = $1 RETURNING public_id`,
+      [artwork.id]
+    );
+    assert.equal(updated.public_id, null);
+  });
+});
+
+describe('search indexing', () => {
+  it('copies the artist\'s name onto their artworks and follows renames', async () => {
+    await db.query(`UPDATE public.profiles SET full_name = 'Mira Sen' WHERE id = $1`, [artistId]);
+    const artwork = await one(
+      `INSERT INTO public.artworks (title, description, price, artist_id) VALUES ('Harbour', 'Boats at low tide', 100, $1) RETURNING id, artist_name`,
+      [artistId]
+    );
+    assert.equal(artwork.artist_name, 'Mira Sen');
+
+    await db.query(`UPDATE public.profiles SET full_name = 'Mira Das' WHERE id = $1`, [artistId]);
+    const matches = query => one(
+      `SELECT count(*)::int AS n FROM public.artworks WHERE id = $1 AND search_vector @@ websearch_to_tsquery('english', $2)`,
+      [artwork.id, query]
+    ).then(row => row.n);
+
+    assert.equal(await matches('das'), 1);
+    assert.equal(await matches('sen'), 0);
+    assert.equal(await matches('boat tide'), 1);
+  });
+});
+
+describe('tags and facets', () => {
+  it('replace an artwork\'s tags and count live artworks per facet', async () => {
+    const artwork = await one(
+      `INSERT INTO public.artworks (title, price, artist_id, status, category, medium)
+       VALUES ('Lanterns', 100, $1, 'active', 'traditional', 'ink') RETURNING id`,
+      [artistId]
+    );
+    const setTags = tags => one(
+      'SELECT public.set_artwork_tags($1, $2, $3) AS slugs',
+      [artwork.id, tags.map(tag => tag.slug), tags.map(tag => tag.name)]
+    ).then(row => row.slugs);
+
+    assert.deepEqual(await setTags([{ slug: 'night', name: 'Night' }, { slug: 'festival', name: 'Festival' }]), ['festival', 'night']);
+    assert.deepEqual(await setTags([{ slug: 'night', name: 'Night' }]), ['night']);
+    assert.equal((await one('SELECT count(*)::int AS n FROM public.artwork_tags WHERE artwork_id = $1', [artwork.id])).n, 1);
+
+    const { rows } = await db.query(
+      `SELECT facet, value, artworks::int FROM public.artwork_facet_counts(p_medium => 'oil', p_tags => ARRAY['night'])
+       ORDER BY facet`
+    );
+    // The medium filter leaves this artwork out of every count but the medium facet's own
+    assert.deepEqual(rows, [{ facet: 'medium', value: 'ink', artworks: 1 }]);
+  });
+});
+
+describe('duplicate matching', () => {
+  async function hashedArtwork(artist, hash) {
+    return one(
+      `INSERT INTO public.artworks (title, price, artist_id, perceptual_hash) VALUES ('Copy', 100, $1, $2) RETURNING id`,
+      [artist, hash]
+    );
+  }
+
+  it('finds other artists\' artworks with a close hash, closest first', async () => {
+    const other = (await one(`INSERT INTO auth.users (email) VALUES ('other@example.com') RETURNING id`)).id;
+    const near = await hashedArtwork(other, 'f0f0f0f0f0f0f0f1');
+    const exact = await hashedArtwork(other, 'f0f0f0f0f0f0f0f0');
+    await hashedArtwork(other, '0f0f0f0f0f0f0f0f');
+    await hashedArtwork(artistId, 'f0f0f0f0f0f0f0f0');
+
+    const { rows } = await db.query('SELECT * FROM public.find_similar_artworks($1, $2, 10)', ['f0f0f0f0f0f0f0f0', artistId]);
+    assert.deepEqual(rows, [{ artwork_id: exact.id, distance: 0 }, { artwork_id: near.id, distance: 1 }]);
+  });
+
+  it('never match near-uniform hashes', async () => {
+    const other = (await one(`INSERT INTO auth.users (email) VALUES ('flat@example.com') RETURNING id`)).id;
+    await hashedArtwork(other, '0000000000000001');
+
+    const { rows } = await db.query('SELECT * FROM public.find_similar_artworks($1, $2, 10)', ['0000000000000000', artistId]);
+    assert.deepEqual(rows, []);
+  });
+});
@@ -0,0 +1,70 @@
+// Artist edits to their own artworks
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planArtworkUpdate, artistDeleteBlocker } = require('../artworks-server');
+
+describe('planArtworkUpdate', () => {
+  const artwork = {
+    status: 'active',
+    title: 'Dusk',
+    price: 1000,
+    image_url: 'https://res.cloudinary.com/demo/image/authenticated/v1/artify/artworks/dusk.png',
+    storage_provider: 'cloudinary',
+    public_id: 'artify/artworks/dusk',
+    medium: 'oil',
+    tag_slugs: ['harbour', 'night']
+  };
+
+  it('keeps only the fields that change', () => {
+    const plan = planArtworkUpdate(artwork, { title: ' Dawn ', price: '1000' });
+    assert.deepEqual(plan.changes, { title: 'Dawn' });
+    assert.equal(plan.priceChanged, false);
+  });
+
+  it('sends a live artwork with a new image back to moderation', () => {
+    const plan = planArtworkUpdate(artwork, { storage_key: 'artify/artworks/dawn' });
+    assert.equal(plan.backToModeration, true);
+    assert.equal(plan.changes.status, 'pending');
+    assert.equal(plan.imageReplaced, true);
+    assert.equal(plan.changes.storage_provider, 'cloudinary');
+    assert.equal(plan.changes.image_url, undefined);
+  });
+
+  it('records where a replacement image is stored', () => {
+    const plan = planArtworkUpdate(artwork, { storage_provider: 'server', storage_key: 'artist-1/dawn.png' });
+    assert.equal(plan.changes.storage_provider, 'server');
+    assert.equal(plan.changes.storage_key, 'artist-1/dawn.png');
+    assert.match(planArtworkUpdate(artwork, { storage_key: 'x.png', storage_provider: 'ftp' }).error, /storage_provider/);
+  });
+
+  it('does not count the current image as a new one', () => {
+    assert.equal(planArtworkUpdate(artwork, { storage_key: artwork.public_id }).error, 'Nothing to update');
+    assert.equal(planArtworkUpdate(artwork, { storage_key: '' }).error, 'storage_key cannot be empty');
+    assert.equal(planArtworkUpdate(artwork, { image_url: 'https://example.com/dawn.png' }).error, 'Nothing to update');
+  });
+
+  it('validates prices and status changes', () => {
+    assert.equal(planArtworkUpdate(artwork, { price: -5 }).error, 'Price must be a positive number');
+    assert.equal(planArtworkUpdate(artwork, { status: 'pending' }).status, 409);
+    assert.equal(planArtworkUpdate(artwork, { status: 'inactive' }).changes.status, 'inactive');
+    assert.equal(planArtworkUpdate(artwork, { price: '1200' }).priceChanged, true);
+  });
+
+  it('clears an empty medium and only replaces tags that changed', () => {
+    assert.deepEqual(planArtworkUpdate(artwork, { medium: '' }).changes, { medium: null });
+    assert.equal(planArtworkUpdate(artwork, { tags: 'Night, harbour' }).error, 'Nothing to update');
+
+    const plan = planArtworkUpdate(artwork, { tags: ['Night', 'Boats'] });
+    assert.deepEqual(plan.changes, {});
+    assert.deepEqual(plan.tags, [{ slug: 'night', name: 'Night' }, { slug: 'boats', name: 'Boats' }]);
+  });
+});
+
+describe('artistDeleteBlocker', () => {
+  it('only lets artists delete work nobody has bought or is buying', () => {
+    assert.equal(artistDeleteBlocker({ sold_count: 0, reserved_count: 0 }), null);
+    assert.match(artistDeleteBlocker({ sold_count: 1 }), /unpublish it instead/);
+    assert.match(artistDeleteBlocker({ reserved_count: 1 }), /checkout right now/);
+  });
+});
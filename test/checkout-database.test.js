@@ -0,0 +1,366 @@
+// Reservations, downloads, discount claims, invoices and the replay-safe payment paths, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+async function createUser(name = 'Buyer') {
+  return (await one(
+    `INSERT INTO auth.users (email, raw_user_meta_data) VALUES ($1, jsonb_build_object('name', $2::text)) RETURNING id`,
+    [`${name.toLowerCase()}-${Date.now()}-${Math.random()}@example.com`, name]
+  )).id;
+}
+
+async function createArtwork({ editionType = 'original', editionSize = null, price = 1000 } = {}) {
+  const artistId = await createUser('Artist');
+  return one(
+    `INSERT INTO public.artworks (title, price, artist_id, edition_type, edition_size)
+     VALUES ('Artwork', $1, $2, $3, $4) RETURNING *`,
+    [price, artistId, editionType, editionSize]
+  );
+}
+
+async function createOrder(buyerId, artworks, { status = 'created' } = {}) {
+  const order = await one(
+    `INSERT INTO public.orders (buyer_id, subtotal, platform_fee, gst, total, status, razorpay_order_id)
+     VALUES ($1, 1000, 50, 189, 1239, $2, $3) RETURNING *`,
+    [buyerId, status, `order_test_${Math.random().toString(36).slice(2)}`]
+  );
+  for (const artwork of artworks) {
+    await db.query(
+      `INSERT INTO public.order_items (order_id, artwork_id, artist_id, title, price, total)
+       VALUES ($1, $2, $3, $4, $5, $5)`,
+      [order.id, artwork.id, artwork.artist_id, artwork.title, artwork.price]
+    );
+  }
+  return order;
+}
+
+async function reserve(order, artworks, expiresAt = new Date(Date.now() + 15 * 60000)) {
+  return (await one(
+    'SELECT public.reserve_artworks($1, $2::uuid[], $3) AS unavailable',
+    [order.id, artworks.map(artwork => artwork.id), expiresAt.toISOString()]
+  )).unavailable;
+}
+
+async function convert(order) {
+  return (await one('SELECT public.convert_order_reservations($1) AS refused', [order.id])).refused;
+}
+
+async function stock(artwork) {
+  return one('SELECT sold_count, reserved_count FROM public.artworks WHERE id = $1', [artwork.id]);
+}
+
+async function markPaid(order) {
+  await db.query(`UPDATE public.orders SET status = 'paid', paid_at = now() WHERE id = $1`, [order.id]);
+}
+
+describe('artwork reservations', () => {
+  it('holds an original for one checkout and turns it away from the next', async () => {
+    const artwork = await createArtwork();
+    const first = await createOrder(await createUser(), [artwork]);
+    const second = await createOrder(await createUser(), [artwork]);
+
+    assert.deepEqual(await reserve(first, [artwork]), []);
+    assert.deepEqual(await reserve(second, [artwork]), [artwork.id]);
+    assert.deepEqual(await stock(artwork), { sold_count: 0, reserved_count: 1 });
+  });
+
+  it('reserves every artwork in an order or none of them', async () => {
+    const free = await createArtwork();
+    const taken = await createArtwork();
+    await reserve(await createOrder(await createUser(), [taken]), [taken]);
+
+    const order = await createOrder(await createUser(), [free, taken]);
+    assert.deepEqual(await reserve(order, [free, taken]), [taken.id]);
+    assert.deepEqual(await stock(free), { sold_count: 0, reserved_count: 0 });
+  });
+
+  it('sells a limited edition until its copies run out', async () => {
+    const artwork = await createArtwork({ editionType: 'limited', editionSize: 2 });
+    for (let i = 0; i < 2; i++) {
+      const order = await createOrder(await createUser(), [artwork]);
+      assert.deepEqual(await reserve(order, [artwork]), []);
+      await markPaid(order);
+      assert.deepEqual(await convert(order), []);
+    }
+
+    const late = await createOrder(await createUser(), [artwork]);
+    assert.deepEqual(await reserve(late, [artwork]), [artwork.id]);
+    assert.deepEqual(await stock(artwork), { sold_count: 2, reserved_count: 0 });
+  });
+
+  it('never runs out of an open edition', async () => {
+    const artwork = await createArtwork({ editionType: 'open' });
+    for (let i = 0; i < 3; i++) {
+      assert.deepEqual(await reserve(await createOrder(await createUser(), [artwork]), [artwork]), []);
+    }
+    assert.equal((await stock(artwork)).reserved_count, 3);
+  });
+
+  it('gives the copy back when a checkout is abandoned', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), [artwork]);
+    await reserve(order, [artwork]);
+
+    await db.query('SELECT public.release_order_reservations($1)', [order.id]);
+    await db.query('SELECT public.release_order_reservations($1)', [order.id]);
+
+    assert.deepEqual(await stock(artwork), { sold_count: 0, reserved_count: 0 });
+    assert.deepEqual(await reserve(await createOrder(await createUser(), [artwork]), [artwork]), []);
+  });
+
+  it('fails unpaid orders and restocks once their reservation expires', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), [artwork]);
+    await reserve(order, [artwork], new Date(Date.now() - 60000));
+
+    await db.query('SELECT public.release_expired_reservations()');
+
+    assert.equal((await one('SELECT status FROM public.orders WHERE id = $1', [order.id])).status, 'failed');
+    assert.deepEqual(await stock(artwork), { sold_count: 0, reserved_count: 0 });
+  });
+});
+
+describe('payment of a reserved order', () => {
+  it('turns the reservation into a sale', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), [artwork]);
+    await reserve(order, [artwork]);
+    await markPaid(order);
+
+    assert.deepEqual(await convert(order), []);
+    assert.deepEqual(await stock(artwork), { sold_count: 1, reserved_count: 0 });
+  });
+
+  it('sells the artwork only once when the payment is confirmed twice', async () => {
+    const artwork = await createArtwork({ editionType: 'limited', editionSize: 5 });
+    const order = await createOrder(await createUser(), [artwork]);
+    await reserve(order, [artwork]);
+    await markPaid(order);
+
+    await convert(order);
+    assert.deepEqual(await convert(order), []);
+    assert.deepEqual(await stock(artwork), { sold_count: 1, reserved_count: 0 });
+  });
+
+  it('still sells to a late payer when a copy is free', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), [artwork]);
+    await reserve(order, [artwork], new Date(Date.now() - 60000));
+    await db.query('SELECT public.release_expired_reservations()');
+    await markPaid(order);
+
+    assert.deepEqual(await convert(order), []);
+    assert.deepEqual(await stock(artwork), { sold_count: 1, reserved_count: 0 });
+  });
+
+  it('refuses a late payment once someone else bought the original', async () => {
+    const artwork = await createArtwork();
+    const late = await createOrder(await createUser(), [artwork]);
+    await reserve(late, [artwork], new Date(Date.now() - 60000));
+
+    const other = await createOrder(await createUser(), [artwork]);
+    assert.deepEqual(await reserve(other, [artwork]), []);
+    await markPaid(other);
+    await convert(other);
+
+    await markPaid(late);
+    assert.deepEqual(await convert(late), [artwork.id]);
+    assert.deepEqual(await stock(artwork), { sold_count: 1, reserved_count: 0 });
+  });
+
+  it('refuses an order with no reservation when the artwork is held by another checkout', async () => {
+    const artwork = await createArtwork();
+    await reserve(await createOrder(await createUser(), [artwork]), [artwork]);
+
+    const unreserved = await createOrder(await createUser(), [artwork], { status: 'paid' });
+    assert.deepEqual(await convert(unreserved), [artwork.id]);
+    assert.deepEqual(await stock(artwork), { sold_count: 0, reserved_count: 1 });
+  });
+});
+
+describe('downloads of a purchase', () => {
+  async function download(item, buyerId, limit = 2) {
+    return (await one('SELECT public.record_artwork_download($1, $2, $3) AS artwork_id', [item.id, buyerId, limit])).artwork_id;
+  }
+
+  it('lets the buyer of a paid order download up to the limit', async () => {
+    const buyerId = await createUser();
+    const artwork = await createArtwork();
+    const order = await createOrder(buyerId, [artwork], { status: 'paid' });
+    const item = await one('SELECT id FROM public.order_items WHERE order_id = $1', [order.id]);
+
+    assert.equal(await download(item, buyerId), artwork.id);
+    assert.equal(await download(item, buyerId), artwork.id);
+    assert.equal(await download(item, buyerId), null);
+    assert.equal((await one('SELECT download_count FROM public.order_items WHERE id = $1', [item.id])).download_count, 2);
+  });
+
+  it('refuses anyone else and unpaid orders', async () => {
+    const buyerId = await createUser();
+    const paid = await createOrder(buyerId, [await createArtwork()], { status: 'paid' });
+    const unpaid = await createOrder(buyerId, [await createArtwork()]);
+    const paidItem = await one('SELECT id FROM public.order_items WHERE order_id = $1', [paid.id]);
+    const unpaidItem = await one('SELECT id FROM public.order_items WHERE order_id = $1', [unpaid.id]);
+
+    assert.equal(await download(paidItem, await createUser()), null);
+    assert.equal(await download(unpaidItem, buyerId), null);
+  });
+});
+
+describe('webhook replays', () => {
+  it('stores each payment event once', async () => {
+    const event = ['evt_replay', 'payment.captured', '{}'];
+    await db.query('INSERT INTO public.payment_events (id, event, payload) VALUES ($1, $2, $3)', event);
+
+    await assert.rejects(
+      db.query('INSERT INTO public.payment_events (id, event, payload) VALUES ($1, $2, $3)', event),
+      error => error.code === '23505'
+    );
+  });
+
+  it('credits each order line to the artist once', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), [artwork], { status: 'paid' });
+    const item = await one('SELECT id FROM public.order_items WHERE order_id = $1', [order.id]);
+
+    const credit = `
+      INSERT INTO public.ledger_entries (artist_id, order_id, order_item_id, artwork_id, title, gross, commission, commission_rate, amount)
+      VALUES ($1, $2, $3, $4, 'Artwork', 1000, 200, 0.2, 800)
+      ON CONFLICT (order_item_id) DO NOTHING`;
+    const params = [artwork.artist_id, order.id, item.id, artwork.id];
+    await db.query(credit, params);
+    await db.query(credit, params);
+
+    assert.equal(Number((await one('SELECT count(*) FROM public.ledger_entries WHERE order_id = $1', [order.id])).count), 1);
+  });
+
+  it('records each refund once', async () => {
+    const order = await createOrder(await createUser(), [await createArtwork()], { status: 'paid' });
+    const refund = `
+      INSERT INTO public.order_refunds (id, order_id, amount) VALUES ('rfnd_replay', $1, 100)
+      ON CONFLICT (id) DO NOTHING`;
+    await db.query(refund, [order.id]);
+    await db.query(refund, [order.id]);
+
+    assert.equal(Number((await one('SELECT sum(amount) FROM public.order_refunds WHERE order_id = $1', [order.id])).sum), 100);
+  });
+});
+
+describe('discount code claims', () => {
+  async function createCode({ maxUses = null, maxUsesPerUser = null } = {}) {
+    return one(
+      `INSERT INTO public.discount_codes (code, kind, value, max_uses, max_uses_per_user)
+       VALUES ($1, 'flat', 100, $2, $3) RETURNING *`,
+      [`TEST${Math.random().toString(36).slice(2, 8).toUpperCase()}`, maxUses, maxUsesPerUser]
+    );
+  }
+
+  async function claim(order, code) {
+    return (await one('SELECT public.claim_discount_code($1, $2) AS hit', [order.id, code.id])).hit;
+  }
+
+  it('lets an unpaid order hold the last use of a code', async () => {
+    const code = await createCode({ maxUses: 1 });
+    const first = await createOrder(await createUser(), [await createArtwork()]);
+    const second = await createOrder(await createUser(), [await createArtwork()]);
+
+    assert.equal(await claim(first, code), null);
+    assert.equal(await claim(second, code), 'max_uses');
+    assert.equal(await claim(first, code), null);
+  });
+
+  it('frees the use when the holding order fails', async () => {
+    const code = await createCode({ maxUses: 1 });
+    const first = await createOrder(await createUser(), [await createArtwork()]);
+    const second = await createOrder(await createUser(), [await createArtwork()]);
+    await claim(first, code);
+
+    await db.query(`UPDATE public.orders SET status = 'failed' WHERE id = $1`, [first.id]);
+    assert.equal(await claim(second, code), null);
+  });
+
+  it('limits uses per buyer', async () => {
+    const code = await createCode({ maxUsesPerUser: 1 });
+    const buyerId = await createUser();
+    const paid = await createOrder(buyerId, [await createArtwork()]);
+    await claim(paid, code);
+    await markPaid(paid);
+
+    assert.equal(await claim(await createOrder(buyerId, [await createArtwork()]), code), 'max_uses_per_user');
+    assert.equal(await claim(await createOrder(await createUser(), [await createArtwork()]), code), null);
+  });
+});
+
+describe('invoices and credit notes', () => {
+  const SELLER = ['Artify', '29ABCDE1234F1Z5', 'Bengaluru', '29'];
+
+  async function issueInvoice(order) {
+    return one('SELECT * FROM public.issue_invoice($1, $2, $3, $4, $5)', [order.id, ...SELLER]);
+  }
+
+  async function issueCreditNote(refundId) {
+    return one('SELECT * FROM public.issue_credit_note($1)', [refundId]);
+  }
+
+  it('numbers invoices one after another, once per order', async () => {
+    const first = await createOrder(await createUser('Asha'), [await createArtwork()], { status: 'paid' });
+    const second = await createOrder(await createUser(), [await createArtwork()], { status: 'paid' });
+
+    const invoice = await issueInvoice(first);
+    const next = await issueInvoice(second);
+    const again = await issueInvoice(first);
+
+    assert.match(invoice.invoice_number, /^INV-\d{6}$/);
+    assert.equal(Number(next.invoice_number.slice(4)), Number(invoice.invoice_number.slice(4)) + 1);
+    assert.equal(again.invoice_number, invoice.invoice_number);
+    assert.equal(invoice.buyer_name, 'Asha');
+  });
+
+  it('refuses to invoice an unpaid order without using up a number', async () => {
+    const unpaid = await createOrder(await createUser(), [await createArtwork()]);
+    const lastNumber = async () => (await one(`SELECT last_number FROM public.document_counters WHERE series = 'INV'`)).last_number;
+    const last = await lastNumber();
+
+    await assert.rejects(issueInvoice(unpaid), /is not paid/);
+    assert.equal(await lastNumber(), last);
+  });
+
+  it('issues one credit note per refund against the invoice', async () => {
+    const order = await createOrder(await createUser(), [await createArtwork()], { status: 'paid' });
+    const invoice = await issueInvoice(order);
+    await db.query(`INSERT INTO public.order_refunds (id, order_id, amount) VALUES ('rfnd_cn_1', $1, 400)`, [order.id]);
+
+    const creditNote = await issueCreditNote('rfnd_cn_1');
+    const again = await issueCreditNote('rfnd_cn_1');
+
+    assert.match(creditNote.credit_note_number, /^CN-\d{6}$/);
+    assert.equal(creditNote.invoice_id, invoice.id);
+    assert.equal(Number(creditNote.amount), 400);
+    assert.equal(again.id, creditNote.id);
+  });
+
+  it('issues no credit note for an order that was never invoiced', async () => {
+    const order = await createOrder(await createUser(), [await createArtwork()], { status: 'failed' });
+    await db.query(`INSERT INTO public.order_refunds (id, order_id, amount) VALUES ('rfnd_cn_2', $1, 1239)`, [order.id]);
+
+    const creditNote = await issueCreditNote('rfnd_cn_2');
+    assert.equal(creditNote.id, null);
+  });
+});
@@ -0,0 +1,132 @@
+// Cloudinary uploads, signatures and asset housekeeping
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ALLOWED_FORMATS,
+  ORIGINAL_TYPE,
+  MAX_UPLOAD_BYTES,
+  SIGNATURE_TTL_SECONDS,
+  createFakeCloudinaryClient,
+  createCloudinaryClientFromEnv,
+  generateUploadSignature,
+  uploadToCloudinarySecure,
+  makeOriginalPrivate,
+  listTaggedAssets,
+  findOrphanedAssets,
+  deleteAssets
+} = require('../cloudinary-server');
+
+describe('generateUploadSignature', () => {
+  const client = createFakeCloudinaryClient();
+
+  it('signs the folder, tags and formats the browser must use', () => {
+    const signed = generateUploadSignature(client);
+
+    assert.equal(signed.params.folder, 'artify/artworks');
+    assert.equal(signed.params.allowed_formats, ALLOWED_FORMATS.join(','));
+    assert.equal(signed.params.type, ORIGINAL_TYPE);
+    assert.equal(signed.signature, client.signParams(signed.params));
+    assert.equal(signed.max_file_size, MAX_UPLOAD_BYTES);
+    assert.equal(signed.upload_url, 'https://api.cloudinary.com/v1_1/fake-cloud/image/upload');
+  });
+
+  it('dates the signature back so Cloudinary refuses it once its time is up', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const signed = generateUploadSignature(client);
+    const expiresAt = Date.parse(signed.expires_at) / 1000;
+
+    // Cloudinary accepts a signed timestamp for an hour
+    assert.equal(signed.params.timestamp + 3600, expiresAt);
+    assert.ok(expiresAt - before >= SIGNATURE_TTL_SECONDS && expiresAt - before <= SIGNATURE_TTL_SECONDS + 1);
+  });
+
+  it('no longer matches once a signed parameter is changed', () => {
+    const signed = generateUploadSignature(client);
+    assert.notEqual(client.signParams({ ...signed.params, folder: 'elsewhere' }), signed.signature);
+  });
+});
+
+describe('uploadToCloudinarySecure', () => {
+  it('uploads into the artworks folder with the artwork tags', async () => {
+    const client = createFakeCloudinaryClient();
+    const result = await uploadToCloudinarySecure(client, 'data:image/png;base64,AAAA');
+
+    assert.equal(result.success, true);
+    assert.equal(result.format, 'png');
+    assert.match(result.public_id, /^artify\/artworks\//);
+    assert.deepEqual(client.assets.get(result.public_id).tags, ['artify', 'artwork']);
+    assert.equal(client.assets.get(result.public_id).type, ORIGINAL_TYPE);
+  });
+
+  it('reports a failed upload instead of throwing', async () => {
+    const client = { async upload() { throw new Error('Invalid image file'); } };
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await uploadToCloudinarySecure(client, 'x'), { success: false, error: 'Invalid image file' });
+    } finally {
+      console.error = error;
+    }
+  });
+
+  it('is only configured with credentials or in fake mode', () => {
+    assert.equal(createCloudinaryClientFromEnv({}), null);
+    assert.ok(createCloudinaryClientFromEnv({ CLOUDINARY_MODE: 'fake' }).assets instanceof Map);
+  });
+});
+
+describe('makeOriginalPrivate', () => {
+  it('turns a public upload into an authenticated asset under the same public ID', async () => {
+    const client = createFakeCloudinaryClient();
+    const legacy = await client.upload('data:image/png;base64,AAAA', { folder: 'artify/artworks' });
+
+    const result = await makeOriginalPrivate(client, legacy.public_id);
+    assert.equal(result.success, true);
+    assert.equal(result.url, `https://res.cloudinary.com/fake-cloud/image/${ORIGINAL_TYPE}/v1/${legacy.public_id}.png`);
+    assert.equal(client.assets.get(legacy.public_id).type, ORIGINAL_TYPE);
+  });
+
+  it('reports an asset that is already private or gone', async () => {
+    const client = createFakeCloudinaryClient();
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await makeOriginalPrivate(client, 'artify/artworks/missing')).success, false);
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('findOrphanedAssets', () => {
+  const now = new Date('2026-01-15T12:00:00Z');
+  const assets = [
+    { public_id: 'artify/artworks/used', created_at: '2026-01-01T00:00:00Z' },
+    { public_id: 'artify/artworks/orphan', created_at: '2026-01-01T00:00:00Z' },
+    { public_id: 'artify/artworks/uploading', created_at: '2026-01-15T11:00:00Z' }
+  ];
+  const artworks = [{ public_id: 'artify/artworks/used' }, { public_id: null }];
+
+  it('finds assets no artwork points at', () => {
+    assert.deepEqual(findOrphanedAssets(assets, artworks, { now }).map(asset => asset.public_id), ['artify/artworks/orphan']);
+  });
+
+  it('leaves recent uploads alone until the grace period is over', () => {
+    assert.deepEqual(
+      findOrphanedAssets(assets, artworks, { now, graceHours: 0 }).map(asset => asset.public_id),
+      ['artify/artworks/orphan', 'artify/artworks/uploading']
+    );
+  });
+
+  it('sweeps the tagged assets it found', async () => {
+    const client = createFakeCloudinaryClient();
+    const kept = await client.upload('data:image/png;base64,AAAA', { tags: ['artify'] });
+    const orphan = await client.upload('data:image/png;base64,AAAA', { tags: ['artify'] });
+
+    const tagged = await listTaggedAssets(client, 'artify');
+    const orphans = findOrphanedAssets(tagged, [{ public_id: kept.public_id }], { graceHours: 0, now: new Date(Date.now() + 1000) });
+    assert.deepEqual(await deleteAssets(client, orphans), { [orphan.public_id]: 'deleted' });
+    assert.deepEqual([...client.assets.keys()], [kept.public_id]);
+  });
+});
@@ -0,0 +1,56 @@
+// Discount codes
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCode, isItemEligible, evaluateDiscount } = require('../discounts-server');
+
+describe('evaluateDiscount', () => {
+  const items = [
+    { price: 1000, artist_id: 'artist-a', category: 'digital' },
+    { price: 500, artist_id: 'artist-b', category: 'photography' }
+  ];
+  const code = fields => ({ active: true, kind: 'percentage', value: 10, ...fields });
+
+  it('normalises typed codes', () => {
+    assert.equal(normalizeCode('  first10 '), 'FIRST10');
+    assert.equal(normalizeCode(null), '');
+  });
+
+  it('applies a percentage to the whole order', () => {
+    const result = evaluateDiscount(code(), { items });
+    assert.equal(result.valid, true);
+    assert.equal(result.amount, 150);
+    assert.deepEqual(result.lineDiscounts, [100, 50]);
+  });
+
+  it('caps a flat discount at the eligible amount', () => {
+    const result = evaluateDiscount(code({ kind: 'flat', value: 800, artist_id: 'artist-b' }), { items });
+    assert.equal(result.amount, 500);
+    assert.deepEqual(result.lineDiscounts, [0, 500]);
+  });
+
+  it('only discounts artworks in the code\'s scope', () => {
+    assert.equal(isItemEligible({ category: 'photography' }, items[1]), true);
+    assert.equal(isItemEligible({ category: 'photography' }, items[0]), false);
+    assert.equal(isItemEligible({ category: 'digital' }, { price: 1 }), true);
+
+    const result = evaluateDiscount(code({ artist_id: 'artist-c' }), { items });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /does not apply/);
+  });
+
+  it('rejects inactive, early and expired codes', () => {
+    const now = new Date('2026-01-15T00:00:00Z');
+    assert.equal(evaluateDiscount(null, { items }).error, 'Invalid discount code');
+    assert.equal(evaluateDiscount(code({ active: false }), { items }).error, 'Invalid discount code');
+    assert.match(evaluateDiscount(code({ starts_at: '2026-02-01T00:00:00Z' }), { items, now }).error, /not active yet/);
+    assert.match(evaluateDiscount(code({ expires_at: '2026-01-15T00:00:00Z' }), { items, now }).error, /expired/);
+  });
+
+  it('enforces usage limits and the minimum order', () => {
+    assert.match(evaluateDiscount(code({ max_uses: 3 }), { items, totalRedemptions: 3 }).error, /fully redeemed/);
+    assert.match(evaluateDiscount(code({ max_uses_per_user: 1 }), { items, userRedemptions: 1 }).error, /already used/);
+    assert.equal(evaluateDiscount(code({ max_uses: 3 }), { items, totalRedemptions: 2 }).valid, true);
+    assert.match(evaluateDiscount(code({ min_order_value: 2000 }), { items }).error, /minimum order of ₹2,000/);
+  });
+});
@@ -0,0 +1,50 @@
+// Download tokens and limits for purchased originals
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DOWNLOAD_LIMIT,
+  downloadLimitFromEnv,
+  signDownloadToken,
+  verifyDownloadToken,
+  summarizeDownloads
+} = require('../downloads-server');
+
+describe('download tokens', () => {
+  const grant = { orderItemId: 'item-1', buyerId: 'buyer-1', expiresAt: 2000000000 };
+
+  it('round-trip for the buyer they were issued to', () => {
+    assert.deepEqual(verifyDownloadToken(signDownloadToken(grant, 'secret'), 'secret', 1900000000), grant);
+  });
+
+  it('reject forged, altered and expired tokens', () => {
+    const token = signDownloadToken(grant, 'secret');
+    const [, signature] = token.split('.');
+    const altered = Buffer.from(JSON.stringify({ i: 'item-2', u: 'buyer-1', e: 2000000000 })).toString('base64url');
+
+    assert.equal(verifyDownloadToken(token, 'other', 1900000000), null);
+    assert.equal(verifyDownloadToken(`${altered}.${signature}`, 'secret', 1900000000), null);
+    assert.equal(verifyDownloadToken(token, 'secret', 2000000001), null);
+    assert.equal(verifyDownloadToken(undefined, 'secret'), null);
+    assert.equal(verifyDownloadToken('no-signature', 'secret'), null);
+  });
+});
+
+describe('download limits', () => {
+  it('reads the limit per order line', () => {
+    assert.equal(downloadLimitFromEnv({}), DEFAULT_DOWNLOAD_LIMIT);
+    assert.equal(downloadLimitFromEnv({ DOWNLOAD_LIMIT: '3' }), 3);
+    assert.equal(downloadLimitFromEnv({ DOWNLOAD_LIMIT: '2.5' }), DEFAULT_DOWNLOAD_LIMIT);
+  });
+
+  it('shows what is left on each line', () => {
+    assert.deepEqual(summarizeDownloads([{ id: 'item-1', artwork_id: 'art-1', title: 'Dusk', download_count: 7 }], 5), [{
+      order_item_id: 'item-1',
+      artwork_id: 'art-1',
+      title: 'Dusk',
+      download_count: 7,
+      download_limit: 5,
+      remaining: 0
+    }]);
+  });
+});
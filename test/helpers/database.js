@@ -0,0 +1,80 @@
+// In-memory Postgres for tests
+// Runs the repo's migrations in PGlite on top of a small stand-in for the parts of Supabase they rely on
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// In the order they were added; each migration only needs the ones before it
+const MIGRATIONS = [
+  'setup_supabase.sql',
+  'cloudinary_migration.sql',
+  'orders_migration.sql',
+  'payment_events_migration.sql',
+  'discount_codes_migration.sql',
+  'cart_migration.sql',
+  'checkout_migration.sql',
+  'invoices_migration.sql',
+  'payouts_migration.sql',
+  'inventory_migration.sql',
+  'roles_migration.sql',
+  'moderation_migration.sql',
+  'artwork_history_migration.sql',
+  'artwork_assets_migration.sql',
+  'storage_migration.sql',
+  'previews_migration.sql',
+  'downloads_migration.sql',
+  'responsive_images_migration.sql',
+  'image_metadata_migration.sql',
+  'duplicates_migration.sql',
+  'search_migration.sql',
+  'trending_migration.sql',
+  'taxonomy_migration.sql',
+  'recommendations_migration.sql',
+  'wishlists_migration.sql'
+];
+
+// The roles and grants, auth.users and auth.uid() that Supabase provides
+const SUPABASE_STUB = `
+  CREATE ROLE anon;
+  CREATE ROLE authenticated;
+  CREATE ROLE service_role;
+  GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+  ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
+  CREATE SCHEMA auth;
+  GRANT USAGE ON SCHEMA auth TO anon, authenticated, service_role;
+  CREATE TABLE auth.users (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    email text,
+    raw_user_meta_data jsonb DEFAULT '{}'::jsonb NOT NULL
+  );
+  CREATE FUNCTION auth.uid() RETURNS uuid LANGUAGE sql STABLE AS $$
+    SELECT nullif(current_setting('request.jwt.claim.sub', true), '')::uuid
+  $$;
+`;
+
+/**
+ * Start an empty database with every migration applied
+ * @returns {Promise<Object>} - PGlite instance; close it when done
+ */
+async function createTestDatabase() {
+  const db = new PGlite({ extensions: { uuid_ossp } });
+  await db.exec(SUPABASE_STUB);
+  for (const migration of MIGRATIONS) {
+    try {
+      await db.exec(fs.readFileSync(path.join(ROOT, migration), 'utf8'));
+    } catch (e) {
+      throw new Error(`${migration}: ${e.message}`);
+    }
+  }
+  return db;
+}
+
+module.exports = {
+  ROOT,
+  MIGRATIONS,
+  createTestDatabase
+};
@@ -0,0 +1,101 @@
+// Upload checks and image metadata
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const {
+  detectImageType,
+  extractPalette,
+  perceptualHash,
+  hammingDistance,
+  isDistinctiveHash,
+  prepareArtworkImage
+} = require('../images-server');
+
+// Shapes on a plain background, so the picture has more than one colour
+function artworkImage(width = 800, height = 800) {
+  return sharp(Buffer.from(`
+    <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <rect width="100%" height="100%" fill="#f4e9d8"/>
+      <circle cx="${width * 0.3}" cy="${height * 0.4}" r="${width * 0.2}" fill="#1d3557"/>
+      <rect x="${width * 0.55}" y="${height * 0.2}" width="${width * 0.3}" height="${height * 0.6}" fill="#e63946"/>
+    </svg>`));
+}
+
+describe('prepareArtworkImage', () => {
+  it('describes a valid image', async () => {
+    const buffer = await artworkImage(900, 600).png().toBuffer();
+    const prepared = await prepareArtworkImage({ buffer, mimetype: 'image/png' });
+
+    assert.equal(prepared.errors, undefined);
+    assert.equal(prepared.file.mimetype, 'image/png');
+    assert.equal(prepared.metadata.image_width, 900);
+    assert.equal(prepared.metadata.aspect_ratio, 1.5);
+    assert.equal(prepared.metadata.color_space, 'srgb');
+    assert.equal(prepared.metadata.color_palette[0], '#f4e9d8');
+    assert.match(prepared.metadata.perceptual_hash, /^[0-9a-f]{16}$/);
+  });
+
+  it('trusts the file\'s bytes over the MIME type it claims', async () => {
+    const buffer = await artworkImage().jpeg().toBuffer();
+    assert.equal(detectImageType(buffer), 'image/jpeg');
+    assert.equal((await prepareArtworkImage({ buffer, mimetype: 'image/png' })).file.mimetype, 'image/jpeg');
+
+    const fake = await prepareArtworkImage({ buffer: Buffer.from('<?php echo 1; ?>'), mimetype: 'image/jpeg' });
+    assert.deepEqual(fake.errors.map(error => error.rule), ['format']);
+  });
+
+  it('reports every broken rule at once', async () => {
+    const buffer = await artworkImage(300, 200).png().toBuffer();
+    const prepared = await prepareArtworkImage({ buffer, mimetype: 'image/png' }, { maxBytes: 10 });
+    assert.deepEqual(prepared.errors.map(error => error.rule), ['file_size', 'min_dimensions']);
+  });
+
+  it('rejects a truncated file', async () => {
+    const buffer = await artworkImage().jpeg().toBuffer();
+    const prepared = await prepareArtworkImage({ buffer: buffer.subarray(0, buffer.length / 2), mimetype: 'image/jpeg' });
+    assert.deepEqual(prepared.errors.map(error => error.rule), ['corrupt']);
+  });
+
+  it('strips EXIF metadata such as GPS position', async () => {
+    const buffer = await artworkImage().jpeg()
+      .withExif({ IFD0: { Artist: 'Someone' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 58/1 0/1' } })
+      .toBuffer();
+    assert.ok((await sharp(buffer).metadata()).exif);
+
+    const prepared = await prepareArtworkImage({ buffer, mimetype: 'image/jpeg' });
+    assert.equal((await sharp(prepared.file.buffer).metadata()).exif, undefined);
+    assert.equal(prepared.file.size, prepared.file.buffer.length);
+  });
+});
+
+describe('extractPalette', () => {
+  it('lists the most common colours first', async () => {
+    const palette = await extractPalette(await artworkImage().png().toBuffer(), 3);
+    assert.deepEqual(palette, ['#f4e9d8', '#e63946', '#1d3557']);
+  });
+});
+
+describe('perceptual hashes', () => {
+  it('match the same picture at another size and quality', async () => {
+    const original = await perceptualHash(await artworkImage(1600, 1600).png().toBuffer());
+    const copy = await perceptualHash(await artworkImage(700, 700).jpeg({ quality: 40 }).toBuffer());
+    assert.ok(hammingDistance(original, copy) <= 10);
+  });
+
+  it('count the bits that differ', () => {
+    assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.equal(hammingDistance('0000000000000000', '000000000000000f'), 4);
+    assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  });
+
+  it('are not taken from flat images or used when nearly uniform', async () => {
+    const flat = await sharp({ create: { width: 800, height: 800, channels: 3, background: '#f4e9d8' } }).png().toBuffer();
+    assert.equal(await perceptualHash(flat), null);
+
+    assert.equal(isDistinctiveHash(null), false);
+    assert.equal(isDistinctiveHash('000000000000007f'), false);
+    assert.equal(isDistinctiveHash('00000000000000ff'), true);
+    assert.equal(isDistinctiveHash('ffffffffffffff80'), false);
+  });
+});
@@ -0,0 +1,50 @@
+// Editions and availability
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RESERVATION_MINUTES,
+  editionCapacity,
+  isSoldOut,
+  editionAvailability,
+  normalizeEdition,
+  reservationMinutesFromEnv
+} = require('../inventory-server');
+
+describe('editions', () => {
+  it('sells an original once, a limited edition N times and an open edition forever', () => {
+    assert.equal(editionCapacity({}), 1);
+    assert.equal(editionCapacity({ edition_type: 'limited', edition_size: 5 }), 5);
+    assert.equal(editionCapacity({ edition_type: 'open' }), null);
+  });
+
+  it('is sold out once every copy is sold', () => {
+    assert.equal(isSoldOut({ sold_count: 1 }), true);
+    assert.equal(isSoldOut({ sold_count: 0, reserved_count: 1 }), false);
+    assert.equal(isSoldOut({ edition_type: 'open', sold_count: 1000 }), false);
+  });
+
+  it('counts held copies as taken when labelling cards', () => {
+    assert.deepEqual(editionAvailability({ edition_type: 'limited', edition_size: 5, sold_count: 2, reserved_count: 1 }), {
+      remaining: 2,
+      sold_out: false,
+      availability_label: '2 of 5 left'
+    });
+    assert.equal(editionAvailability({ reserved_count: 1 }).availability_label, 'Sold out');
+    assert.equal(editionAvailability({}).availability_label, 'Original');
+    assert.equal(editionAvailability({ edition_type: 'open' }).availability_label, 'Open edition');
+  });
+
+  it('validates the edition an artist picks', () => {
+    assert.deepEqual(normalizeEdition({}), { edition_type: 'original', edition_size: null });
+    assert.deepEqual(normalizeEdition({ edition_type: 'limited', edition_size: '10' }), { edition_type: 'limited', edition_size: 10 });
+    assert.match(normalizeEdition({ edition_type: 'limited', edition_size: 0 }).error, /at least 1/);
+    assert.match(normalizeEdition({ edition_type: 'print' }).error, /must be one of/);
+  });
+
+  it('reads the reservation lifetime', () => {
+    assert.equal(reservationMinutesFromEnv({}), DEFAULT_RESERVATION_MINUTES);
+    assert.equal(reservationMinutesFromEnv({ ORDER_RESERVATION_MINUTES: '30' }), 30);
+    assert.equal(reservationMinutesFromEnv({ ORDER_RESERVATION_MINUTES: '-1' }), DEFAULT_RESERVATION_MINUTES);
+  });
+});
@@ -0,0 +1,108 @@
+// GST invoices and credit notes
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeOrderTotals, computeLineTotals } = require('../pricing-server');
+const {
+  normalizeStateCode,
+  invoiceSellerFromEnv,
+  buildInvoice,
+  buildCreditNote,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../invoice-server');
+
+const prices = [1000, 499];
+const discounts = [100, 0];
+const totals = computeOrderTotals(1499, 100);
+const order = {
+  id: 'order-1',
+  razorpay_payment_id: 'pay_1',
+  currency: 'INR',
+  ...totals,
+  items: computeLineTotals(prices, discounts, totals).map((line, i) => ({ title: `Artwork ${i + 1}`, ...line }))
+};
+const invoiceRow = {
+  invoice_number: 'INV-000042',
+  issued_at: '2026-01-15T10:00:00Z',
+  seller_name: 'Artify',
+  seller_gstin: '29ABCDE1234F1Z5',
+  seller_address: 'Bengaluru',
+  seller_state: '29',
+  buyer_name: 'Asha <script>',
+  buyer_email: 'asha@example.com',
+  buyer_state: '29'
+};
+
+describe('normalizeStateCode', () => {
+  it('pads codes and rejects unknown states', () => {
+    assert.equal(normalizeStateCode(7), '07');
+    assert.equal(normalizeStateCode(' 29 '), '29');
+    assert.equal(normalizeStateCode('25'), null);
+    assert.equal(normalizeStateCode(''), null);
+  });
+
+  it('only configures invoicing with a GSTIN and state', () => {
+    assert.equal(invoiceSellerFromEnv({ INVOICE_SELLER_GSTIN: 'x' }), null);
+    assert.deepEqual(invoiceSellerFromEnv({ INVOICE_SELLER_GSTIN: '29abc', INVOICE_SELLER_STATE: '29' }), {
+      name: 'Artify',
+      gstin: '29ABC',
+      address: '',
+      state: '29'
+    });
+  });
+});
+
+describe('buildInvoice', () => {
+  it('adds up to the amount charged', () => {
+    const invoice = buildInvoice(order, invoiceRow);
+    assert.equal(invoice.lines.length, 3);
+    assert.equal(invoice.totals.total, order.total);
+    assert.equal(invoice.totals.cgst + invoice.totals.sgst, order.gst);
+    assert.equal(invoice.totals.taxable, order.subtotal - order.discount + order.platform_fee);
+  });
+
+  it('charges CGST and SGST within the seller\'s state and IGST outside it', () => {
+    const local = buildInvoice(order, invoiceRow);
+    assert.equal(local.interstate, false);
+    assert.equal(local.totals.igst, 0);
+
+    const interstate = buildInvoice(order, { ...invoiceRow, buyer_state: '27' });
+    assert.equal(interstate.interstate, true);
+    assert.equal(interstate.totals.igst, order.gst);
+    assert.equal(interstate.place_of_supply, 'Maharashtra (27)');
+  });
+});
+
+describe('buildCreditNote', () => {
+  const invoice = buildInvoice(order, invoiceRow);
+
+  it('reverses the whole invoice line for line on a full refund', () => {
+    const creditNote = buildCreditNote(order, invoiceRow, { credit_note_number: 'CN-000001', amount: order.total });
+    assert.equal(creditNote.title, 'Credit Note');
+    assert.equal(creditNote.reference, 'Against invoice INV-000042');
+    assert.deepEqual(creditNote.lines, invoice.lines);
+    assert.deepEqual(creditNote.totals, invoice.totals);
+  });
+
+  it('spreads a partial refund over the lines', () => {
+    const creditNote = buildCreditNote(order, invoiceRow, { credit_note_number: 'CN-000002', amount: 500 });
+    assert.equal(creditNote.totals.total, 500);
+    creditNote.lines.forEach(line => {
+      assert.equal(Math.round((line.taxable + line.cgst + line.sgst) * 100) / 100, line.total);
+    });
+  });
+});
+
+describe('rendering', () => {
+  it('escapes buyer details in the HTML', () => {
+    const html = renderInvoiceHtml(buildInvoice(order, invoiceRow));
+    assert.match(html, /INV-000042/);
+    assert.doesNotMatch(html, /<script>/);
+  });
+
+  it('writes a PDF', () => {
+    const pdf = renderInvoicePdf(buildInvoice(order, invoiceRow));
+    assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+  });
+});
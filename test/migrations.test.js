@@ -0,0 +1,18 @@
+// Every migration applies, in order, to an empty database
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ROOT, MIGRATIONS, createTestDatabase } = require('./helpers/database');
+
+describe('migrations', () => {
+  it('lists every migration file', () => {
+    const files = fs.readdirSync(ROOT).filter(file => file.endsWith('_migration.sql'));
+    assert.deepEqual(files.filter(file => !MIGRATIONS.includes(file)), []);
+  });
+
+  it('apply to an empty database', async () => {
+    const db = await createTestDatabase();
+    await db.close();
+  });
+});
@@ -0,0 +1,52 @@
+// Artwork moderation
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DUPLICATE_DISTANCE,
+  duplicateDistanceFromEnv,
+  planModeration,
+  canResubmit
+} = require('../moderation-server');
+
+describe('planModeration', () => {
+  it('publishes an approved submission', () => {
+    assert.deepEqual(planModeration({ status: 'pending' }, 'approve'), {
+      to: 'active',
+      logAction: 'approved',
+      reason: null
+    });
+  });
+
+  it('needs a reason to reject or ask for changes', () => {
+    assert.equal(planModeration({ status: 'pending' }, 'reject', '  ').status, 400);
+    assert.deepEqual(planModeration({ status: 'active' }, 'reject', ' Copyrighted '), {
+      to: 'rejected',
+      logAction: 'rejected',
+      reason: 'Copyrighted'
+    });
+    assert.equal(planModeration({ status: 'pending' }, 'request_changes', 'Crop it').to, 'changes_requested');
+  });
+
+  it('refuses unknown actions and actions from the wrong state', () => {
+    assert.equal(planModeration({ status: 'pending' }, 'delete').status, 400);
+    assert.deepEqual(planModeration({ status: 'active' }, 'approve'), {
+      status: 409,
+      error: 'Cannot approve an artwork that is active'
+    });
+    assert.equal(planModeration({ status: 'rejected' }, 'request_changes', 'Crop it').status, 409);
+  });
+
+  it('lets artists resubmit only after changes were requested', () => {
+    assert.equal(canResubmit({ status: 'changes_requested' }), true);
+    assert.equal(canResubmit({ status: 'rejected' }), false);
+  });
+});
+
+describe('duplicateDistanceFromEnv', () => {
+  it('accepts a whole number of bits up to 64', () => {
+    assert.equal(duplicateDistanceFromEnv({}), DEFAULT_DUPLICATE_DISTANCE);
+    assert.equal(duplicateDistanceFromEnv({ DUPLICATE_HASH_DISTANCE: '0' }), 0);
+    assert.equal(duplicateDistanceFromEnv({ DUPLICATE_HASH_DISTANCE: '65' }), DEFAULT_DUPLICATE_DISTANCE);
+  });
+});
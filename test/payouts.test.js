@@ -0,0 +1,92 @@
+// Artist earnings and payout exports
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_COMMISSION_RATE,
+  commissionRateFromEnv,
+  computeArtistCredit,
+  buildSaleEntries,
+  summarizeEarnings,
+  summarizePayout,
+  toCsv
+} = require('../payouts-server');
+
+describe('commissionRateFromEnv', () => {
+  it('falls back to the default for a missing or invalid rate', () => {
+    assert.equal(commissionRateFromEnv({}), DEFAULT_COMMISSION_RATE);
+    assert.equal(commissionRateFromEnv({ PLATFORM_COMMISSION_RATE: '0.15' }), 0.15);
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(commissionRateFromEnv({ PLATFORM_COMMISSION_RATE: '20' }), DEFAULT_COMMISSION_RATE);
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('artist credits', () => {
+  it('credits the artist what the buyer paid, less commission', () => {
+    assert.deepEqual(computeArtistCredit({ price: 1000, discount: 100 }, 0.2), {
+      gross: 900,
+      commission: 180,
+      amount: 720
+    });
+  });
+
+  it('builds one pending entry per line with an artist', () => {
+    const items = [
+      { id: 'item-1', artist_id: 'artist-a', artwork_id: 'art-1', title: 'One', price: 500 },
+      { id: 'item-2', artist_id: null, artwork_id: 'art-2', title: 'Two', price: 800 }
+    ];
+    const entries = buildSaleEntries({ id: 'order-1' }, items, 0.2);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].order_item_id, 'item-1');
+    assert.equal(entries[0].amount, 400);
+    assert.equal(entries[0].status, 'pending');
+  });
+});
+
+describe('earnings summaries', () => {
+  const entries = [
+    { artist_id: 'a', artwork_id: 'art-1', title: 'One', gross: 1000, commission: 200, amount: 800, status: 'pending' },
+    { artist_id: 'a', artwork_id: 'art-1', title: 'One', gross: 1000, commission: 200, amount: 800, status: 'settled' },
+    { artist_id: 'b', artwork_id: 'art-2', title: 'Two', gross: 500, commission: 100, amount: 400, status: 'pending' },
+    { artist_id: 'b', artwork_id: 'art-2', title: 'Two', gross: 500, commission: 100, amount: 400, status: 'reversed' }
+  ];
+
+  it('splits pending and settled earnings and skips reversed entries', () => {
+    const { totals, artworks } = summarizeEarnings(entries);
+    assert.deepEqual(totals, { sales: 3, gross: 2500, commission: 500, pending: 1200, settled: 800 });
+    assert.equal(artworks[0].artwork_id, 'art-1');
+  });
+
+  it('totals a payout per artist', () => {
+    assert.deepEqual(summarizePayout(entries.slice(0, 3)), [
+      { artist_id: 'a', entries: 2, gross: 2000, commission: 400, amount: 1600 },
+      { artist_id: 'b', entries: 1, gross: 500, commission: 100, amount: 400 }
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const csv = toCsv([{ title: 'Dawn, "Blue"', amount: 800 }, { title: null, amount: 0 }], ['title', 'amount']);
+    assert.equal(csv, 'title,amount\n"Dawn, ""Blue""",800\n,0\n');
+  });
+
+  it('defuses cells a spreadsheet would run as a formula', () => {
+    const rows = ['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)'].map(title => ({ title, amount: -400 }));
+    assert.equal(toCsv(rows, ['title', 'amount']), [
+      'title,amount',
+      '"\'=HYPERLINK(""http://x"")",-400',
+      '"\'+1+1",-400',
+      '"\'-2+3",-400',
+      '"\'@SUM(A1)",-400',
+      ''
+    ].join('\n'));
+  });
+});
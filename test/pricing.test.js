@@ -0,0 +1,76 @@
+// Order totals, discounts and per-line breakdowns
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PLATFORM_FEE,
+  computeOrderTotals,
+  splitProportionally,
+  computeLineTotals,
+  toPaise,
+  fromPaise
+} = require('../pricing-server');
+
+const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+
+describe('computeOrderTotals', () => {
+  it('adds the platform fee and GST on both', () => {
+    assert.deepEqual(computeOrderTotals(1000), {
+      subtotal: 1000,
+      discount: 0,
+      platform_fee: PLATFORM_FEE,
+      gst: 189,
+      total: 1239
+    });
+  });
+
+  it('treats a missing price as zero', () => {
+    assert.equal(computeOrderTotals(undefined).subtotal, 0);
+  });
+
+  it('takes the discount off before GST', () => {
+    const totals = computeOrderTotals(1000, 100);
+    assert.equal(totals.gst, Math.round((900 + PLATFORM_FEE) * 0.18));
+    assert.equal(totals.total, 900 + PLATFORM_FEE + totals.gst);
+  });
+
+  it('never discounts below zero', () => {
+    const totals = computeOrderTotals(500, 800);
+    assert.equal(totals.discount, 500);
+    assert.equal(totals.total, PLATFORM_FEE + totals.gst);
+  });
+});
+
+describe('splitProportionally', () => {
+  it('adds up to the amount exactly', () => {
+    const shares = splitProportionally(100, [1, 1, 1]);
+    assert.deepEqual(shares, [33.33, 33.33, 33.34]);
+    assert.equal(sum(shares), 100);
+  });
+
+  it('splits evenly when every weight is zero', () => {
+    assert.deepEqual(splitProportionally(10, [0, 0]), [5, 5]);
+    assert.deepEqual(splitProportionally(10, []), []);
+  });
+});
+
+describe('computeLineTotals', () => {
+  it('shares the fee and GST so the lines add up to the order', () => {
+    const prices = [999, 1499.5, 250];
+    const discounts = [100, 0, 25];
+    const totals = computeOrderTotals(sum(prices), sum(discounts));
+    const lines = computeLineTotals(prices, discounts, totals);
+
+    assert.equal(sum(lines.map(line => line.platform_fee)), totals.platform_fee);
+    assert.equal(sum(lines.map(line => line.gst)), totals.gst);
+    assert.equal(sum(lines.map(line => line.total)), totals.total);
+  });
+});
+
+describe('paise conversion', () => {
+  it('rounds rupee amounts to whole paise', () => {
+    assert.equal(toPaise(1239.99), 123999);
+    assert.equal(toPaise(0.1 + 0.2), 30);
+    assert.equal(fromPaise(123999), 1239.99);
+  });
+});
@@ -0,0 +1,159 @@
+// Razorpay adapter, payment and webhook signatures, and webhook parsing
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createRazorpayClient,
+  createFakeRazorpayClient,
+  createRazorpayClientFromEnv,
+  signPayload,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  orderStatusForEvent,
+  parseWebhookEvent
+} = require('../razorpay-server');
+
+describe('verifyPaymentSignature', () => {
+  const razorpay = createFakeRazorpayClient({ keySecret: 'checkout_secret' });
+  const payment = { orderId: 'order_1', paymentId: 'pay_1' };
+
+  it('accepts the signature Checkout returns', () => {
+    const signature = razorpay.signPayment('order_1', 'pay_1');
+    assert.equal(verifyPaymentSignature({ ...payment, signature }, 'checkout_secret'), true);
+  });
+
+  it('rejects a signature for another payment or key', () => {
+    assert.equal(verifyPaymentSignature({ ...payment, signature: razorpay.signPayment('order_1', 'pay_2') }, 'checkout_secret'), false);
+    assert.equal(verifyPaymentSignature({ ...payment, signature: razorpay.signPayment('order_1', 'pay_1') }, 'other_secret'), false);
+  });
+
+  it('rejects missing or malformed signatures', () => {
+    assert.equal(verifyPaymentSignature({ ...payment, signature: undefined }, 'checkout_secret'), false);
+    assert.equal(verifyPaymentSignature({ ...payment, signature: 'abc' }, 'checkout_secret'), false);
+    assert.equal(verifyPaymentSignature({ ...payment, signature: ['x'] }, 'checkout_secret'), false);
+    assert.equal(verifyPaymentSignature({ orderId: 'order_1', signature: 'abc' }, 'checkout_secret'), false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const body = JSON.stringify({ event: 'payment.captured' });
+
+  it('accepts a body signed with the webhook secret', () => {
+    assert.equal(verifyWebhookSignature(Buffer.from(body), signPayload(body, 'hook_secret'), 'hook_secret'), true);
+  });
+
+  it('rejects a changed body, another secret or no secret', () => {
+    const signature = signPayload(body, 'hook_secret');
+    assert.equal(verifyWebhookSignature(body.replace('captured', 'failed'), signature, 'hook_secret'), false);
+    assert.equal(verifyWebhookSignature(body, signature, 'other_secret'), false);
+    assert.equal(verifyWebhookSignature(body, signature, ''), false);
+    assert.equal(verifyWebhookSignature(undefined, signature, 'hook_secret'), false);
+  });
+});
+
+describe('orderStatusForEvent', () => {
+  it('maps payment events to order states', () => {
+    assert.equal(orderStatusForEvent('payment.captured'), 'paid');
+    assert.equal(orderStatusForEvent('order.paid'), 'paid');
+    assert.equal(orderStatusForEvent('payment.failed'), 'failed');
+    assert.equal(orderStatusForEvent('refund.processed'), 'refunded');
+    assert.equal(orderStatusForEvent('payment.authorized'), null);
+  });
+});
+
+describe('parseWebhookEvent', () => {
+  const event = {
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1' } } }
+  };
+  const rawBody = Buffer.from(JSON.stringify(event));
+
+  it('keys the event by its Razorpay id', () => {
+    const parsed = parseWebhookEvent(event, rawBody, 'evt_1');
+    assert.equal(parsed.id, 'evt_1');
+    assert.equal(parsed.razorpayOrderId, 'order_1');
+    assert.equal(parsed.razorpayPaymentId, 'pay_1');
+  });
+
+  it('gives a redelivery without an id the same key', () => {
+    const first = parseWebhookEvent(event, rawBody);
+    assert.equal(parseWebhookEvent(event, Buffer.from(rawBody)).id, first.id);
+    assert.notEqual(parseWebhookEvent(event, Buffer.from(JSON.stringify({ ...event, created_at: 1 }))).id, first.id);
+  });
+
+  it('finds the payment of a refund event', () => {
+    const refundEvent = {
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 5000 } } }
+    };
+    const parsed = parseWebhookEvent(refundEvent, JSON.stringify(refundEvent), 'evt_2');
+    assert.equal(parsed.refund.id, 'rfnd_1');
+    assert.equal(parsed.razorpayOrderId, null);
+    assert.equal(parsed.razorpayPaymentId, 'pay_1');
+  });
+});
+
+describe('createRazorpayClient', () => {
+  function stubFetch(status, body) {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+      calls.push({ url, ...options, body: options.body ? JSON.parse(options.body) : undefined });
+      return { ok: status < 400, status, json: async () => body };
+    };
+    return { calls, fetchImpl };
+  }
+
+  it('creates orders with basic auth', async () => {
+    const { calls, fetchImpl } = stubFetch(200, { id: 'order_1' });
+    const razorpay = createRazorpayClient({ keyId: 'key', keySecret: 'secret', fetchImpl });
+
+    assert.deepEqual(await razorpay.createOrder({ amount: 123900, receipt: 'r1' }), { id: 'order_1' });
+    assert.equal(calls[0].url, 'https://api.razorpay.com/v1/orders');
+    assert.equal(calls[0].headers.Authorization, 'Basic ' + Buffer.from('key:secret').toString('base64'));
+    assert.deepEqual(calls[0].body, { amount: 123900, currency: 'INR', receipt: 'r1', notes: {} });
+  });
+
+  it('refunds a payment', async () => {
+    const { calls, fetchImpl } = stubFetch(200, { id: 'rfnd_1' });
+    const razorpay = createRazorpayClient({ keyId: 'key', keySecret: 'secret', fetchImpl });
+
+    await razorpay.refundPayment('pay_1', { amount: 5000 });
+    assert.equal(calls[0].url, 'https://api.razorpay.com/v1/payments/pay_1/refund');
+    assert.deepEqual(calls[0].body, { amount: 5000, notes: {} });
+  });
+
+  it('fetches an order to see whether payment was attempted', async () => {
+    const { calls, fetchImpl } = stubFetch(200, { id: 'order_1', status: 'attempted', attempts: 1 });
+    const razorpay = createRazorpayClient({ keyId: 'key', keySecret: 'secret', fetchImpl });
+
+    assert.equal((await razorpay.fetchOrder('order_1')).status, 'attempted');
+    assert.equal(calls[0].url, 'https://api.razorpay.com/v1/orders/order_1');
+    assert.equal(calls[0].method, 'GET');
+    assert.equal(calls[0].body, undefined);
+  });
+
+  it('throws Razorpay\'s error description', async () => {
+    const { fetchImpl } = stubFetch(400, { error: { description: 'The amount must be at least INR 1.00' } });
+    const razorpay = createRazorpayClient({ keyId: 'key', keySecret: 'secret', fetchImpl });
+
+    await assert.rejects(razorpay.createOrder({ amount: 10 }), /at least INR 1.00/);
+  });
+});
+
+describe('createRazorpayClientFromEnv', () => {
+  it('uses the fake in fake mode and nothing without keys', () => {
+    assert.ok(createRazorpayClientFromEnv({ RAZORPAY_MODE: 'fake' }).orders instanceof Map);
+    assert.equal(createRazorpayClientFromEnv({}), null);
+    assert.equal(createRazorpayClientFromEnv({ RAZORPAY_KEY_ID: 'key', RAZORPAY_KEY_SECRET: 'secret' }).keyId, 'key');
+  });
+
+  it('records the fake\'s orders and refunds', async () => {
+    const razorpay = createFakeRazorpayClient();
+    const order = await razorpay.createOrder({ amount: 1000, receipt: 'r1' });
+    const refund = await razorpay.refundPayment('pay_1', { amount: 400 });
+
+    assert.equal(razorpay.orders.get(order.id).amount_due, 1000);
+    assert.equal((await razorpay.fetchOrder(order.id)).status, 'created');
+    assert.equal(razorpay.refunds.get(refund.id).payment_id, 'pay_1');
+  });
+});
@@ -0,0 +1,78 @@
+// Recommendation scores, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const { RECOMMENDATION_WEIGHTS } = require('../recommendations-server');
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+async function createUser() {
+  return (await one(
+    'INSERT INTO auth.users (email) VALUES ($1) RETURNING id',
+    [`user-${Date.now()}-${Math.random()}@example.com`]
+  )).id;
+}
+
+async function createArtwork(artistId, tags = []) {
+  return (await one(
+    `INSERT INTO public.artworks (title, price, artist_id, status, tag_slugs)
+     VALUES ('Artwork', 1000, $1, 'active', $2) RETURNING id`,
+    [artistId, tags]
+  )).id;
+}
+
+async function like(userId, artworkId) {
+  await db.query('INSERT INTO public.artwork_likes (artwork_id, user_id) VALUES ($1, $2)', [artworkId, userId]);
+}
+
+async function recommend(userId) {
+  const { rows } = await db.query(
+    'SELECT artwork_id, similar_score, tag_score, artist_score FROM public.recommend_artworks($1, 10, $2)',
+    [userId, JSON.stringify(RECOMMENDATION_WEIGHTS)]
+  );
+  return rows;
+}
+
+describe('recommend_artworks', () => {
+  it('suggests what similar collectors liked, more by the same artist and shared tags', async () => {
+    const [collector, other, artist, otherArtist] = [await createUser(), await createUser(), await createUser(), await createUser()];
+    const liked = await createArtwork(artist, ['harbour']);
+    const sameArtist = await createArtwork(artist);
+    const coLiked = await createArtwork(otherArtist);
+    const sameTag = await createArtwork(otherArtist, ['harbour']);
+    await createArtwork(otherArtist);
+
+    await like(collector, liked);
+    await like(other, liked);
+    await like(other, coLiked);
+
+    const rows = await recommend(collector);
+    assert.deepEqual(rows.map(row => row.artwork_id).sort(), [coLiked, sameArtist, sameTag].sort());
+    assert.ok(rows.find(row => row.artwork_id === coLiked).similar_score > 0);
+    assert.ok(rows.find(row => row.artwork_id === sameArtist).artist_score > 0);
+    assert.ok(rows.find(row => row.artwork_id === sameTag).tag_score > 0);
+  });
+
+  it('leaves out what the collector already has and returns nothing without history', async () => {
+    const collector = await createUser();
+    const artwork = await createArtwork(await createUser());
+    assert.deepEqual(await recommend(collector), []);
+
+    await like(collector, artwork);
+    assert.ok(!(await recommend(collector)).some(row => row.artwork_id === artwork));
+  });
+});
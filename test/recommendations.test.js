@@ -0,0 +1,28 @@
+// Recommendation limits and explanations
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecommendationQuery, recommendationReason } = require('../recommendations-server');
+
+describe('parseRecommendationQuery', () => {
+  it('defaults to eight and caps the limit', () => {
+    assert.deepEqual(parseRecommendationQuery({}), { limit: 8 });
+    assert.deepEqual(parseRecommendationQuery({ limit: '24' }), { limit: 24 });
+    assert.equal(parseRecommendationQuery({ limit: '25' }).status, 400);
+  });
+});
+
+describe('recommendationReason', () => {
+  it('names the signal that added most to the score', () => {
+    assert.equal(recommendationReason({ similar_score: 0.2, artist_score: 1 }).reason, 'artist');
+    assert.equal(recommendationReason({ similar_score: 0.5, tag_score: 0.5 }).reason, 'similar');
+    assert.deepEqual(recommendationReason({ tag_score: 1 }), {
+      reason: 'tags',
+      label: 'Shares tags with artworks you like'
+    });
+  });
+
+  it('prefers collectors\' taste when nothing stands out', () => {
+    assert.equal(recommendationReason({}).reason, 'similar');
+  });
+});
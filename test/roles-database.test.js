@@ -0,0 +1,74 @@
+// Profile roles, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+async function createUser() {
+  return (await one(
+    'INSERT INTO auth.users (email) VALUES ($1) RETURNING id',
+    [`user-${Date.now()}-${Math.random()}@example.com`]
+  )).id;
+}
+
+async function role(userId) {
+  return (await one('SELECT role FROM public.profiles WHERE id = $1', [userId]))?.role;
+}
+
+// Run statements as a signed-in user, the way PostgREST does
+async function asUser(userId, statements) {
+  await db.transaction(async tx => {
+    await tx.query(`SELECT set_config('request.jwt.claim.sub', $1, true)`, [userId]);
+    await statements(tx);
+  });
+}
+
+describe('profile roles', () => {
+  it('makes a user an artist when they upload their first artwork', async () => {
+    const userId = await createUser();
+    await db.query(`INSERT INTO public.artworks (title, price, artist_id) VALUES ('First', 100, $1)`, [userId]);
+    assert.equal(await role(userId), 'artist');
+  });
+
+  it('does not demote a moderator who uploads', async () => {
+    const userId = await createUser();
+    await db.query(`INSERT INTO public.profiles (id, role) VALUES ($1, 'moderator')`, [userId]);
+    await db.query(`INSERT INTO public.artworks (title, price, artist_id) VALUES ('First', 100, $1)`, [userId]);
+    assert.equal(await role(userId), 'moderator');
+  });
+
+  it('stops signed-in users from changing their own role', async () => {
+    const userId = await createUser();
+    await db.query('INSERT INTO public.profiles (id) VALUES ($1)', [userId]);
+
+    await assert.rejects(
+      asUser(userId, tx => tx.query(`UPDATE public.profiles SET role = 'admin' WHERE id = $1`, [userId])),
+      /Only an admin can change roles/
+    );
+    await asUser(userId, tx => tx.query(`UPDATE public.profiles SET bio = 'Painter' WHERE id = $1`, [userId]));
+    assert.equal(await role(userId), 'user');
+  });
+
+  it('stops signed-in users from creating a profile with a role', async () => {
+    const userId = await createUser();
+    await assert.rejects(
+      asUser(userId, tx => tx.query(`INSERT INTO public.profiles (id, role) VALUES ($1, 'admin')`, [userId])),
+      /Only an admin can change roles/
+    );
+  });
+});
@@ -0,0 +1,77 @@
+// Gallery search parameters and pagination cursors
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PAGE_SIZE,
+  parseArtworkSearch,
+  encodeArtworkCursor,
+  artworkCursorFilter
+} = require('../search-server');
+
+const ARTWORK_ID = '6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+
+describe('parseArtworkSearch', () => {
+  it('defaults to the newest artworks in every category', () => {
+    assert.deepEqual(parseArtworkSearch({ category: 'all' }), {
+      q: null,
+      category: null,
+      medium: null,
+      style: null,
+      tags: null,
+      minPrice: null,
+      maxPrice: null,
+      artistId: null,
+      sort: 'newest',
+      limit: DEFAULT_PAGE_SIZE,
+      after: null,
+      facets: false
+    });
+  });
+
+  it('trims the query and lower-cases the category', () => {
+    const search = parseArtworkSearch({ q: '  blue dawn ', category: 'Painting', min_price: '100', max_price: '500' });
+    assert.equal(search.q, 'blue dawn');
+    assert.equal(search.category, 'painting');
+    assert.equal(search.minPrice, 100);
+    assert.equal(search.maxPrice, 500);
+  });
+
+  it('filters on tag slugs and only counts facets for the first page', () => {
+    assert.deepEqual(parseArtworkSearch({ tags: 'Night Sky,harbour' }).tags, ['night-sky', 'harbour']);
+    assert.equal(parseArtworkSearch({ tags: 'a,b,c,d,e,f' }).status, 400);
+    assert.equal(parseArtworkSearch({ facets: '1' }).facets, true);
+
+    const cursor = encodeArtworkCursor({ id: ARTWORK_ID, created_at: '2026-01-01T00:00:00+00:00' }, 'newest');
+    assert.equal(parseArtworkSearch({ facets: '1', cursor }).facets, false);
+  });
+
+  it('rejects bad prices, sorts, limits and artists', () => {
+    assert.equal(parseArtworkSearch({ min_price: '-1' }).status, 400);
+    assert.equal(parseArtworkSearch({ min_price: '500', max_price: '100' }).status, 400);
+    assert.equal(parseArtworkSearch({ sort: 'random' }).status, 400);
+    assert.equal(parseArtworkSearch({ limit: '61' }).status, 400);
+    assert.equal(parseArtworkSearch({ artist: 'me' }).status, 400);
+  });
+});
+
+describe('pagination cursors', () => {
+  it('round-trip through the query string for the same sort only', () => {
+    const cursor = encodeArtworkCursor({ id: ARTWORK_ID, price: 250 }, 'price_asc');
+
+    assert.deepEqual(parseArtworkSearch({ sort: 'price_asc', cursor }).after, { value: 250, id: ARTWORK_ID });
+    assert.equal(parseArtworkSearch({ sort: 'newest', cursor }).status, 400);
+    assert.equal(parseArtworkSearch({ sort: 'price_asc', cursor: 'not-a-cursor' }).status, 400);
+  });
+
+  it('continue after the last row, breaking ties on id', () => {
+    assert.equal(
+      artworkCursorFilter('price_asc', { value: 250, id: ARTWORK_ID }),
+      `price.gt."250",and(price.eq."250",id.gt.${ARTWORK_ID})`
+    );
+    assert.equal(
+      artworkCursorFilter('newest', { value: '2026-01-01T00:00:00+00:00', id: ARTWORK_ID }),
+      `created_at.lt."2026-01-01T00:00:00+00:00",and(created_at.eq."2026-01-01T00:00:00+00:00",id.lt.${ARTWORK_ID})`
+    );
+  });
+});
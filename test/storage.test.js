@@ -0,0 +1,174 @@
+// Image storage drivers, previews and links to originals
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createFakeCloudinaryClient } = require('../cloudinary-server');
+const { PREVIEW_WIDTHS, createWatermarkedPreview, createPreviewVariants, createPlaceholder } = require('../images-server');
+const {
+  buildStorageKey,
+  previewKeyFor,
+  variantKeyFor,
+  placeholderKeyFor,
+  createCloudinaryStorage,
+  createLocalStorage,
+  createStorageFromEnv,
+  normalizeImageStorage,
+  artworkStorageKey,
+  artworkPreviewImages,
+  artworkOriginalUrl
+} = require('../storage-server');
+
+function artworkImage(width = 800, height = 800) {
+  return sharp({ create: { width, height, channels: 3, background: '#1d3557' } }).png().toBuffer();
+}
+
+describe('watermarked previews', () => {
+  it('are downscaled JPEGs that differ from the original', async () => {
+    const original = await artworkImage(2000, 1000);
+    const preview = await createWatermarkedPreview(original);
+
+    assert.equal(preview.mimetype, 'image/jpeg');
+    assert.deepEqual([preview.width, preview.height], [1024, 512]);
+    assert.equal((await sharp(preview.buffer).metadata()).format, 'jpeg');
+  });
+
+  it('come in every srcset width without enlarging small originals', async () => {
+    const variants = await createPreviewVariants(await artworkImage(500, 500));
+
+    assert.deepEqual(variants.map(variant => variant.width), PREVIEW_WIDTHS);
+    const widths = await Promise.all(variants.map(async variant => (await sharp(variant.buffer).metadata()).width));
+    assert.deepEqual(widths, [320, 500, 500]);
+  });
+
+  it('have a tiny placeholder', async () => {
+    const placeholder = await createPlaceholder(await artworkImage());
+    assert.equal((await sharp(placeholder.buffer).metadata()).width, 24);
+  });
+});
+
+describe('Cloudinary storage', () => {
+  it('keeps the original private and publishes a signed preview', async () => {
+    const client = createFakeCloudinaryClient();
+    const storage = createCloudinaryStorage(client);
+
+    const image = await storage.upload({ buffer: await artworkImage(), mimetype: 'image/png' }, 'artist-1');
+    assert.equal(client.assets.get(image.key).type, 'authenticated');
+    assert.match(image.key, /^artify\/artworks\//);
+    assert.match(image.preview_url, /\/image\/authenticated\/s--[0-9a-f]{8}--\//);
+
+    await storage.remove(image.key);
+    assert.equal(client.assets.has(image.key), false);
+  });
+
+  it('gives out download links that expire', async () => {
+    const url = new URL(await createCloudinaryStorage(createFakeCloudinaryClient()).originalUrl('artify/artworks/a', 1700000000));
+    assert.equal(url.searchParams.get('expires_at'), '1700000000');
+    assert.equal(url.searchParams.get('type'), 'authenticated');
+    assert.ok(url.searchParams.get('signature'));
+  });
+});
+
+describe('local storage', () => {
+  let directory;
+  let storage;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'artify-uploads-'));
+    storage = createLocalStorage(directory, { signingSecret: 'local_secret' });
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores the original out of the public directory under the uploader\'s id', async () => {
+    const image = await storage.upload({ buffer: await artworkImage(), mimetype: 'image/png' }, 'artist-1');
+
+    assert.match(image.key, /^artist-1\/\d+-[0-9a-f]{12}\.png$/);
+    await fs.access(path.join(directory, 'originals', image.key));
+    await fs.access(path.join(directory, 'previews', previewKeyFor(image.key)));
+    await fs.access(path.join(directory, 'previews', variantKeyFor(image.key, 320)));
+    await fs.access(path.join(directory, 'previews', placeholderKeyFor(image.key)));
+    assert.equal(image.preview_url, `/uploads/${previewKeyFor(image.key)}`);
+
+    await storage.remove(image.key);
+    await assert.rejects(fs.access(path.join(directory, 'originals', image.key)));
+    assert.deepEqual(await fs.readdir(path.join(directory, 'previews', 'artist-1')), []);
+  });
+
+  it('serves originals only through a valid, unexpired link', async () => {
+    const expiresAt = Math.floor(Date.now() / 1000) + 60;
+    const query = Object.fromEntries(new URL(await storage.originalUrl('artist-1/a.png', expiresAt), 'http://x').searchParams);
+
+    assert.equal(storage.resolveDownload(query), path.join(directory, 'originals', 'artist-1/a.png'));
+    assert.equal(storage.resolveDownload({ ...query, key: 'artist-1/b.png' }), null);
+    assert.equal(storage.resolveDownload({ ...query, expires: String(expiresAt + 1) }), null);
+
+    const expired = Object.fromEntries(new URL(await storage.originalUrl('artist-1/a.png', 1), 'http://x').searchParams);
+    assert.equal(storage.resolveDownload(expired), null);
+  });
+
+  it('refuses keys that point outside its directory', async () => {
+    const expiresAt = Math.floor(Date.now() / 1000) + 60;
+    const query = Object.fromEntries(new URL(await storage.originalUrl('../../etc/passwd', expiresAt), 'http://x').searchParams);
+    assert.throws(() => storage.resolveDownload(query), /Invalid storage key/);
+    await assert.rejects(storage.remove('../../etc/passwd'), /Invalid storage key/);
+  });
+});
+
+describe('storage configuration', () => {
+  const env = { STORAGE_PROVIDER: 'server' };
+
+  it('names keys after the file type', () => {
+    assert.match(buildStorageKey('artist-1', 'image/webp'), /\.webp$/);
+    assert.match(buildStorageKey('artist-1', 'text/plain'), /\.bin$/);
+    assert.equal(previewKeyFor('artist-1/a.png'), 'artist-1/a.jpg');
+    assert.equal(variantKeyFor('artist-1/a.png', 640), 'artist-1/a-640w.webp');
+    assert.equal(placeholderKeyFor('artist-1/a.png'), 'artist-1/a-placeholder.webp');
+  });
+
+  it('keeps every configured driver and picks the one for new uploads', () => {
+    const storage = createStorageFromEnv(env, {
+      cloudinary: createFakeCloudinaryClient(),
+      supabase: null,
+      localDirectory: os.tmpdir(),
+      signingSecret: 'secret'
+    });
+    assert.equal(storage.active.provider, 'server');
+    assert.deepEqual(Object.keys(storage.drivers).sort(), ['cloudinary', 'server']);
+
+    const unconfigured = createStorageFromEnv({ ...env, STORAGE_PROVIDER: 'supabase' }, { localDirectory: os.tmpdir(), signingSecret: 'secret' });
+    assert.equal(unconfigured.active, null);
+  });
+
+  it('validates where an artwork says its image is stored', () => {
+    assert.deepEqual(normalizeImageStorage({ storage_key: ' a/b.png ' }, 'server'), { storage_provider: 'server', storage_key: 'a/b.png' });
+    assert.match(normalizeImageStorage({ storage_provider: 's3' }, 'server').error, /must be one of/);
+  });
+
+  it('finds an artwork\'s preview and original through its driver', async () => {
+    const storage = createStorageFromEnv(env, { cloudinary: createFakeCloudinaryClient(), localDirectory: os.tmpdir(), signingSecret: 'secret' });
+    const older = {
+      storage_provider: 'cloudinary',
+      public_id: 'artify/artworks/old',
+      image_url: 'https://res.cloudinary.com/fake-cloud/image/upload/v1/artify/artworks/old.jpg'
+    };
+
+    assert.equal(artworkStorageKey(older), 'artify/artworks/old');
+    const images = artworkPreviewImages(storage, older);
+    assert.match(images.preview_url, /\/image\/upload\/s--/);
+    assert.equal(images.preview_srcset.split(', ').length, PREVIEW_WIDTHS.length);
+    assert.match(images.preview_srcset, / 320w, /);
+    assert.ok(images.placeholder_url);
+    assert.match(await artworkOriginalUrl(storage, { storage_provider: 'server', storage_key: 'a/b.png' }, 1700000000), /^\/api\/downloads\/original\?/);
+    assert.deepEqual(artworkPreviewImages(storage, { storage_provider: 'supabase', storage_key: 'a/b.png' }), {
+      preview_url: null,
+      preview_srcset: null,
+      placeholder_url: null
+    });
+  });
+});
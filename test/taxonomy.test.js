@@ -0,0 +1,69 @@
+// Taxonomy terms and tags
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_TAGS_PER_ARTWORK,
+  slugify,
+  normalizeTags,
+  parseTagFilter,
+  groupTerms,
+  validateFacetValues,
+  normalizeTermInput
+} = require('../taxonomy-server');
+
+const TERMS = [
+  { facet: 'category', slug: 'abstract', name: 'Abstract', position: 2 },
+  { facet: 'category', slug: 'digital', name: 'Digital Art', position: 1 },
+  { facet: 'medium', slug: 'oil', name: 'Oil', position: 1 }
+];
+
+describe('tags', () => {
+  it('slugify names, dropping accents and punctuation', () => {
+    assert.equal(slugify('  Café au Lait! '), 'cafe-au-lait');
+    assert.equal(slugify('3D / Render'), '3d-render');
+    assert.equal(slugify('!!'), '');
+  });
+
+  it('are de-duplicated by slug and limited in number and length', () => {
+    assert.deepEqual(normalizeTags('Night sky, night-sky ,, Harbour'), {
+      tags: [{ slug: 'night-sky', name: 'Night sky' }, { slug: 'harbour', name: 'Harbour' }]
+    });
+    assert.ok(normalizeTags(['x']).error);
+    assert.ok(normalizeTags([42]).error);
+    assert.ok(normalizeTags(Array.from({ length: MAX_TAGS_PER_ARTWORK + 1 }, (_, i) => `tag ${i}`)).error);
+  });
+
+  it('filter the gallery on at most five slugs', () => {
+    assert.deepEqual(parseTagFilter(''), { tags: null });
+    assert.deepEqual(parseTagFilter('Night Sky,night-sky'), { tags: ['night-sky'] });
+    assert.ok(parseTagFilter('a,b,c,d,e,f').error);
+  });
+});
+
+describe('taxonomy terms', () => {
+  it('are grouped by facet in display order', () => {
+    const grouped = groupTerms(TERMS);
+    assert.deepEqual(grouped.category.map(term => term.slug), ['digital', 'abstract']);
+    assert.deepEqual(grouped.style, []);
+  });
+
+  it('must contain every facet value on an artwork', () => {
+    assert.deepEqual(validateFacetValues({ category: 'digital', medium: '' }, TERMS), {
+      facets: { category: 'digital', medium: null }
+    });
+    assert.equal(validateFacetValues({ category: '' }, TERMS).error, 'Category cannot be empty');
+    assert.equal(validateFacetValues({ medium: 'ink' }, TERMS).error, 'Unknown medium "ink"');
+  });
+
+  it('keep their facet and slug once created', () => {
+    assert.deepEqual(normalizeTermInput({ facet: 'style', name: ' Pop Art ' }), {
+      term: { facet: 'style', name: 'Pop Art', slug: 'pop-art' }
+    });
+    assert.deepEqual(normalizeTermInput({ facet: 'style', slug: 'x', name: 'Renamed', position: '3' }, false), {
+      term: { name: 'Renamed', position: 3 }
+    });
+    assert.equal(normalizeTermInput({ facet: 'colour', name: 'Red' }).status, 400);
+    assert.equal(normalizeTermInput({}, false).error, 'Nothing to update');
+  });
+});
@@ -0,0 +1,150 @@
+// Engagement events and trending scores, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const { TRENDING_EVENT_WEIGHTS } = require('../trending-server');
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+async function createUser() {
+  return (await one(
+    'INSERT INTO auth.users (email) VALUES ($1) RETURNING id',
+    [`user-${Date.now()}-${Math.random()}@example.com`]
+  )).id;
+}
+
+async function createArtwork(status = 'active') {
+  return one(
+    `INSERT INTO public.artworks (title, price, artist_id, status) VALUES ('Artwork', 1000, $1, $2) RETURNING *`,
+    [await createUser(), status]
+  );
+}
+
+async function events(artwork, type) {
+  return (await one(
+    'SELECT count(*)::int AS n FROM public.artwork_events WHERE artwork_id = $1 AND event_type = $2',
+    [artwork.id, type]
+  )).n;
+}
+
+async function createOrder(buyerId, artwork) {
+  const order = await one(
+    `INSERT INTO public.orders (buyer_id, subtotal, platform_fee, gst, total, status)
+     VALUES ($1, 1000, 50, 189, 1239, 'created') RETURNING id`,
+    [buyerId]
+  );
+  await db.query(
+    `INSERT INTO public.order_items (order_id, artwork_id, artist_id, title, price, total)
+     VALUES ($1, $2, $3, 'Artwork', 1000, 1000)`,
+    [order.id, artwork.id, artwork.artist_id]
+  );
+  return order;
+}
+
+function reserve(order, artwork) {
+  return db.query(
+    `SELECT public.reserve_artworks($1, $2::uuid[], now() + interval '15 minutes')`,
+    [order.id, [artwork.id]]
+  );
+}
+
+// What the server does when a payment is captured: mark the order paid, then convert its reservations
+async function pay(order) {
+  await db.query(`UPDATE public.orders SET status = 'paid', paid_at = now() WHERE id = $1`, [order.id]);
+  return one('SELECT public.convert_order_reservations($1) AS refused', [order.id]);
+}
+
+function recordViews(artworks, viewer) {
+  return one(
+    'SELECT public.record_artwork_views($1::uuid[], $2, NULL, 30) AS recorded',
+    [artworks.map(artwork => artwork.id), viewer]
+  ).then(row => row.recorded);
+}
+
+describe('artwork events', () => {
+  it('count a viewer once per artwork within the dedupe window, and only for active artworks', async () => {
+    const artwork = await createArtwork();
+    const hidden = await createArtwork('pending');
+
+    assert.equal(await recordViews([artwork, hidden], 'anon:a'), 1);
+    assert.equal(await recordViews([artwork], 'anon:a'), 0);
+    assert.equal(await recordViews([artwork], 'anon:b'), 1);
+    assert.equal(await events(artwork, 'view'), 2);
+    assert.equal(await events(hidden, 'view'), 0);
+  });
+
+  it('log likes, and purchases once the paid order\'s reservation converts', async () => {
+    const artwork = await createArtwork();
+    const buyerId = await createUser();
+
+    await db.query('INSERT INTO public.artwork_likes (artwork_id, user_id) VALUES ($1, $2)', [artwork.id, buyerId]);
+    const order = await createOrder(buyerId, artwork);
+    await reserve(order, artwork);
+    assert.equal(await events(artwork, 'purchase'), 0);
+
+    await pay(order);
+    assert.equal(await events(artwork, 'like'), 1);
+    assert.equal(await events(artwork, 'purchase'), 1);
+
+    // A replayed payment converts nothing new
+    await pay(order);
+    assert.equal(await events(artwork, 'purchase'), 1);
+  });
+
+  it('do not count a late payment refused because the artwork sold out meanwhile', async () => {
+    const artwork = await createArtwork();
+    const late = await createOrder(await createUser(), artwork);
+    const winner = await createOrder(await createUser(), artwork);
+    await reserve(winner, artwork);
+    await pay(winner);
+
+    const { refused } = await pay(late);
+    assert.deepEqual(refused, [artwork.id]);
+    assert.equal(await events(artwork, 'purchase'), 1);
+  });
+
+  it('take purchases back once the order is fully refunded', async () => {
+    const artwork = await createArtwork();
+    const order = await createOrder(await createUser(), artwork);
+    await reserve(order, artwork);
+    await pay(order);
+
+    await db.query(`UPDATE public.orders SET status = 'refunded', refunded_at = now() WHERE id = $1`, [order.id]);
+    assert.equal(await events(artwork, 'purchase'), 0);
+  });
+});
+
+describe('trending scores', () => {
+  it('weigh each event and halve it per half-life', async () => {
+    const artwork = await createArtwork();
+    await db.query(
+      `INSERT INTO public.artwork_events (artwork_id, event_type, created_at)
+       VALUES ($1, 'like', now()), ($1, 'view', now() - interval '6 hours'), ($1, 'view', now() - interval '2 days')`,
+      [artwork.id]
+    );
+
+    await db.query('SELECT public.refresh_trending_scores($1, 24, 6, $2)', ['24h', JSON.stringify(TRENDING_EVENT_WEIGHTS)]);
+    const score = await one(
+      `SELECT score, views, likes FROM public.artwork_trending_scores WHERE time_window = '24h' AND artwork_id = $1`,
+      [artwork.id]
+    );
+
+    assert.equal(score.views, 1);
+    assert.equal(score.likes, 1);
+    assert.ok(Math.abs(score.score - 4.5) < 0.01);
+  });
+});
@@ -0,0 +1,42 @@
+// Trending query parameters and viewer identities
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { trendingRefreshMinutesFromEnv, parseTrendingQuery, viewerKey } = require('../trending-server');
+
+describe('parseTrendingQuery', () => {
+  it('defaults to the week in every category', () => {
+    assert.deepEqual(parseTrendingQuery({ category: 'all' }), { window: '7d', category: null, limit: 12 });
+    assert.deepEqual(parseTrendingQuery({ window: '24h', category: ' Photography ', limit: '4' }), {
+      window: '24h',
+      category: 'photography',
+      limit: 4
+    });
+  });
+
+  it('rejects unknown windows and oversized pages', () => {
+    assert.equal(parseTrendingQuery({ window: '1y' }).status, 400);
+    assert.equal(parseTrendingQuery({ limit: '49' }).status, 400);
+    assert.equal(parseTrendingQuery({ limit: '2.5' }).status, 400);
+  });
+});
+
+describe('viewerKey', () => {
+  it('uses the account when signed in and a hash of the connection otherwise', () => {
+    assert.equal(viewerKey({ userId: 'u1', ip: '203.0.113.7' }), 'user:u1');
+
+    const anonymous = viewerKey({ ip: '203.0.113.7', userAgent: 'Firefox' });
+    assert.match(anonymous, /^anon:[0-9a-f]{32}$/);
+    assert.ok(!anonymous.includes('203.0.113.7'));
+    assert.equal(viewerKey({ ip: '203.0.113.7', userAgent: 'Firefox' }), anonymous);
+    assert.notEqual(viewerKey({ ip: '203.0.113.8', userAgent: 'Firefox' }), anonymous);
+  });
+});
+
+describe('trendingRefreshMinutesFromEnv', () => {
+  it('falls back to every 15 minutes', () => {
+    assert.equal(trendingRefreshMinutesFromEnv({}), 15);
+    assert.equal(trendingRefreshMinutesFromEnv({ TRENDING_REFRESH_MINUTES: '5' }), 5);
+    assert.equal(trendingRefreshMinutesFromEnv({ TRENDING_REFRESH_MINUTES: 'soon' }), 15);
+  });
+});
@@ -0,0 +1,28 @@
+// Wishlist alert messages and price drops
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { wishlistNotificationMessage, wishlistPriceDrop } = require('../wishlist-server');
+
+describe('wishlistNotificationMessage', () => {
+  it('words price drops and low stock', () => {
+    assert.equal(
+      wishlistNotificationMessage({ kind: 'price_drop', title: 'Dusk', old_price: 12500, new_price: 9999 }),
+      'Dusk dropped from ₹12,500 to ₹9,999'
+    );
+    assert.equal(wishlistNotificationMessage({ kind: 'low_stock', title: 'Dusk', remaining: 1 }), 'Only 1 copy of Dusk left');
+    assert.equal(wishlistNotificationMessage({ kind: 'low_stock', title: 'Dusk', remaining: 3 }), 'Only 3 copies of Dusk left');
+    assert.equal(
+      wishlistNotificationMessage({ kind: 'low_stock', remaining: 0 }),
+      'An artwork on your wishlist is in someone\'s checkout and may sell out soon'
+    );
+  });
+});
+
+describe('wishlistPriceDrop', () => {
+  it('is what the collector saves since adding the artwork, never negative', () => {
+    assert.equal(wishlistPriceDrop({ price: 800, price_at_add: 1000 }), 200);
+    assert.equal(wishlistPriceDrop({ price: 1200, price_at_add: 1000 }), 0);
+    assert.equal(wishlistPriceDrop({ price: 800, price_at_add: null }), 0);
+  });
+});
@@ -0,0 +1,92 @@
+// Wishlist alerts, run against the real migrations
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(async () => {
+  await db.close();
+});
+
+async function one(sql, params) {
+  const { rows } = await db.query(sql, params);
+  return rows[0];
+}
+
+async function createUser() {
+  return (await one(
+    'INSERT INTO auth.users (email) VALUES ($1) RETURNING id',
+    [`user-${Date.now()}-${Math.random()}@example.com`]
+  )).id;
+}
+
+async function createArtwork({ editionType = 'original', editionSize = null } = {}) {
+  return one(
+    `INSERT INTO public.artworks (title, price, artist_id, status, edition_type, edition_size)
+     VALUES ('Artwork', 1000, $1, 'active', $2, $3) RETURNING *`,
+    [await createUser(), editionType, editionSize]
+  );
+}
+
+async function wishlist(userId, artwork) {
+  await db.query(
+    'INSERT INTO public.wishlists (user_id, artwork_id, price_at_add) VALUES ($1, $2, $3)',
+    [userId, artwork.id, artwork.price]
+  );
+}
+
+async function notifications(userId) {
+  const { rows } = await db.query(
+    'SELECT kind, old_price::int, new_price::int, remaining FROM public.wishlist_notifications WHERE user_id = $1 ORDER BY created_at, kind',
+    [userId]
+  );
+  return rows;
+}
+
+describe('wishlist alerts', () => {
+  it('tell watchers about a price drop but not a rise, and never the artist', async () => {
+    const artwork = await createArtwork();
+    const collector = await createUser();
+    await wishlist(collector, artwork);
+    await wishlist(artwork.artist_id, artwork);
+
+    await db.query('UPDATE public.artworks SET price = 1200 WHERE id = $1', [artwork.id]);
+    await db.query('UPDATE public.artworks SET price = 900 WHERE id = $1', [artwork.id]);
+
+    assert.deepEqual(await notifications(collector), [{ kind: 'price_drop', old_price: 1200, new_price: 900, remaining: null }]);
+    assert.deepEqual(await notifications(artwork.artist_id), []);
+  });
+
+  it('warn once when a limited edition drops to three copies, until the alert is seen', async () => {
+    const artwork = await createArtwork({ editionType: 'limited', editionSize: 5 });
+    const collector = await createUser();
+    await wishlist(collector, artwork);
+
+    const setStock = (sold, reserved) => db.query(
+      'UPDATE public.artworks SET sold_count = $2, reserved_count = $3 WHERE id = $1',
+      [artwork.id, sold, reserved]
+    );
+    await setStock(1, 0);
+    assert.deepEqual(await notifications(collector), []);
+
+    await setStock(1, 1);
+    await setStock(1, 0);
+    await setStock(1, 1);
+    assert.deepEqual(await notifications(collector), [{ kind: 'low_stock', old_price: null, new_price: 1000, remaining: 3 }]);
+  });
+
+  it('count an original as going once someone starts paying for it', async () => {
+    const artwork = await createArtwork();
+    const collector = await createUser();
+    await wishlist(collector, artwork);
+
+    await db.query('UPDATE public.artworks SET reserved_count = 1 WHERE id = $1', [artwork.id]);
+    assert.deepEqual(await notifications(collector), [{ kind: 'low_stock', old_price: null, new_price: 1000, remaining: 0 }]);
+  });
+});
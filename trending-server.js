@@ -0,0 +1,80 @@
+// Trending artworks
+// Engagement events are weighted and decay with age, so a burst of recent interest outranks old popularity
+
+const crypto = require('crypto');
+
+// How far back each window looks, and how quickly an event's weight halves within it
+const TRENDING_WINDOWS = {
+  '24h': { hours: 24, halfLifeHours: 6 },
+  '7d': { hours: 24 * 7, halfLifeHours: 36 },
+  '30d': { hours: 24 * 30, halfLifeHours: 24 * 7 }
+};
+
+// A purchase says far more than a glance at a card
+const TRENDING_EVENT_WEIGHTS = {
+  view: 1,
+  like: 4,
+  add_to_cart: 6,
+  purchase: 12
+};
+
+const DEFAULT_TRENDING_WINDOW = '7d';
+const DEFAULT_TRENDING_REFRESH_MINUTES = 15;
+const DEFAULT_TRENDING_LIMIT = 12;
+const MAX_TRENDING_LIMIT = 48;
+
+// Views of the same artwork by the same viewer within this many minutes count once
+const VIEW_DEDUPE_MINUTES = 30;
+const MAX_VIEWS_PER_REQUEST = 50;
+
+/**
+ * Read how often trending scores are recomputed
+ * @param {Object} env - Environment variables
+ * @returns {number} - Minutes between refreshes
+ */
+function trendingRefreshMinutesFromEnv(env = process.env) {
+  const minutes = Number((env.TRENDING_REFRESH_MINUTES || '').trim());
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TRENDING_REFRESH_MINUTES;
+}
+
+/**
+ * Validate the query of GET /api/artworks/trending
+ * @param {Object} query - req.query: window, category, limit
+ * @returns {Object} - { window, category, limit } or { status, error }
+ */
+function parseTrendingQuery(query = {}) {
+  const window = typeof query.window === 'string' && query.window ? query.window : DEFAULT_TRENDING_WINDOW;
+  if (!TRENDING_WINDOWS[window]) {
+    return { status: 400, error: `window must be one of ${Object.keys(TRENDING_WINDOWS).join(', ')}` };
+  }
+
+  const category = typeof query.category === 'string' ? query.category.trim().toLowerCase() : '';
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_TRENDING_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRENDING_LIMIT) {
+    return { status: 400, error: `limit must be a whole number from 1 to ${MAX_TRENDING_LIMIT}` };
+  }
+
+  return { window, category: category && category !== 'all' ? category : null, limit };
+}
+
+/**
+ * Identify who viewed an artwork without storing their IP address
+ * @param {Object} viewer - { userId, ip, userAgent }
+ * @returns {string} - user:<id> when signed in, otherwise anon:<hash>
+ */
+function viewerKey({ userId, ip, userAgent }) {
+  if (userId) return `user:${userId}`;
+  const hash = crypto.createHash('sha256').update(`${ip || ''}|${userAgent || ''}`).digest('hex');
+  return `anon:${hash.slice(0, 32)}`;
+}
+
+module.exports = {
+  TRENDING_WINDOWS,
+  TRENDING_EVENT_WEIGHTS,
+  VIEW_DEDUPE_MINUTES,
+  MAX_VIEWS_PER_REQUEST,
+  trendingRefreshMinutesFromEnv,
+  parseTrendingQuery,
+  viewerKey
+};
@@ -0,0 +1,180 @@
+-- Trending Migration for Artify
+-- Records how collectors engage with artworks and keeps a time-decayed trending score per window
+
+-- One row per view, like, add-to-cart or purchase. Likes and purchases are logged by the triggers below,
+-- views and cart adds by the server
+CREATE TABLE IF NOT EXISTS public.artwork_events (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  event_type text NOT NULL CHECK (event_type IN ('view', 'like', 'add_to_cart', 'purchase')),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  viewer_key text,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- The order a purchase came from, so a refund can take it back
+ALTER TABLE public.artwork_events ADD COLUMN IF NOT EXISTS order_id uuid REFERENCES public.orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_artwork_events_created_at ON public.artwork_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_artwork_events_views ON public.artwork_events(artwork_id, viewer_key, created_at) WHERE event_type = 'view';
+
+-- Latest scores, rebuilt by refresh_trending_scores
+CREATE TABLE IF NOT EXISTS public.artwork_trending_scores (
+  time_window text NOT NULL CHECK (time_window IN ('24h', '7d', '30d')),
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  score double precision NOT NULL,
+  views integer DEFAULT 0 NOT NULL,
+  likes integer DEFAULT 0 NOT NULL,
+  carts integer DEFAULT 0 NOT NULL,
+  purchases integer DEFAULT 0 NOT NULL,
+  computed_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (time_window, artwork_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artwork_trending_scores_rank ON public.artwork_trending_scores(time_window, score DESC);
+
+-- Written and read by the server only
+ALTER TABLE public.artwork_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.artwork_trending_scores ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.log_artwork_like_event()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO public.artwork_events (artwork_id, event_type, user_id)
+  VALUES (NEW.artwork_id, 'like', NEW.user_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_artwork_like_event ON public.artwork_likes;
+CREATE TRIGGER log_artwork_like_event
+  AFTER INSERT ON public.artwork_likes
+  FOR EACH ROW EXECUTE FUNCTION public.log_artwork_like_event();
+
+-- An artwork counts as purchased once the paid order's reservation converts into a sale. A payment refused because
+-- the artwork sold out meanwhile never converts, so it is not counted
+CREATE OR REPLACE FUNCTION public.log_artwork_purchase_events()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.status = 'converted' THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.artwork_events (artwork_id, event_type, user_id, order_id)
+  SELECT NEW.artwork_id, 'purchase', o.buyer_id, o.id
+  FROM public.orders o
+  WHERE o.id = NEW.order_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_artwork_purchase_events ON public.orders;
+DROP TRIGGER IF EXISTS log_artwork_purchase_events ON public.artwork_reservations;
+CREATE TRIGGER log_artwork_purchase_events
+  AFTER INSERT OR UPDATE OF status ON public.artwork_reservations
+  FOR EACH ROW
+  WHEN (NEW.status = 'converted')
+  EXECUTE FUNCTION public.log_artwork_purchase_events();
+
+-- A fully refunded order's purchases no longer count
+CREATE OR REPLACE FUNCTION public.remove_refunded_purchase_events()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  DELETE FROM public.artwork_events WHERE event_type = 'purchase' AND order_id = NEW.id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS remove_refunded_purchase_events ON public.orders;
+CREATE TRIGGER remove_refunded_purchase_events
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  WHEN (NEW.status = 'refunded' AND OLD.status IS DISTINCT FROM 'refunded')
+  EXECUTE FUNCTION public.remove_refunded_purchase_events();
+
+-- Purchases from the last 30 days count straight away. Earlier likes have no timestamp, so they are not backfilled
+INSERT INTO public.artwork_events (artwork_id, event_type, user_id, order_id, created_at)
+SELECT i.artwork_id, 'purchase', o.buyer_id, o.id, coalesce(o.paid_at, o.created_at)
+FROM public.orders o
+JOIN public.order_items i ON i.order_id = o.id
+WHERE o.status = 'paid'
+  AND i.artwork_id IS NOT NULL
+  AND coalesce(o.paid_at, o.created_at) > now() - interval '30 days'
+  AND NOT EXISTS (SELECT 1 FROM public.artwork_events WHERE event_type = 'purchase');
+
+-- Log a view of each active artwork, skipping ones this viewer already viewed in the last p_dedupe_minutes.
+-- Returns how many views were recorded
+CREATE OR REPLACE FUNCTION public.record_artwork_views(p_artwork_ids uuid[], p_viewer_key text, p_user_id uuid, p_dedupe_minutes integer)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  INSERT INTO public.artwork_events (artwork_id, event_type, user_id, viewer_key)
+  SELECT a.id, 'view', p_user_id, p_viewer_key
+  FROM public.artworks a
+  WHERE a.id = ANY(p_artwork_ids)
+    AND a.status = 'active'
+    AND NOT EXISTS (
+      SELECT 1 FROM public.artwork_events e
+      WHERE e.event_type = 'view'
+        AND e.artwork_id = a.id
+        AND e.viewer_key = p_viewer_key
+        AND e.created_at > now() - make_interval(mins => p_dedupe_minutes)
+    );
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Rebuild one window's scores. Each event adds its weight from p_weights (keyed by event_type),
+-- halved for every p_half_life_hours since it happened; events older than p_hours are ignored.
+-- Returns how many artworks were scored
+CREATE OR REPLACE FUNCTION public.refresh_trending_scores(p_window text, p_hours integer, p_half_life_hours numeric, p_weights jsonb)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  DELETE FROM public.artwork_trending_scores WHERE time_window = p_window;
+
+  INSERT INTO public.artwork_trending_scores (time_window, artwork_id, score, views, likes, carts, purchases)
+  SELECT
+    p_window,
+    e.artwork_id,
+    sum(coalesce((p_weights ->> e.event_type)::numeric, 0) *
+        power(0.5, extract(epoch FROM now() - e.created_at) / 3600 / p_half_life_hours)),
+    count(*) FILTER (WHERE e.event_type = 'view'),
+    count(*) FILTER (WHERE e.event_type = 'like'),
+    count(*) FILTER (WHERE e.event_type = 'add_to_cart'),
+    count(*) FILTER (WHERE e.event_type = 'purchase')
+  FROM public.artwork_events e
+  JOIN public.artworks a ON a.id = e.artwork_id AND a.status = 'active'
+  WHERE e.created_at > now() - make_interval(hours => p_hours)
+  GROUP BY e.artwork_id;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Only the server records views and refreshes scores
+REVOKE EXECUTE ON FUNCTION public.record_artwork_views(uuid[], text, uuid, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_trending_scores(text, integer, numeric, jsonb) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON COLUMN public.artwork_events.viewer_key IS 'Signed-in user or hashed IP and user agent, used to count repeat views once';
+COMMENT ON COLUMN public.artwork_trending_scores.score IS 'Sum of event weights, each halved per half-life since the event';
@@ -1,154 +1,81 @@
 // uploadCloudinary.js - Cloudinary upload functionality
 
 /**
- * Upload a file to Cloudinary using unsigned preset
- * @param {File} file - The file to upload
- * @param {string} cloudName - Your Cloudinary cloud name
- * @param {string} uploadPreset - Your unsigned upload preset
- * @returns {Promise<string>} - The secure URL of the uploaded image
+ * Upload an artwork image to wherever the server stores images
+ * Everything goes through POST /api/uploads, which checks the real file type, size and dimensions and strips
+ * EXIF/GPS metadata before storing it. A rejected image throws an error whose `errors` lists each broken rule
+ * @param {File} file - The image file to upload
+ * @param {string} accessToken - Supabase access token of the signed-in user
+ * @returns {Promise<Object>} - { url, provider, key, metadata } to save with the artwork
  */
-async function uploadToCloudinary(file, cloudName = 'YOUR_CLOUD_NAME', uploadPreset = 'YOUR_UPLOAD_PRESET') {
+async function uploadArtworkImage(file, accessToken) {
+  const formData = new FormData();
+  formData.append('file', file);
+
   try {
-    console.log('Starting Cloudinary upload...');
-    console.log('File:', file.name, file.type, file.size);
-    console.log('Cloud name:', cloudName);
-    
-    const formData = new FormData();
-    formData.append("file", file);
-    formData.append("upload_preset", uploadPreset);
-    
-    // Optional: Add additional parameters
-    formData.append("resource_type", "auto"); // Auto-detect resource type
-    formData.append("tags", "artify,artwork"); // Add tags for organization
-    
-    const cloudinaryUrl = `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`;
-    console.log('Uploading to:', cloudinaryUrl);
-    
-    const response = await axios.post(cloudinaryUrl, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
+    const response = await axios.post('/api/uploads', formData, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
       onUploadProgress: (progressEvent) => {
         const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        console.log(`Upload progress: ${percentCompleted}%`);
-        
-        // Dispatch custom event for progress tracking
         window.dispatchEvent(new CustomEvent('uploadProgress', {
           detail: { progress: percentCompleted, file: file.name }
         }));
       }
     });
-    
-    console.log('Cloudinary upload successful:', response.data);
-    
-    // Return the secure URL
-    return response.data.secure_url;
-    
+    const data = response.data;
+    return { url: data.url, provider: data.provider, key: data.key, metadata: data.metadata };
   } catch (error) {
-    console.error('Cloudinary upload failed:', error);
-    
-    // Handle specific error cases
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      console.error('Server responded with error:', error.response.data);
-      throw new Error(`Cloudinary upload failed: ${error.response.data.error?.message || error.response.statusText}`);
-    } else if (error.request) {
-      // The request was made but no response was received
-      console.error('No response received:', error.request);
-      throw new Error('Cloudinary upload failed: No response from server');
-    } else {
-      // Something happened in setting up the request
-      console.error('Request setup error:', error.message);
-      throw new Error(`Cloudinary upload failed: ${error.message}`);
-    }
+    const data = error.response?.data || {};
+    const uploadError = new Error(data.error || `Image upload failed: ${error.message}`);
+    uploadError.errors = data.errors || [];
+    throw uploadError;
   }
 }
 
 /**
- * Upload base64 data to Cloudinary
- * @param {string} base64Data - Base64 encoded image data
- * @param {string} cloudName - Your Cloudinary cloud name
- * @param {string} uploadPreset - Your unsigned upload preset
- * @returns {Promise<string>} - The secure URL of the uploaded image
+ * Upload an image straight to Cloudinary with a short-lived signature from POST /api/uploads/signature
+ * The signature fixes the folder, tags, formats and private delivery type. Files sent this way skip the server's
+ * checks, so they cannot be saved as artworks; use uploadArtworkImage for that
+ * @param {File} file - The image file to upload
+ * @param {string} accessToken - Supabase access token of the signed-in user
+ * @returns {Promise<Object>} - Cloudinary's upload response
  */
-async function uploadBase64ToCloudinary(base64Data, cloudName = 'YOUR_CLOUD_NAME', uploadPreset = 'YOUR_UPLOAD_PRESET') {
+async function uploadSignedToCloudinary(file, accessToken) {
+  let signed;
   try {
-    console.log('Uploading base64 data to Cloudinary...');
-    console.log('Data length:', base64Data.length);
-    
-    const formData = new FormData();
-    formData.append("file", base64Data);
-    formData.append("upload_preset", uploadPreset);
-    formData.append("resource_type", "image");
-    formData.append("tags", "artify,artwork,base64");
-    
-    const cloudinaryUrl = `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`;
-    console.log('Uploading to:', cloudinaryUrl);
-    
-    const response = await axios.post(cloudinaryUrl, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      }
+    const response = await axios.post('/api/uploads/signature', null, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
     });
-    
-    console.log('Base64 upload successful:', response.data);
-    return response.data.secure_url;
-    
+    signed = response.data;
   } catch (error) {
-    console.error('Base64 Cloudinary upload failed:', error);
-    throw new Error(`Cloudinary base64 upload failed: ${error.message}`);
+    throw new Error(error.response?.data?.error || `Could not get an upload signature: ${error.message}`);
   }
-}
 
-/**
- * Validate Cloudinary configuration
- * @param {string} cloudName - Your Cloudinary cloud name
- * @param {string} uploadPreset - Your unsigned upload preset
- * @returns {boolean} - Whether the configuration is valid
- */
-function validateCloudinaryConfig(cloudName, uploadPreset) {
-  if (!cloudName || cloudName === 'YOUR_CLOUD_NAME') {
-    console.error('Cloudinary cloud name is not configured');
-    return false;
-  }
-  
-  if (!uploadPreset || uploadPreset === 'YOUR_UPLOAD_PRESET') {
-    console.error('Cloudinary upload preset is not configured');
-    return false;
+  if (file.size > signed.max_file_size) {
+    throw new Error(`Images must be ${signed.max_file_size / 1048576}MB or smaller`);
   }
-  
-  return true;
-}
-
-/**
- * Get Cloudinary configuration from environment or default values
- * @returns {Object} - Cloudinary configuration
- */
-function getCloudinaryConfig() {
-  // Your actual Cloudinary credentials
-  return {
-    cloudName: 'dd6ons4ie', // Your actual cloud name
-    uploadPreset: 'Artify' // Your actual upload preset
-  };
-}
-
-// Export functions for use in other files
-window.uploadBase64ToCloudinary = uploadBase64ToCloudinary;
-window.validateCloudinaryConfig = validateCloudinaryConfig;
-window.getCloudinaryConfig = getCloudinaryConfig;
 
-// Preserve a stable reference to the core function BEFORE any global overrides
-const UPLOAD_TO_CLOUDINARY_CORE = uploadToCloudinary;
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(signed.params).forEach(([name, value]) => formData.append(name, value));
+  formData.append('api_key', signed.api_key);
+  formData.append('signature', signed.signature);
 
-// Convenience wrapper that matches the user's simple signature
-async function uploadToCloudinarySimple(file) {
-  const cfg = (typeof window.getCloudinaryConfig === 'function')
-    ? window.getCloudinaryConfig()
-    : getCloudinaryConfig();
-  return await UPLOAD_TO_CLOUDINARY_CORE(file, cfg.cloudName, cfg.uploadPreset);
+  try {
+    const response = await axios.post(signed.upload_url, formData, {
+      onUploadProgress: (progressEvent) => {
+        const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+        window.dispatchEvent(new CustomEvent('uploadProgress', {
+          detail: { progress: percentCompleted, file: file.name }
+        }));
+      }
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(`Cloudinary upload failed: ${error.response?.data?.error?.message || error.message}`);
+  }
 }
 
-// Export both core and wrapper on window (avoid recursion by using stable core reference)
-window.uploadToCloudinaryCore = UPLOAD_TO_CLOUDINARY_CORE;
-window.uploadToCloudinary = uploadToCloudinarySimple;
-window.uploadToCloudinarySimple = uploadToCloudinarySimple;
+// Export functions for use in other files
+window.uploadArtworkImage = uploadArtworkImage;
+window.uploadSignedToCloudinary = uploadSignedToCloudinary;
@@ -0,0 +1,73 @@
+// Shared Artwork View Tracking
+// An artwork counts as viewed once its card has been at least half on screen for a second. Views are sent
+// to POST /api/artworks/views in batches and feed the trending scores. Requires auth.js.
+const VIEW_VISIBLE_MS = 1000;
+const VIEW_FLUSH_MS = 3000;
+const VIEW_BATCH_SIZE = 50;
+
+const viewedArtworks = new Set();
+const pendingViews = new Set();
+const viewTimers = new Map();
+let viewFlushTimer = null;
+
+const viewObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver(handleViewVisibility, { threshold: 0.5 })
+  : null;
+
+// Watch a card; call this for every artwork card a page renders
+function trackArtworkView(element, artworkId) {
+  if (!viewObserver || !artworkId || viewedArtworks.has(artworkId)) return;
+  element.dataset.viewArtworkId = artworkId;
+  viewObserver.observe(element);
+}
+
+function handleViewVisibility(entries) {
+  entries.forEach(entry => {
+    const element = entry.target;
+    const artworkId = element.dataset.viewArtworkId;
+
+    if (!entry.isIntersecting) {
+      clearTimeout(viewTimers.get(element));
+      viewTimers.delete(element);
+      return;
+    }
+
+    viewTimers.set(element, setTimeout(() => {
+      viewTimers.delete(element);
+      viewObserver.unobserve(element);
+      if (viewedArtworks.has(artworkId)) return;
+      viewedArtworks.add(artworkId);
+      pendingViews.add(artworkId);
+      if (!viewFlushTimer) viewFlushTimer = setTimeout(flushArtworkViews, VIEW_FLUSH_MS);
+    }, VIEW_VISIBLE_MS));
+  });
+}
+
+async function flushArtworkViews() {
+  clearTimeout(viewFlushTimer);
+  viewFlushTimer = null;
+  const ids = [...pendingViews];
+  pendingViews.clear();
+  if (ids.length === 0) return;
+
+  const headers = { 'Content-Type': 'application/json' };
+  try {
+    const supabase = await initSupabase();
+    const session = supabase ? (await supabase.auth.getSession()).data.session : null;
+    if (session) headers['Authorization'] = `Bearer ${session.access_token}`;
+
+    for (let i = 0; i < ids.length; i += VIEW_BATCH_SIZE) {
+      // keepalive lets the last batch finish while the page unloads
+      await fetch('/api/artworks/views', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ artwork_ids: ids.slice(i, i + VIEW_BATCH_SIZE) }),
+        keepalive: true
+      });
+    }
+  } catch (e) {
+    console.error('Error recording views:', e.message);
+  }
+}
+
+window.addEventListener('pagehide', flushArtworkViews);
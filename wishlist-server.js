@@ -0,0 +1,43 @@
+// Wishlists
+// Alerts are raised in the database when a wishlisted artwork's price or stock changes; this module words them
+
+/**
+ * Format a rupee amount the way the pages do
+ * @param {number|string} value - Amount in rupees
+ * @returns {string} - e.g. ₹1,250
+ */
+function formatRupees(value) {
+  return `₹${Number(value || 0).toLocaleString('en-IN')}`;
+}
+
+/**
+ * Describe a wishlist alert for the collector
+ * @param {Object} notification - wishlist_notifications row with the artwork's title
+ * @returns {string} - One-line message
+ */
+function wishlistNotificationMessage(notification) {
+  const title = notification.title || 'An artwork on your wishlist';
+  if (notification.kind === 'price_drop') {
+    return `${title} dropped from ${formatRupees(notification.old_price)} to ${formatRupees(notification.new_price)}`;
+  }
+  if (Number(notification.remaining) === 0) {
+    return `${title} is in someone's checkout and may sell out soon`;
+  }
+  const copies = Number(notification.remaining) === 1 ? 'copy' : 'copies';
+  return `Only ${notification.remaining} ${copies} of ${title} left`;
+}
+
+/**
+ * How much cheaper a wishlisted artwork is than when it was added
+ * @param {Object} entry - { price, price_at_add }
+ * @returns {number} - Rupees saved, 0 if the price has not gone down
+ */
+function wishlistPriceDrop({ price, price_at_add }) {
+  if (price == null || price_at_add == null) return 0;
+  return Math.max(Number(price_at_add) - Number(price), 0);
+}
+
+module.exports = {
+  wishlistNotificationMessage,
+  wishlistPriceDrop
+};
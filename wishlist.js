@@ -0,0 +1,142 @@
+// Shared Wishlist
+// Guests keep their wishlist in localStorage; once signed in it lives on the server (/api/wishlist)
+// so collectors can follow pieces over time. New price drop and low stock alerts pop up once per browser
+// session and stay listed on the wishlist tab of user.html until dismissed there.
+// Fires a 'wishlistchange' event on document whenever the list changes. Requires auth.js.
+var wishlist = JSON.parse(localStorage.getItem('wishlist')) || [];
+let wishlistAlertsChecked = false;
+
+function saveLocalWishlist() {
+  localStorage.setItem('wishlist', JSON.stringify(wishlist));
+  document.dispatchEvent(new CustomEvent('wishlistchange'));
+}
+
+function isInWishlist(artwork) {
+  return wishlist.some(item => artwork.id ? item.id === artwork.id : item.title === artwork.title);
+}
+
+async function getWishlistSession() {
+  const supabase = await initSupabase();
+  if (!supabase) return null;
+  const { data: { session } } = await supabase.auth.getSession();
+  return session;
+}
+
+async function wishlistRequest(session, method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Wishlist request failed');
+  }
+  return data;
+}
+
+// Replace the local wishlist with the server's, keeping demo items (no id) that only exist locally
+function applyServerWishlist(data, userId) {
+  const demoItems = wishlist.filter(item => !item.id);
+  wishlist = data.items.map(item => ({
+    id: item.artwork_id,
+    title: item.title,
+    image: item.image_url,
+    price: String(item.price)
+  })).concat(demoItems);
+  localStorage.setItem('wishlistOwner', userId);
+  saveLocalWishlist();
+}
+
+// On sign-in, push anything saved as a guest to the server wishlist, then load the merged list
+async function syncWishlistWithServer(session) {
+  try {
+    const guestItems = localStorage.getItem('wishlistOwner') ? [] : wishlist.filter(item => item.id);
+    if (guestItems.length > 0) {
+      await wishlistRequest(session, 'POST', '/api/wishlist', { artwork_ids: guestItems.map(item => item.id) });
+    }
+    applyServerWishlist(await wishlistRequest(session, 'GET', '/api/wishlist'), session.user.id);
+  } catch (e) {
+    console.error('Wishlist sync failed:', e.message);
+  }
+}
+
+// Add or remove an artwork; returns whether it is now on the wishlist
+// Uses the page's showNotification, like cart.js
+async function toggleWishlist(artwork) {
+  const adding = !isInWishlist(artwork);
+  const session = artwork.id ? await getWishlistSession() : null;
+
+  if (session) {
+    try {
+      const data = adding
+        ? await wishlistRequest(session, 'POST', '/api/wishlist', { artwork_id: artwork.id })
+        : await wishlistRequest(session, 'DELETE', `/api/wishlist/${artwork.id}`);
+      applyServerWishlist(data, session.user.id);
+    } catch (e) {
+      showNotification(e.message, 'error');
+      return !adding;
+    }
+  } else if (adding) {
+    wishlist.push(artwork);
+    saveLocalWishlist();
+  } else {
+    wishlist = wishlist.filter(item => artwork.id ? item.id !== artwork.id : item.title !== artwork.title);
+    saveLocalWishlist();
+  }
+  showNotification(adding ? 'Added to wishlist!' : 'Removed from wishlist!', adding ? 'success' : 'info');
+  return adding;
+}
+
+function showWishlistToast(message, link) {
+  const toast = document.createElement(link ? 'a' : 'div');
+  toast.className = 'block fixed right-4 bg-rose-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm transform translate-x-full transition-transform';
+  toast.style.top = `${6 + document.querySelectorAll('.wishlist-toast').length * 4.5}rem`;
+  toast.classList.add('wishlist-toast');
+  if (link) toast.href = link;
+  toast.innerHTML = '<i class="fas fa-heart mr-2"></i>';
+  toast.appendChild(document.createTextNode(message));
+  document.body.appendChild(toast);
+
+  setTimeout(() => toast.classList.remove('translate-x-full'), 100);
+  setTimeout(() => {
+    toast.classList.add('translate-x-full');
+    setTimeout(() => toast.remove(), 300);
+  }, 6000);
+}
+
+// Pop up alerts not shown yet in this session
+async function showWishlistAlerts(session) {
+  if (wishlistAlertsChecked) return;
+  wishlistAlertsChecked = true;
+  try {
+    const { notifications } = await wishlistRequest(session, 'GET', '/api/wishlist/notifications');
+    const shown = JSON.parse(sessionStorage.getItem('wishlistAlertsShown')) || [];
+    const fresh = notifications.filter(notification => !shown.includes(notification.id));
+    if (fresh.length === 0) return;
+
+    fresh.slice(0, 3).forEach(notification => showWishlistToast(notification.message, 'user.html#wishlist'));
+    if (fresh.length > 3) {
+      showWishlistToast(`${fresh.length - 3} more updates on your wishlist`, 'user.html#wishlist');
+    }
+    sessionStorage.setItem('wishlistAlertsShown', JSON.stringify(shown.concat(fresh.map(n => n.id))));
+  } catch (e) {
+    console.error('Wishlist alerts failed:', e.message);
+  }
+}
+
+onAuthStateChange((user, session, event) => {
+  if (event === 'SIGNED_OUT') {
+    wishlist = [];
+    localStorage.removeItem('wishlistOwner');
+    saveLocalWishlist();
+    return;
+  }
+  if (session) {
+    syncWishlistWithServer(session);
+    showWishlistAlerts(session);
+  }
+});
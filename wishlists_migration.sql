@@ -0,0 +1,109 @@
+-- Wishlists Migration for Artify
+-- Server-side wishlists, and alerts when a wishlisted artwork gets cheaper or is close to selling out
+
+CREATE TABLE IF NOT EXISTS public.wishlists (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  price_at_add numeric,
+  added_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (user_id, artwork_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wishlists_artwork_id ON public.wishlists(artwork_id);
+
+ALTER TABLE public.wishlists ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own wishlist." ON public.wishlists;
+CREATE POLICY "Users can view their own wishlist." ON public.wishlists
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE TABLE IF NOT EXISTS public.wishlist_notifications (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  artwork_id uuid REFERENCES public.artworks(id) ON DELETE CASCADE NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('price_drop', 'low_stock')),
+  old_price numeric,
+  new_price numeric,
+  remaining integer,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  seen_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_wishlist_notifications_unseen
+  ON public.wishlist_notifications(user_id, created_at) WHERE seen_at IS NULL;
+
+ALTER TABLE public.wishlist_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own wishlist notifications." ON public.wishlist_notifications;
+CREATE POLICY "Users can view their own wishlist notifications." ON public.wishlist_notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Copies an artwork can still be bought in, or NULL for an open edition. Held copies count as taken
+CREATE OR REPLACE FUNCTION public.artwork_copies_left(p_artwork public.artworks)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_artwork.edition_type
+    WHEN 'open' THEN NULL
+    ELSE greatest(
+      CASE WHEN p_artwork.edition_type = 'limited' THEN p_artwork.edition_size ELSE 1 END
+        - p_artwork.sold_count - p_artwork.reserved_count,
+      0)
+  END;
+$$;
+
+-- Tell everyone who wishlisted a live artwork when its price goes down, and when the copies left first
+-- drop to 3 or fewer (for an original: when someone starts paying for it). The artist is not told about their own work.
+-- A low stock alert is not repeated while the last one is unseen, so lapsing checkouts do not spam
+CREATE OR REPLACE FUNCTION public.notify_wishlist_watchers()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_capacity integer;
+  v_threshold integer;
+  v_old_left integer := public.artwork_copies_left(OLD);
+  v_new_left integer := public.artwork_copies_left(NEW);
+BEGIN
+  IF NEW.status <> 'active' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.price < OLD.price THEN
+    INSERT INTO public.wishlist_notifications (user_id, artwork_id, kind, old_price, new_price)
+    SELECT w.user_id, NEW.id, 'price_drop', OLD.price, NEW.price
+    FROM public.wishlists w
+    WHERE w.artwork_id = NEW.id AND w.user_id <> NEW.artist_id;
+  END IF;
+
+  IF v_new_left IS NOT NULL THEN
+    v_capacity := CASE WHEN NEW.edition_type = 'limited' THEN NEW.edition_size ELSE 1 END;
+    v_threshold := least(3, v_capacity - 1);
+
+    IF v_old_left > v_threshold AND v_new_left <= v_threshold AND NEW.sold_count < v_capacity THEN
+      INSERT INTO public.wishlist_notifications (user_id, artwork_id, kind, new_price, remaining)
+      SELECT w.user_id, NEW.id, 'low_stock', NEW.price, v_new_left
+      FROM public.wishlists w
+      WHERE w.artwork_id = NEW.id
+        AND w.user_id <> NEW.artist_id
+        AND NOT EXISTS (
+          SELECT 1 FROM public.wishlist_notifications n
+          WHERE n.user_id = w.user_id AND n.artwork_id = NEW.id AND n.kind = 'low_stock' AND n.seen_at IS NULL
+        );
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS artworks_notify_wishlist_watchers ON public.artworks;
+CREATE TRIGGER artworks_notify_wishlist_watchers
+  AFTER UPDATE OF price, sold_count, reserved_count ON public.artworks
+  FOR EACH ROW EXECUTE FUNCTION public.notify_wishlist_watchers();
+
+COMMENT ON COLUMN public.wishlists.price_at_add IS 'Price when the artwork was wishlisted, in rupees, to show how much it has dropped';
+COMMENT ON COLUMN public.wishlist_notifications.remaining IS 'Copies left when a low_stock alert was raised; 0 means the last copy is in someone''s checkout';